@@ -1,18 +1,39 @@
+const fs = require('fs');
+const path = require('path');
 const request = require('supertest');
-const { app } = require('./app');
-const server = require('./server');
+const Database = require('better-sqlite3');
+const { FIXTURE_SOURCE, buildFixtureDb, createFixtureApp } = require('../test/fixture-db');
+const { installDatabase, stagingPath } = require('../db/swap');
+const { startDeltaServer } = require('../test/delta-server');
+const { startUpdater, watchDatabaseFile } = require('./app');
+const { prepareChangeLog } = require('../db/changes');
+const { prepareRevisionStore } = require('../db/revisions');
+const { prepareProductWriter } = require('../db/writer');
+const { transformProduct } = require('../db/transformer');
+const { createLogger } = require('../db/logger');
+const { parseFilters } = require('../db/filters');
+const { STATEMENT_CACHE_SIZE } = require('../db/constants');
 
-afterAll((done) => {
-  server.close(done);
+let fixture;
+let app;
+
+beforeAll(async () => {
+  fixture = await createFixtureApp();
+  app = fixture.app;
+});
+
+afterAll(() => {
+  fixture.close();
 });
 
 describe('API Endpoints', () => {
   // Test for the root endpoint
   describe('GET /', () => {
-    it('should return a welcome message', async () => {
+    it('should serve the live search page', async () => {
       const response = await request(app).get('/');
       expect(response.statusCode).toBe(200);
-      expect(response.text).toBe('OpenFoodFacts DB API is running.');
+      expect(response.headers['content-type']).toMatch(/text\/html/);
+      expect(response.text).toContain('OpenFoodFacts Live Search');
     });
   });
 
@@ -26,6 +47,48 @@ describe('API Endpoints', () => {
       expect(response.body).toHaveProperty('product_name', 'Nutella');
     });
 
+    it('should return the structured details and only parse the raw data when asked for', async () => {
+      let response = await request(app).get('/product/3017620422003');
+      expect(response.body).not.toHaveProperty('raw_data');
+      expect(response.body.allergens).toEqual(['en:milk', 'en:nuts', 'en:soybeans']);
+
+      response = await request(app).get('/product/3017620422003?fields=raw_data');
+      expect(response.body.raw_data).toHaveProperty('code', '3017620422003');
+
+      response = await request(app).get('/product/3017620422003?view=full');
+      expect(response.body.allergens).toEqual(['en:milk', 'en:nuts', 'en:soybeans']);
+      expect(response.body.ingredients[0]).toMatchObject({ ingredient: 'en:sugar', percent: 56.3 });
+      expect(response.body.nutriments.salt).toEqual({ value_100g: 0.107, value_serving: 0.016, unit: 'g' });
+      expect(response.body.serving_size).toBe('15 g');
+      expect(response.body.raw_data).toHaveProperty('code', '3017620422003');
+    });
+
+    it('should find a product by its UPC-A code', async () => {
+      const response = await request(app).get('/product/036000291452');
+      expect(response.statusCode).toBe(200);
+      expect(response.body.product_name).toBe('Peanut Butter Creamy');
+      expect(response.body.barcode).toEqual({ input: '036000291452', normalized: '0036000291452', corrected: true });
+    });
+
+    it('should return only the requested fields', async () => {
+      const response = await request(app).get('/product/3017620422003?fields=product_name,labels');
+      expect(response.body).toEqual({
+        id: '3017620422003',
+        product_name: 'Nutella',
+        labels: ['en:green-dot'],
+        barcode: { input: '3017620422003', normalized: '3017620422003', corrected: false },
+      });
+    });
+
+    it('should return 400 for an invalid check digit or an unknown field', async () => {
+      let response = await request(app).get('/product/3017620422004');
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error).toContain('expected 3, got 4');
+
+      response = await request(app).get('/product/3017620422003?fields=search_text');
+      expect(response.statusCode).toBe(400);
+    });
+
     it('should return 404 for a non-existent code', async () => {
       const invalidCode = '0000000000000';
       const response = await request(app).get(`/product/${invalidCode}`);
@@ -42,33 +105,186 @@ describe('API Endpoints', () => {
     });
   });
 
+  describe('Codes with a wrong check digit', () => {
+    // A product is imported into this app, so it is not shared with the other tests.
+    let codeFixture;
+
+    beforeAll(async () => {
+      codeFixture = await createFixtureApp();
+      const writable = new Database(codeFixture.dbPath);
+      const line = JSON.stringify({ code: ' 3017620422004 ', product_name: 'Nutella misprinted', brands: 'Ferrero' });
+      prepareProductWriter(writable).write(transformProduct(line));
+      writable.close();
+    });
+
+    afterAll(() => {
+      codeFixture.close();
+    });
+
+    it('should find a product imported with a wrong check digit under the code as written', async () => {
+      const { app: codeApp } = codeFixture;
+      let response = await request(codeApp).get('/product/3017620422004?fields=product_name');
+      expect(response.statusCode).toBe(200);
+      expect(response.body).toMatchObject({
+        id: '3017620422004',
+        product_name: 'Nutella misprinted',
+        barcode: { input: '3017620422004', normalized: '3017620422004', corrected: false },
+      });
+
+      response = await request(codeApp).get('/product/3017620422004/history');
+      expect(response.statusCode).toBe(200);
+
+      response = await request(codeApp).post('/products/batch?fields=id').send({ codes: ['3017620422004', '3017620422005'] });
+      expect(Object.keys(response.body.products)).toEqual(['3017620422004']);
+      expect(response.body.invalid.map(entry => entry.code)).toEqual(['3017620422005']);
+
+      response = await request(codeApp).get('/product/3017620422005');
+      expect(response.statusCode).toBe(400);
+    });
+  });
+
+  describe('GET /product/:code/history', () => {
+    beforeAll(() => {
+      const writable = new Database(fixture.dbPath);
+      const current = writable.prepare('SELECT id, last_modified_t, raw_data FROM products WHERE id = ?').get('3017620422003');
+      const previous = JSON.parse(current.raw_data);
+      previous.nutriments = { ...previous.nutriments, salt_100g: 0.5 };
+      previous.product_name = 'Nutella Original';
+      prepareRevisionStore(writable).archive({ ...current, last_modified_t: 1600000000, raw_data: JSON.stringify(previous) }, 'delta_1_2.json.gz');
+      writable.close();
+    });
+
+    it('should return the diff between each revision and the next version', async () => {
+      const response = await request(app).get('/product/3017620422003/history');
+      expect(response.statusCode).toBe(200);
+      expect(response.body.revisions).toHaveLength(1);
+      expect(response.body.revisions[0]).toMatchObject({
+        last_modified_t: 1600000000,
+        delta_file: 'delta_1_2.json.gz',
+        changes: {
+          fields: { product_name: { from: 'Nutella Original', to: 'Nutella' } },
+          nutriments: { salt: { value_100g: { from: 0.5, to: 0.107 } } },
+        },
+      });
+    });
+
+    it('should return an empty history for a product that never changed', async () => {
+      const response = await request(app).get('/product/036000291452/history');
+      expect(response.body).toEqual({ id: '0036000291452', last_modified_t: expect.any(Number), revisions: [] });
+    });
+
+    it('should return 404 for an unknown product', async () => {
+      const response = await request(app).get('/product/0000000000000/history');
+      expect(response.statusCode).toBe(404);
+    });
+  });
+
+  describe('POST /products/batch', () => {
+    it('should return found, missing and invalid codes', async () => {
+      const response = await request(app)
+        .post('/products/batch?view=summary')
+        .send({ codes: ['3017620422003', '036000291452', '0000000000000', 'abc'] });
+      expect(response.statusCode).toBe(200);
+      expect(Object.keys(response.body.products)).toEqual(['3017620422003', '036000291452']);
+      expect(response.body.missing).toEqual(['0000000000000']);
+      expect(response.body.invalid).toHaveLength(1);
+      expect(response.body.products['3017620422003']).not.toHaveProperty('raw_data');
+    });
+
+    it('should not mistake codes for properties of the result object', async () => {
+      const { products, invalid } = app.locals.db.getMany(['__proto__', 'constructor', '3017620422003'], { columns: ['id'] });
+      expect(Object.keys(products)).toEqual(['3017620422003']);
+      expect(products.constructor).toBeUndefined();
+      expect(invalid.map(entry => entry.code)).toEqual(['__proto__', 'constructor']);
+
+      const response = await request(app).post('/products/batch?fields=id').send({ codes: ['__proto__', '3017620422003'] });
+      expect(response.body.products).toEqual({ '3017620422003': { id: '3017620422003' } });
+    });
+
+    it('should return 400 for an invalid body', async () => {
+      const response = await request(app).post('/products/batch').send({ codes: [] });
+      expect(response.statusCode).toBe(400);
+    });
+  });
+
+  describe('GET /changes', () => {
+    beforeAll(() => {
+      const writable = new Database(fixture.dbPath);
+      const changeLog = prepareChangeLog(writable);
+      changeLog.record({ productId: '3017620422003', operation: 'update', deltaFile: 'delta_1_2.json.gz', columns: ['product_name'] });
+      changeLog.record({ productId: '0000000000017', operation: 'insert', deltaFile: 'delta_1_2.json.gz', columns: ['id'] });
+      changeLog.record({ productId: '0000000000017', operation: 'delete', reason: 'deleted', deltaFile: 'delta_2_3.json.gz' });
+      writable.close();
+    });
+
+    it('should page through the changes in order and resume from the last cursor', async () => {
+      const first = await request(app).get('/changes?limit=2');
+      expect(first.statusCode).toBe(200);
+      expect(first.body.results.map(c => c.operation)).toEqual(['update', 'insert']);
+      expect(first.body.results[0]).toMatchObject({ product_id: '3017620422003', columns: ['product_name'], delta_file: 'delta_1_2.json.gz' });
+      expect(first.body.has_more).toBe(true);
+
+      const second = await request(app).get(`/changes?limit=2&since=${first.body.next}`);
+      expect(second.body.results).toEqual([expect.objectContaining({ operation: 'delete', reason: 'deleted', columns: null })]);
+      expect(second.body.has_more).toBe(false);
+
+      const caughtUp = await request(app).get(`/changes?since=${second.body.next}`);
+      expect(caughtUp.body).toEqual({ results: [], next: second.body.next, has_more: false });
+    });
+
+    it('should return 400 for a malformed cursor or limit', async () => {
+      expect((await request(app).get('/changes?since=nope')).statusCode).toBe(400);
+      expect((await request(app).get('/changes?limit=5000')).statusCode).toBe(400);
+    });
+  });
+
   // Test for the search endpoint
   describe('GET /search/:term', () => {
     it('should return search results for a valid term', async () => {
       const searchTerm = 'coca cola';
       const response = await request(app).get(`/search/${searchTerm}`);
       expect(response.statusCode).toBe(200);
+      expect(Array.isArray(response.body.results)).toBe(true);
+      expect(response.body.results.length).toBeGreaterThan(0);
+      // Check if the results seem relevant
+      expect(response.body.results[0].product_name.toLowerCase()).toContain('coca-cola');
+    });
+
+    it('should return the bare array with format=array', async () => {
+      const response = await request(app).get('/search/coca?format=array');
       expect(Array.isArray(response.body)).toBe(true);
       expect(response.body.length).toBeGreaterThan(0);
-      // Check if the results seem relevant
-      expect(response.body[0].product_name.toLowerCase()).toContain('coca-cola');
     });
 
     it('should return an empty array for a term with no matches', async () => {
       const searchTerm = 'nonexistentproductxyz';
       const response = await request(app).get(`/search/${searchTerm}`);
       expect(response.statusCode).toBe(200);
-      expect(Array.isArray(response.body)).toBe(true);
-      expect(response.body.length).toBe(0);
+      expect(response.body.results).toEqual([]);
+      expect(response.body.next).toBeNull();
     });
 
     it('should handle limit parameter correctly', async () => {
       const searchTerm = 'coca';
-      const limit = 5;
+      const limit = 1;
       const response = await request(app).get(`/search/${searchTerm}?limit=${limit}`);
       expect(response.statusCode).toBe(200);
-      expect(Array.isArray(response.body)).toBe(true);
-      expect(response.body.length).toBeLessThanOrEqual(limit);
+      expect(response.body.results.length).toBeLessThanOrEqual(limit);
+    });
+
+    it('should page through results with the cursor', async () => {
+      const first = await request(app).get('/search/coca?limit=1');
+      expect(first.body.next).toEqual(expect.any(String));
+      const second = await request(app).get(`/search/coca?limit=1&cursor=${first.body.next}`);
+      expect(second.body.results).toHaveLength(1);
+      expect(second.body.results[0].id).not.toBe(first.body.results[0].id);
+    });
+
+    it('should drop products with excluded allergens or traces', async () => {
+      const response = await request(app).get('/search/spreads?completeOnly=false&excludeAllergens=nuts');
+      const names = response.body.results.map(p => p.product_name);
+      expect(names).toContain('Houmous nature');
+      expect(names).not.toContain('Nutella');
     });
 
     it('should return 400 for an invalid limit parameter', async () => {
@@ -78,9 +294,383 @@ describe('API Endpoints', () => {
       expect(response.body).toHaveProperty('error', 'Invalid limit parameter. Must be a positive integer <= 100.');
     });
 
+    it('should return 400 for a malformed cursor', async () => {
+      const response = await request(app).get('/search/coca?cursor=nope');
+      expect(response.statusCode).toBe(400);
+    });
+
+    it('should return 400 for a cursor of another query or with a tampered sort value', async () => {
+      const first = await request(app).get('/products?sort=-proteins_100g&limit=1');
+      let response = await request(app).get(`/products?sort=-proteins_100g&filter=nova_group=4&cursor=${first.body.next}`);
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error).toBe('Cursor does not belong to this query.');
+
+      const payload = JSON.parse(Buffer.from(first.body.next, 'base64url').toString());
+      for (const v of [{ $gt: 1 }, [1], undefined]) {
+        const tampered = Buffer.from(JSON.stringify({ ...payload, v })).toString('base64url');
+        response = await request(app).get(`/products?sort=-proteins_100g&cursor=${tampered}`);
+        expect(response.statusCode).toBe(400);
+      }
+    });
+
     it('should return 400 for a missing search term', async () => {
         const response = await request(app).get('/search/');
         expect(response.statusCode).toBe(404); // Like the product one, this will 404
     });
   });
-}); 
\ No newline at end of file
+
+  describe('GET /products', () => {
+    it('should filter and sort products', async () => {
+      const response = await request(app).get('/products?filter=proteins_100g>=10&sort=-proteins_100g');
+      expect(response.statusCode).toBe(200);
+      const proteins = response.body.results.map(p => p.proteins_100g);
+      expect(proteins.length).toBeGreaterThan(0);
+      expect(proteins.every(v => v >= 10)).toBe(true);
+      expect([...proteins].sort((a, b) => b - a)).toEqual(proteins);
+    });
+
+    it('should only keep products carrying all requested labels', async () => {
+      const response = await request(app).get('/products?labels=en:vegan,en:organic');
+      const names = response.body.results.map(p => p.product_name).sort();
+      expect(names).toEqual(['Boisson avoine bio', 'Galettes de riz sans gluten', 'Tofu nature bio']);
+    });
+
+    it('should count facets over the match set', async () => {
+      const response = await request(app).get('/products?filter=countries~france&facets=nutriscore_grade&limit=1');
+      expect(response.body.results).toHaveLength(1);
+      const counted = response.body.facets.fields.nutriscore_grade.reduce((sum, b) => sum + b.count, 0);
+      expect(counted).toBe(response.body.total_estimate);
+    });
+
+    it('should return 400 for an unknown filter field', async () => {
+      const response = await request(app).get('/products?filter=raw_data=1');
+      expect(response.statusCode).toBe(400);
+    });
+
+    it('should keep a bounded number of prepared statements', async () => {
+      const { db } = app.locals;
+      // Every column and list length is a new SQL text.
+      for (const column of ['nova_group', 'fat_100g', 'sugars_100g', 'proteins_100g', 'salt_100g']) {
+        for (let length = 1; length <= 50; length++) {
+          const values = Array.from({ length }, (_, i) => i);
+          db.findProducts({ filters: parseFilters(`${column} in ${values.join(',')}`) });
+        }
+      }
+      expect(db.statementCache.size).toBeLessThanOrEqual(STATEMENT_CACHE_SIZE);
+
+      const response = await request(app).get('/products?filter=nova_group in 1,2,3');
+      expect(response.statusCode).toBe(200);
+    });
+  });
+
+  describe('GET /search/semantic/:term', () => {
+    it('should return the products closest to the term', async () => {
+      const response = await request(app).get('/search/semantic/hazelnut spreads?limit=3');
+      expect(response.statusCode).toBe(200);
+      expect(response.body.results).toHaveLength(3);
+      expect(response.body.results.map(p => p.product_name)).toContain('Nutella');
+    });
+
+    it('should count facets over all the results that can be paged through', async () => {
+      const response = await request(app).get('/search/semantic/hazelnut spreads?limit=1&facets=nova_group');
+      const all = await request(app).get('/search/semantic/hazelnut spreads?limit=100');
+      expect(response.body.results).toHaveLength(1);
+      const counted = response.body.facets.fields.nova_group.reduce((sum, b) => sum + b.count, 0);
+      expect(counted).toBe(all.body.results.length);
+      expect(response.body.facets).toMatchObject({ sample_size: counted, truncated: false });
+
+      const invalid = await request(app).get('/search/semantic/hazelnut spreads?facets=raw_data');
+      expect(invalid.statusCode).toBe(400);
+    });
+  });
+
+  describe('GET /search/hybrid/:term', () => {
+    it('should explain the fused score of each result', async () => {
+      const response = await request(app).get('/search/hybrid/nutella?limit=1');
+      expect(response.statusCode).toBe(200);
+      const [product] = response.body.results;
+      expect(product.product_name).toBe('Nutella');
+      expect(product.hybrid.lexical.rank).toBe(1);
+      expect(product.hybrid.semantic).not.toBeNull();
+    });
+
+    it('should count facets over the fused list', async () => {
+      const response = await request(app).get('/search/hybrid/nutella?limit=1&facets=all');
+      expect(Object.keys(response.body.facets.fields)).toEqual(['nutriscore_grade', 'nova_group', 'ecoscore_grade', 'brands', 'countries']);
+      const counted = response.body.facets.fields.nutriscore_grade.reduce((sum, b) => sum + b.count, 0);
+      expect(counted).toBe(response.body.total_estimate);
+    });
+
+    it('should return 400 when both weights are zero', async () => {
+      const response = await request(app).get('/search/hybrid/nutella?lexicalWeight=0&semanticWeight=0');
+      expect(response.statusCode).toBe(400);
+    });
+  });
+
+  describe('X-Request-Id', () => {
+    let lines;
+    let defaultLogger;
+
+    beforeEach(() => {
+      lines = [];
+      defaultLogger = app.locals.logger;
+      app.locals.logger = createLogger({ level: 'debug', format: 'json', stream: { write: line => lines.push(JSON.parse(line)) } });
+    });
+
+    afterEach(() => {
+      app.locals.logger = defaultLogger;
+    });
+
+    it('should log each request with the request ID sent by the client', async () => {
+      const response = await request(app)
+        .get('/search/nutella?limit=1&api_key=secret')
+        .set('X-Request-Id', 'edge-1234');
+
+      expect(response.headers['x-request-id']).toBe('edge-1234');
+      expect(lines).toEqual([{
+        time: expect.any(String),
+        level: 'debug',
+        msg: 'Request completed',
+        request_id: 'edge-1234',
+        method: 'GET',
+        url: '/search/nutella',
+        query: { limit: '1', api_key: '[REDACTED]' },
+        status: 200,
+        duration_ms: expect.any(Number),
+      }]);
+    });
+
+    it('should not log the requests at the info level', async () => {
+      app.locals.logger = createLogger({ level: 'info', format: 'json', stream: { write: line => lines.push(JSON.parse(line)) } });
+      await request(app).get('/product/3017620422003');
+      expect(lines).toEqual([]);
+    });
+
+    it('should generate a request ID when none or an invalid one is sent', async () => {
+      const generated = await request(app).get('/product/3017620422003');
+      const replaced = await request(app).get('/product/3017620422003').set('X-Request-Id', 'bad id <script>');
+
+      const uuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+      expect(generated.headers['x-request-id']).toMatch(uuid);
+      expect(replaced.headers['x-request-id']).toMatch(uuid);
+      expect(replaced.headers['x-request-id']).not.toBe(generated.headers['x-request-id']);
+      expect(lines.map(line => line.request_id)).toEqual([generated.headers['x-request-id'], replaced.headers['x-request-id']]);
+    });
+  });
+
+  describe('GET /metrics', () => {
+    // Counters accumulate per app and the data age is changed, so this app is not shared.
+    let metricsFixture;
+
+    beforeAll(async () => {
+      metricsFixture = await createFixtureApp();
+    });
+
+    afterAll(() => {
+      metricsFixture.close();
+    });
+
+    /** Reads the value of a sample from the metrics text, e.g. `off_db_rows{table="products"}`. */
+    const sample = (text, name) => {
+      const line = text.split('\n').find(l => l.startsWith(`${name} `));
+      return line === undefined ? undefined : Number(line.slice(name.length + 1));
+    };
+
+    it('should export the request, query, database and process metrics', async () => {
+      const { app: metricsApp } = metricsFixture;
+      await request(metricsApp).get('/search/nutella');
+      await request(metricsApp).get('/search/nutella');
+      await request(metricsApp).get('/product/0000000000000');
+      await request(metricsApp).get('/search/semantic/hazelnut%20spread');
+      await request(metricsApp).get('/no/such/route');
+
+      let response = await request(metricsApp).get('/metrics');
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^text\/plain/);
+      const text = response.text;
+      expect(sample(text, 'http_requests_total{method="GET",route="/search/:term",status="200"}')).toBe(2);
+      expect(sample(text, 'http_requests_total{method="GET",route="/product/:code",status="404"}')).toBe(1);
+      expect(sample(text, 'http_requests_total{method="GET",route="unmatched",status="404"}')).toBe(1);
+      expect(sample(text, 'http_request_duration_seconds_count{method="GET",route="/search/semantic/:term",status="200"}')).toBe(1);
+      expect(sample(text, 'off_db_query_duration_seconds_count{type="fts"}')).toBe(2);
+      expect(sample(text, 'off_db_query_duration_seconds_count{type="vector"}')).toBeGreaterThanOrEqual(1);
+      expect(sample(text, 'off_embedding_duration_seconds_count')).toBe(1);
+      expect(sample(text, 'off_db_rows{table="products"}')).toBe(17);
+      expect(sample(text, 'off_db_rows{table="vec_products"}')).toBe(17);
+      expect(sample(text, 'off_data_age_seconds')).toBeNaN();
+      expect(sample(text, 'process_resident_memory_bytes')).toBeGreaterThan(0);
+      expect(sample(text, 'nodejs_heap_size_used_bytes')).toBeGreaterThan(0);
+
+      const lastDelta = Math.floor(Date.now() / 1000) - 3600;
+      const writable = new Database(metricsFixture.dbPath);
+      writable.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES ('last_applied_delta_timestamp', ?)").run(String(lastDelta));
+      writable.prepare("DELETE FROM products WHERE id = '3017620422003'").run();
+      writable.close();
+
+      response = await request(metricsApp).get('/metrics');
+      expect(sample(response.text, 'off_data_timestamp_seconds')).toBe(lastDelta);
+      expect(sample(response.text, 'off_data_age_seconds')).toBeGreaterThanOrEqual(3600);
+      expect(sample(response.text, 'off_data_age_seconds')).toBeLessThan(3660);
+      // The rows are counted again for the new data version.
+      expect(sample(response.text, 'off_db_rows{table="products"}')).toBe(16);
+    });
+  });
+
+  describe('X-Data-Version', () => {
+    // The data of this app is changed, so it is not shared with the other tests.
+    let versionFixture;
+
+    beforeAll(async () => {
+      versionFixture = await createFixtureApp();
+    });
+
+    afterAll(() => {
+      versionFixture.close();
+    });
+
+    it('should pick up the data and indexes written by an update', async () => {
+      const { app: versionApp } = versionFixture;
+      const db = versionApp.locals.db;
+      let response = await request(versionApp).get('/product/3017620422003?fields=product_name');
+      expect(response.headers['x-data-version']).toBe('0-0');
+
+      // A commit that changes neither the data version nor the schema keeps the statements.
+      const refresh = jest.spyOn(db, 'refresh');
+      const writable = new Database(versionFixture.dbPath);
+      prepareChangeLog(writable).record({ productId: '3017620422003', operation: 'update', deltaFile: 'delta_1_2.json.gz' });
+      await request(versionApp).get('/product/3017620422003');
+      expect(refresh).not.toHaveBeenCalled();
+
+      db.cachedStatement('SELECT 1');
+      writable.transaction(() => {
+        writable.prepare("UPDATE products SET product_name = 'Nutella B-ready' WHERE id = '3017620422003'").run();
+        writable.exec('CREATE INDEX idx_products_brands ON products (brands)');
+        writable.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES ('last_full_import_date', '2026-10-19T00:00:00.000Z')").run();
+        writable.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES ('last_applied_delta_timestamp', '1792400000')").run();
+      })();
+      writable.close();
+
+      response = await request(versionApp).get('/product/3017620422003?fields=product_name');
+      expect(refresh).toHaveBeenCalledTimes(1);
+      expect(db.statementCache.has('SELECT 1')).toBe(false);
+      expect(response.headers['x-data-version']).toBe('1792368000-1792400000');
+      expect(response.body.product_name).toBe('Nutella B-ready');
+      refresh.mockRestore();
+    });
+  });
+
+  describe('POST /admin/reload', () => {
+    // The database of this app is swapped, so it is not shared with the other tests.
+    let swapFixture;
+
+    beforeAll(async () => {
+      swapFixture = await createFixtureApp();
+      swapFixture.app.locals.adminToken = 'secret';
+    });
+
+    afterAll(() => {
+      swapFixture.close();
+    });
+
+    /**
+     * Builds a database from the fixture products that pass `keep` and renames
+     * it over the served one, like a full import does.
+     */
+    async function swapDatabase(keep) {
+      const source = path.join(path.dirname(swapFixture.dbPath), 'products.jsonl');
+      const lines = fs.readFileSync(FIXTURE_SOURCE, 'utf-8').split('\n').filter(line => line && keep(JSON.parse(line)));
+      fs.writeFileSync(source, lines.join('\n'));
+      const staging = await buildFixtureDb(stagingPath(swapFixture.dbPath), { source });
+      installDatabase(staging, swapFixture.dbPath);
+    }
+
+    it('should require the admin token', async () => {
+      let response = await request(swapFixture.app).post('/admin/reload');
+      expect(response.statusCode).toBe(401);
+      response = await request(swapFixture.app).post('/admin/reload').set('Authorization', 'Bearer wrong');
+      expect(response.statusCode).toBe(401);
+
+      response = await request(app).post('/admin/reload').set('Authorization', 'Bearer secret');
+      expect(response.statusCode).toBe(403);
+    });
+
+    it('should serve the database swapped in by a full import after a reload', async () => {
+      await swapDatabase(record => record.code !== '3017620422003');
+
+      let response = await request(swapFixture.app).get('/product/3017620422003');
+      expect(response.statusCode).toBe(200);
+
+      response = await request(swapFixture.app).post('/admin/reload').set('Authorization', 'Bearer secret');
+      expect(response.statusCode).toBe(200);
+      expect(response.body).toEqual({ reloaded: true });
+
+      response = await request(swapFixture.app).get('/product/3017620422003');
+      expect(response.statusCode).toBe(404);
+      response = await request(swapFixture.app).get('/search/nutella');
+      expect(response.body.results).toEqual([]);
+    });
+
+    it('should reload on its own when the database file is replaced', async () => {
+      const stopWatching = watchDatabaseFile(swapFixture.app, { intervalMs: 10 });
+      try {
+        await swapDatabase(() => true);
+        let statusCode;
+        for (let attempt = 0; attempt < 100 && statusCode !== 200; attempt++) {
+          await new Promise(resolve => setTimeout(resolve, 20));
+          statusCode = (await request(swapFixture.app).get('/product/3017620422003')).statusCode;
+        }
+        expect(statusCode).toBe(200);
+      } finally {
+        stopWatching();
+      }
+    });
+  });
+
+  describe('GET /admin/update-status', () => {
+    let updateFixture;
+    let deltaServer;
+
+    beforeAll(async () => {
+      updateFixture = await createFixtureApp();
+      updateFixture.app.locals.adminToken = 'secret';
+      deltaServer = await startDeltaServer({
+        'openfoodfacts_products_1000_2000.json.gz': [{ code: '3017620422003', product_name: 'Nutella B-ready', last_modified_t: 1500 }],
+      });
+    });
+
+    afterAll(async () => {
+      if (updateFixture.app.locals.updater) updateFixture.app.locals.updater.stop();
+      await new Promise(resolve => deltaServer.close(resolve));
+      updateFixture.close();
+    });
+
+    it('should report a disabled updater', async () => {
+      const response = await request(updateFixture.app).get('/admin/update-status').set('Authorization', 'Bearer secret');
+      expect(response.statusCode).toBe(200);
+      expect(response.body).toEqual({ enabled: false });
+    });
+
+    it('should apply the delta updates on a schedule and serve the new data', async () => {
+      const { app: updateApp } = updateFixture;
+      const updater = startUpdater(updateApp, { intervalMs: 3600000, deltaUrl: deltaServer.deltaUrl });
+      for (let attempt = 0; attempt < 100 && !updater.getStatus().last_success_at; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+
+      const status = await request(updateApp).get('/admin/update-status').set('Authorization', 'Bearer secret');
+      expect(status.body).toMatchObject({
+        enabled: true,
+        running: false,
+        last_delta: 2000,
+        last_run: { deltas: ['openfoodfacts_products_1000_2000.json.gz'], upserted: 1, removed: 0 },
+        products_upserted: 1,
+        consecutive_failures: 0,
+        errors: [],
+      });
+
+      const product = await request(updateApp).get('/product/3017620422003?fields=product_name');
+      expect(product.body.product_name).toBe('Nutella B-ready');
+      expect(product.headers['x-data-version']).toBe('0-2000');
+    });
+  });
+});
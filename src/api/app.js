@@ -1,31 +1,180 @@
 /**
  * @fileoverview This file defines the Express application.
- * It sets up the database connection, configures middleware (CORS, JSON parsing, logging),
- * and defines the API routes for serving product data. The `app` and `db`
- * instances are exported for use in the server and test files.
+ * It defines the API routes for serving product data, and the `createApp()`
+ * factory that opens the database, configures middleware (CORS, request IDs,
+ * JSON parsing, logging, metrics) and mounts the routes. The database is injected through
+ * `app.locals.db`, so the server and the tests can each build their own app.
  */
 const express = require('express');
 const cors = require('cors');
 const OpenFoodFactsDB = require('../db/database');
+const { FilterError, parseFilters, parseSort, parseTags } = require('../db/filters');
+const { CursorError } = require('../db/cursor');
+const { BarcodeError } = require('../db/barcode');
+const { FieldError, resolveFields } = require('../db/fields');
+const { createFakeEmbedder } = require('../db/embeddings');
+const { runUpdate } = require('../scripts/update');
+const { createUpdater } = require('./updater');
+const { createMetrics } = require('./metrics');
+const { logger: defaultLogger } = require('../db/logger');
 const { performance } = require('perf_hooks');
+const crypto = require('crypto');
+const fs = require('fs');
 
-const app = express();
-let db; // Will be initialized in main()
+const router = express.Router();
+
+// The maximum number of codes accepted by `POST /products/batch`.
+const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE, 10) || 500;
+// How often the server checks whether a full import replaced the database file.
+const DB_WATCH_INTERVAL_MS = parseInt(process.env.DB_WATCH_INTERVAL_MS, 10) || 2000;
+// How often the server applies the delta updates itself. Disabled when unset.
+const UPDATE_INTERVAL_MINUTES = parseFloat(process.env.UPDATE_INTERVAL_MINUTES) || 0;
+// Incoming request IDs that do not match are replaced, so they can be logged safely.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
 
 // Middleware
 /**
- * Log incoming requests and their response times.
+ * Identifies each request with the `X-Request-Id` sent by the client or a
+ * proxy, or with a new UUID. The ID is sent back in the response header, and
+ * `req.log` adds it to every log entry of the request.
  */
-app.use(cors());
-app.use(express.json());
-app.use((req, res, next) => {
+function assignRequestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = req.app.locals.logger.child({ request_id: req.id });
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+/**
+ * Log incoming requests and their response times, at the `debug` level so that
+ * the logs stay quiet by default. The query parameters are logged as fields
+ * rather than in the URL, so that credentials among them are redacted.
+ */
+function logRequests(req, res, next) {
   const start = performance.now();
   res.on('finish', () => {
-    const duration = performance.now() - start;
-    console.log(`[${new Date().toISOString()}] ${req.method} ${req.originalUrl} - ${res.statusCode} [${duration.toFixed(2)}ms]`);
+    req.log.debug('Request completed', {
+      method: req.method,
+      url: req.originalUrl.split('?')[0],
+      query: req.query,
+      status: res.statusCode,
+      duration_ms: Number((performance.now() - start).toFixed(2)),
+    });
   });
   next();
-});
+}
+
+/**
+ * Counts the requests and their durations by route and status for `GET /metrics`.
+ */
+function recordMetrics(req, res, next) {
+  const start = performance.now();
+  res.on('finish', () => {
+    req.app.locals.metrics.observeRequest(req, res, (performance.now() - start) / 1000);
+  });
+  next();
+}
+
+/**
+ * Picks up the data written by other processes, e.g. by `npm run update`, and
+ * tells clients which version of the data answered in the `X-Data-Version` header.
+ */
+function trackDataVersion(req, res, next) {
+  const { db } = req.app.locals;
+  try {
+    if (db.refreshIfChanged()) {
+      req.log.info('Data changed, statements prepared', { data_version: db.dataVersion });
+    }
+    res.set('X-Data-Version', db.dataVersion);
+  } catch (error) {
+    req.log.error('Failed to check the data version', { err: error });
+  }
+  next();
+}
+
+/**
+ * Only lets through requests that carry the admin token as
+ * `Authorization: Bearer <token>`. Admin endpoints are disabled when no token
+ * is configured.
+ */
+function requireAdmin(req, res, next) {
+  const { adminToken } = req.app.locals;
+  if (!adminToken) {
+    return res.status(403).json({ error: 'Admin endpoints are disabled. Set ADMIN_TOKEN to enable them.' });
+  }
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+  // Hashing gives both sides the same length, as timingSafeEqual requires.
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  if (!crypto.timingSafeEqual(digest(token), digest(adminToken))) {
+    return res.status(401).json({ error: 'Invalid admin token.' });
+  }
+  next();
+}
+
+/**
+ * Sends a page of search results. By default the page is wrapped in an
+ * envelope with `results`, `next` and `total_estimate`. Clients written
+ * against the original API can pass `format=array` to get the bare array.
+ * @param {express.Request} req The request.
+ * @param {express.Response} res The response.
+ * @param {{results: Array<object>, next: (string|null), total_estimate: number}} page
+ */
+function sendPage(req, res, page) {
+  if (req.query.format === 'array') {
+    return res.json(page.results);
+  }
+  res.json(page);
+}
+
+/**
+ * Parses the `facets` query parameter: a comma-separated list of fields, or `all`.
+ * @param {string|undefined} value The raw parameter.
+ * @returns {string[] | undefined | null} The fields, `undefined` for all fields,
+ * or `null` when no facets were requested.
+ */
+function parseFacets(value) {
+  if (value === undefined || value === '') return null;
+  const fields = String(value).split(',').map(f => f.trim()).filter(f => f !== '');
+  return fields.includes('all') ? undefined : fields;
+}
+
+/**
+ * Resolves the `fields` and `view` query parameters into the columns to return.
+ * @param {express.Request} req The request.
+ * @param {string} defaultView The view used when neither parameter is given.
+ * @returns {string[]} The columns.
+ * @throws {FieldError}
+ */
+function parseColumns(req, defaultView) {
+  return resolveFields({ fields: req.query.fields, view: req.query.view }, defaultView);
+}
+
+/**
+ * Parses the diet query parameters `excludeAllergens` and `labels`.
+ * @param {express.Request} req The request.
+ * @returns {{excludeAllergens: string[], labels: string[]}}
+ * @throws {FilterError}
+ */
+function parseDiet(req) {
+  return {
+    excludeAllergens: parseTags(req.query.excludeAllergens, 'excludeAllergens'),
+    labels: parseTags(req.query.labels, 'labels'),
+  };
+}
+
+/**
+ * Tells whether an error was caused by invalid client input rather than by the server.
+ * @param {Error} error The error.
+ * @returns {boolean}
+ */
+function isClientError(error) {
+  return error instanceof FilterError
+    || error instanceof CursorError
+    || error instanceof BarcodeError
+    || error instanceof FieldError;
+}
 
 // Routes
 /**
@@ -33,30 +182,161 @@ app.use((req, res, next) => {
  * @apiName GetProduct
  * @apiGroup Product
  *
- * @apiParam {String} code Product's unique barcode.
+ * @apiParam {String} code Product's barcode. GTIN-8/12/13/14 codes are validated and normalized,
+ * so a UPC-A code finds its EAN-13 product, and whitespace or dashes are ignored.
+ * @apiQuery {String} [fields] A comma-separated list of fields to return. Takes precedence over `view`.
+ * @apiQuery {String="summary","nutrition","standard","full"} [view=standard] A named set of fields.
+ * `raw_data` is only returned by the `full` view or when listed in `fields`, as a parsed JSON object.
  *
- * @apiSuccess {Object} product The full product object.
+ * @apiSuccess {Object} product The product object with the requested fields.
+ * @apiSuccess {Object} product.barcode How the requested code was interpreted: the `input`,
+ * the `normalized` code and whether it was `corrected`.
+ * @apiError (400) InvalidBarcode The code contains non-digits or has a wrong check digit (unless a
+ * product was imported with this very code), or an unknown field or view was requested.
  * @apiError (404) ProductNotFound The product with the given code was not found.
  */
-app.get('/product/:code', (req, res) => {
+router.get('/product/:code', (req, res) => {
+  const { db } = req.app.locals;
   const { code } = req.params;
   if (!code) {
     return res.status(400).json({ error: 'Product code is required' });
   }
 
   try {
-    const product = db.get(code);
+    const columns = parseColumns(req, 'standard');
+    const barcode = db.resolveBarcode(code);
+    const product = db.getByBarcode(barcode, { columns });
     if (product) {
-      res.json(product);
+      res.json({
+        ...product,
+        barcode: { input: barcode.input, normalized: barcode.code, corrected: barcode.corrected },
+      });
     } else {
       res.status(404).json({ error: 'Product not found' });
     }
   } catch (error) {
-    console.error(`Error fetching product with code ${code}:`, error);
+    if (isClientError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+    req.log.error('Error fetching a product', { code, err: error });
     res.status(500).json({ error: 'An error occurred while fetching the product.' });
   }
 });
 
+/**
+ * @api {get} /product/:code/history Get the Revision History of a Product
+ * @apiName GetProductHistory
+ * @apiGroup Product
+ *
+ * @apiParam {String} code Product's barcode, normalized like for `GET /product/:code`.
+ *
+ * @apiSuccess {String} id The product id.
+ * @apiSuccess {Number} last_modified_t When the current version was last modified on OpenFoodFacts.
+ * @apiSuccess {Object[]} revisions The previous versions kept by the updates (`PRODUCT_REVISIONS`, 5 by default),
+ * newest first, each with its `last_modified_t`, the `delta_file` that replaced it, `replaced_at`, and the
+ * `changes` made by the version that replaced it: `fields` maps key fields to `{ from, to }`, and
+ * `nutriments` maps each changed nutriment to its changed values (`value_100g`, `value_serving`, `unit`).
+ * @apiError (400) InvalidBarcode The code contains non-digits or has a wrong check digit.
+ * @apiError (404) ProductNotFound The product with the given code was not found.
+ */
+router.get('/product/:code/history', (req, res) => {
+  const { db } = req.app.locals;
+  const { code } = req.params;
+
+  try {
+    const history = db.getHistory(db.resolveBarcode(code));
+    if (history) {
+      res.json(history);
+    } else {
+      res.status(404).json({ error: 'Product not found' });
+    }
+  } catch (error) {
+    if (isClientError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+    req.log.error('Error fetching the history of a product', { code, err: error });
+    res.status(500).json({ error: 'An error occurred while fetching the product history.' });
+  }
+});
+
+/**
+ * @api {post} /products/batch Get Products by Barcode in Batch
+ * @apiName GetProductsBatch
+ * @apiGroup Product
+ *
+ * @apiBody {String[]} codes The barcodes to look up (at most `MAX_BATCH_SIZE`, 500 by default).
+ * @apiQuery {String} [fields] Fields to return, see `GET /product/:code`.
+ * @apiQuery {String="summary","nutrition","standard","full"} [view=standard] A named set of fields.
+ *
+ * @apiSuccess {Object} products The found products, keyed by the requested barcode.
+ * @apiSuccess {String[]} missing The barcodes that were not found.
+ * @apiSuccess {Object[]} invalid The barcodes that are not valid, with the `error` for each.
+ * @apiError (400) InvalidBody `codes` is missing, empty, too long or contains non-string values,
+ * or an unknown field or view was requested.
+ */
+router.post('/products/batch', (req, res) => {
+  const { db } = req.app.locals;
+  const codes = req.body && req.body.codes;
+
+  if (!Array.isArray(codes) || codes.length === 0) {
+    return res.status(400).json({ error: 'Request body must contain a non-empty "codes" array.' });
+  }
+
+  if (codes.length > MAX_BATCH_SIZE) {
+    return res.status(400).json({ error: `Too many codes. A batch can contain at most ${MAX_BATCH_SIZE} codes.` });
+  }
+
+  if (!codes.every(code => typeof code === 'string' && code !== '')) {
+    return res.status(400).json({ error: 'Every code must be a non-empty string.' });
+  }
+
+  try {
+    const columns = parseColumns(req, 'standard');
+    res.json(db.getMany(codes, { columns }));
+  } catch (error) {
+    if (isClientError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+    req.log.error('Error fetching a batch of products', { count: codes.length, err: error });
+    res.status(500).json({ error: 'An error occurred while fetching the products.' });
+  }
+});
+
+/**
+ * @api {get} /changes Get the Product Change Feed
+ * @apiName GetChanges
+ * @apiGroup Product
+ *
+ * @apiQuery {String} [since] The `next` cursor of the previous sync. Without it, the feed starts from the beginning.
+ * @apiQuery {Number{1-1000}} [limit=100] The maximum number of changes to return.
+ *
+ * @apiSuccess {Object[]} results The changes applied by the delta updates, oldest first: `product_id`,
+ * `operation` (`insert`, `update` or `delete`), `reason` (for deletions), `columns` (the changed columns),
+ * `delta_file` and `changed_at`.
+ * @apiSuccess {String} next The cursor to pass as `since` to get the following changes. It is returned
+ * even on the last page, so it can be stored and reused on the next sync.
+ * @apiSuccess {Boolean} has_more Whether more changes can be read right away.
+ * @apiError (400) InvalidParameter The limit or the cursor is malformed.
+ */
+router.get('/changes', (req, res) => {
+  const { db } = req.app.locals;
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : 100;
+
+  if (isNaN(limit) || limit <= 0 || limit > 1000) {
+    return res.status(400).json({ error: 'Invalid limit parameter. Must be a positive integer <= 1000.' });
+  }
+
+  try {
+    res.json(db.changesPage({ since: req.query.since, limit }));
+  } catch (error) {
+    if (isClientError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+    req.log.error('Error reading the change feed', { err: error });
+    res.status(500).json({ error: 'An error occurred while reading the change feed.' });
+  }
+});
+
 /**
  * @api {get} /search/:term Search for Products
  * @apiName SearchProducts
@@ -65,10 +345,24 @@ app.get('/product/:code', (req, res) => {
  * @apiParam {String} term The search term.
  * @apiQuery {Number{1-100}} [limit=50] The maximum number of results to return.
  * @apiQuery {Boolean} [completeOnly=false] Whether to only return products with complete data.
+ * @apiQuery {String[]} [filter] Filter expressions, see `GET /products`.
+ * @apiQuery {String} [sort=relevance] Sort expression, see `GET /products`.
+ * @apiQuery {String} [facets] Facet fields to count, see `GET /products`.
+ * @apiQuery {String} [excludeAllergens] Allergen tags to exclude, see `GET /products`.
+ * @apiQuery {String} [labels] Required label tags, see `GET /products`.
+ * @apiQuery {String} [cursor] The `next` cursor of the previous page.
+ * @apiQuery {String="array"} [format] Set to `array` to get the bare array of products without the envelope.
+ * @apiQuery {String} [fields] Fields to return, see `GET /product/:code`.
+ * @apiQuery {String="summary","nutrition","standard","full"} [view=summary] A named set of fields.
  *
- * @apiSuccess {Object[]} products An array of matching product objects.
+ * @apiSuccess {Object[]} results An array of matching product objects.
+ * @apiSuccess {String} next The cursor of the next page, or null on the last page.
+ * @apiSuccess {Number} total_estimate The number of matches, counted up to 10,000.
+ * @apiSuccess {Object} [facets] When requested, the facet counts, see `GET /products`.
+ * @apiError (400) InvalidFilter A filter, sort expression, facet or cursor is malformed.
  */
-app.get('/search/:term', (req, res) => {
+router.get('/search/:term', (req, res) => {
+  const { db } = req.app.locals;
   const { term } = req.params;
   const completeOnly = req.query.completeOnly ? req.query.completeOnly === 'true' : true;
   const limit = req.query.limit ? parseInt(req.query.limit, 10) : 50;
@@ -82,14 +376,86 @@ app.get('/search/:term', (req, res) => {
   }
 
   try {
-    const results = db.search(term, { limit, completeOnly });
-    res.json(results);
+    const filters = parseFilters(req.query.filter);
+    const sort = parseSort(req.query.sort);
+    const facetFields = parseFacets(req.query.facets);
+    const diet = parseDiet(req);
+    const columns = parseColumns(req, 'summary');
+    const page = db.findProducts({ term, limit, completeOnly, filters, sort, ...diet, columns, cursor: req.query.cursor });
+    if (facetFields !== null) {
+      page.facets = db.facets(term, filters, facetFields, { completeOnly, ...diet });
+    }
+    sendPage(req, res, page);
   } catch (error) {
-    console.error(`Error during search for term "${term}":`, error);
+    if (isClientError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+    req.log.error('Error during search', { term, err: error });
     res.status(500).json({ error: 'An error occurred during the search.' });
   }
 });
 
+/**
+ * @api {get} /products Query Products with Filters
+ * @apiName QueryProducts
+ * @apiGroup Product
+ *
+ * @apiQuery {String} [q] An optional full-text search term.
+ * @apiQuery {String[]} [filter] Filter expressions. Repeat the parameter or separate
+ * expressions with `;`. Examples: `proteins_100g>=20`, `nutriscore_grade in a,b`,
+ * `nova_group=1`, `countries~france`.
+ * @apiQuery {String} [sort] A column to sort by, prefixed with `-` for descending order
+ * (e.g. `-proteins_100g`), or `relevance` when `q` is given.
+ * @apiQuery {Number{1-100}} [limit=50] The maximum number of results to return.
+ * @apiQuery {Boolean} [completeOnly=false] Whether to only return products with complete data.
+ * @apiQuery {String} [facets] A comma-separated list of fields to count over the match set
+ * (`nutriscore_grade`, `nova_group`, `ecoscore_grade`, `brands`, `countries`), or `all`.
+ * @apiQuery {String} [excludeAllergens] Comma-separated allergen tags, e.g. `en:gluten,en:milk`.
+ * Products containing any of them, as an allergen or as a trace, are excluded.
+ * @apiQuery {String} [labels] Comma-separated label tags, e.g. `en:vegan,en:organic`.
+ * Only products carrying all of them are returned.
+ * @apiQuery {String} [cursor] The `next` cursor of the previous page.
+ * @apiQuery {String="array"} [format] Set to `array` to get the bare array of products without the envelope.
+ * @apiQuery {String} [fields] Fields to return, see `GET /product/:code`.
+ * @apiQuery {String="summary","nutrition","standard","full"} [view=summary] A named set of fields.
+ *
+ * @apiSuccess {Object[]} results An array of matching product objects.
+ * @apiSuccess {String} next The cursor of the next page, or null on the last page.
+ * @apiSuccess {Number} total_estimate The number of matches, counted up to 10,000.
+ * @apiSuccess {Object} [facets] When requested: `fields` maps each field to `{ value, count }` buckets,
+ * counted over the first `sample_size` matches (`truncated` is true if there were more).
+ * @apiError (400) InvalidFilter A filter, sort expression, facet or cursor is malformed.
+ */
+router.get('/products', (req, res) => {
+  const { db } = req.app.locals;
+  const term = typeof req.query.q === 'string' ? req.query.q : undefined;
+  const completeOnly = req.query.completeOnly === 'true';
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : 50;
+
+  if (isNaN(limit) || limit <= 0 || limit > 100) {
+    return res.status(400).json({ error: 'Invalid limit parameter. Must be a positive integer <= 100.' });
+  }
+
+  try {
+    const filters = parseFilters(req.query.filter);
+    const sort = parseSort(req.query.sort);
+    const facetFields = parseFacets(req.query.facets);
+    const diet = parseDiet(req);
+    const columns = parseColumns(req, 'summary');
+    const page = db.findProducts({ term, filters, sort, limit, completeOnly, ...diet, columns, cursor: req.query.cursor });
+    if (facetFields !== null) {
+      page.facets = db.facets(term, filters, facetFields, { completeOnly, ...diet });
+    }
+    sendPage(req, res, page);
+  } catch (error) {
+    if (isClientError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+    req.log.error('Error during product query', { err: error });
+    res.status(500).json({ error: 'An error occurred during the product query.' });
+  }
+});
+
 /**
  * @api {get} /search/semantic/:term Perform Semantic Search for Products
  * @apiName SemanticSearchProducts
@@ -97,10 +463,22 @@ app.get('/search/:term', (req, res) => {
  *
  * @apiParam {String} term The search term to find semantically similar products for.
  * @apiQuery {Number{1-100}} [limit=10] The maximum number of results to return.
+ * @apiQuery {String} [facets] Facet fields to count, see `GET /products`.
+ * @apiQuery {String} [excludeAllergens] Allergen tags to exclude, see `GET /products`.
+ * @apiQuery {String} [labels] Required label tags, see `GET /products`.
+ * @apiQuery {String} [cursor] The `next` cursor of the previous page.
+ * @apiQuery {String="array"} [format] Set to `array` to get the bare array of products without the envelope.
+ * @apiQuery {String} [fields] Fields to return, see `GET /product/:code`.
+ * @apiQuery {String="summary","nutrition","standard","full"} [view=summary] A named set of fields.
  *
- * @apiSuccess {Object[]} products An array of matching product objects, ordered by similarity.
+ * @apiSuccess {Object[]} results An array of matching product objects, ordered by similarity.
+ * @apiSuccess {String} next The cursor of the next page, or null on the last page.
+ * @apiSuccess {Number} total_estimate How many results can be paged through (at most 1,000).
+ * @apiSuccess {Object} [facets] When requested, the facet counts over all the results that can be paged through.
+ * @apiError (400) InvalidParameter A tag list, facet or the cursor is malformed.
  */
-app.get('/search/semantic/:term', async (req, res) => {
+router.get('/search/semantic/:term', async (req, res) => {
+  const { db } = req.app.locals;
   const { term } = req.params;
   const limit = req.query.limit ? parseInt(req.query.limit, 10) : 10;
 
@@ -113,14 +491,164 @@ app.get('/search/semantic/:term', async (req, res) => {
   }
 
   try {
-    const results = await db.semanticSearch(term, { limit });
-    res.json(results);
+    const facetFields = parseFacets(req.query.facets);
+    const diet = parseDiet(req);
+    const columns = parseColumns(req, 'summary');
+    const facets = facetFields === null ? false : facetFields || true;
+    const page = await db.semanticSearchPage(term, { limit, ...diet, columns, facets, cursor: req.query.cursor });
+    sendPage(req, res, page);
   } catch (error) {
-    console.error(`Error during semantic search for term "${term}":`, error);
+    if (isClientError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+    req.log.error('Error during semantic search', { term, err: error });
     res.status(500).json({ error: 'An error occurred during the semantic search.' });
   }
 });
 
+/**
+ * @api {get} /search/hybrid/:term Perform Hybrid (Full-Text + Semantic) Search for Products
+ * @apiName HybridSearchProducts
+ * @apiGroup Product
+ *
+ * @apiParam {String} term The search term.
+ * @apiQuery {Number{1-100}} [limit=10] The maximum number of results to return.
+ * @apiQuery {Number} [lexicalWeight=1] Weight of the full-text ranker. Raise it for brand-exact queries.
+ * @apiQuery {Number} [semanticWeight=1] Weight of the semantic ranker. Raise it for vague descriptions.
+ * @apiQuery {Number} [k=60] The reciprocal-rank fusion constant.
+ * @apiQuery {String} [facets] Facet fields to count, see `GET /products`.
+ * @apiQuery {String} [excludeAllergens] Allergen tags to exclude, see `GET /products`.
+ * @apiQuery {String} [labels] Required label tags, see `GET /products`.
+ * @apiQuery {String} [cursor] The `next` cursor of the previous page.
+ * @apiQuery {String="array"} [format] Set to `array` to get the bare array of products without the envelope.
+ * @apiQuery {String} [fields] Fields to return, see `GET /product/:code`.
+ * @apiQuery {String="summary","nutrition","standard","full"} [view=summary] A named set of fields.
+ *
+ * @apiSuccess {Object[]} results An array of product objects ordered by fused score. Each has a
+ * `hybrid` object with the fused `score` and, per ranker (`lexical`, `semantic`), its `rank`,
+ * raw score (`bm25` or `distance`) and `contribution` to the fused score, or `null`.
+ * @apiSuccess {String} next The cursor of the next page, or null on the last page.
+ * @apiSuccess {Number} total_estimate How many results can be paged through (at most 200: the top 100 of each ranker).
+ * @apiSuccess {Object} [facets] When requested, the facet counts over the whole fused list.
+ * @apiError (400) InvalidParameter A weight, `k`, a tag list, a facet or the cursor is not valid.
+ */
+router.get('/search/hybrid/:term', async (req, res) => {
+  const { db } = req.app.locals;
+  const { term } = req.params;
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : 10;
+  const lexicalWeight = req.query.lexicalWeight !== undefined ? Number(req.query.lexicalWeight) : 1;
+  const semanticWeight = req.query.semanticWeight !== undefined ? Number(req.query.semanticWeight) : 1;
+  const k = req.query.k !== undefined ? Number(req.query.k) : 60;
+
+  if (!term) {
+    return res.status(400).json({ error: 'Search term is required' });
+  }
+
+  if (isNaN(limit) || limit <= 0 || limit > 100) {
+    return res.status(400).json({ error: 'Invalid limit parameter. Must be a positive integer <= 100.' });
+  }
+
+  const validWeight = w => Number.isFinite(w) && w >= 0;
+  if (!validWeight(lexicalWeight) || !validWeight(semanticWeight) || lexicalWeight + semanticWeight === 0) {
+    return res.status(400).json({ error: 'Invalid weight parameters. Weights must be non-negative numbers and not both zero.' });
+  }
+
+  if (!Number.isFinite(k) || k < 0) {
+    return res.status(400).json({ error: 'Invalid k parameter. Must be a non-negative number.' });
+  }
+
+  try {
+    const facetFields = parseFacets(req.query.facets);
+    const diet = parseDiet(req);
+    const columns = parseColumns(req, 'summary');
+    const facets = facetFields === null ? false : facetFields || true;
+    const page = await db.hybridSearchPage(term, { limit, lexicalWeight, semanticWeight, k, ...diet, columns, facets, cursor: req.query.cursor });
+    sendPage(req, res, page);
+  } catch (error) {
+    if (isClientError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+    req.log.error('Error during hybrid search', { term, err: error });
+    res.status(500).json({ error: 'An error occurred during the hybrid search.' });
+  }
+});
+
+/**
+ * @api {post} /admin/reload Reload the Database
+ * @apiName ReloadDatabase
+ * @apiGroup Admin
+ * @apiDescription Reopens the database file, e.g. after a full import swapped in
+ * a new one. The server also does it on its own when it sees the file replaced,
+ * and on `SIGHUP`.
+ *
+ * @apiHeader {String} Authorization `Bearer <ADMIN_TOKEN>`.
+ *
+ * @apiSuccess {Boolean} reloaded `true`.
+ * @apiError (401) Unauthorized The token is missing or wrong.
+ * @apiError (403) Forbidden No `ADMIN_TOKEN` is configured.
+ * @apiError (500) ReloadFailed The database could not be reopened.
+ */
+router.post('/admin/reload', requireAdmin, (req, res) => {
+  try {
+    reloadDatabase(req.app);
+    res.json({ reloaded: true });
+  } catch (error) {
+    req.log.error('Failed to reload the database', { err: error });
+    res.status(500).json({ error: `Failed to reload the database: ${error.message}` });
+  }
+});
+
+/**
+ * @api {get} /admin/update-status Scheduled Update Status
+ * @apiName GetUpdateStatus
+ * @apiGroup Admin
+ * @apiDescription The status of the updater that applies the delta updates on a
+ * schedule, enabled with `UPDATE_INTERVAL_MINUTES`.
+ *
+ * @apiHeader {String} Authorization `Bearer <ADMIN_TOKEN>`.
+ *
+ * @apiSuccess {Boolean} enabled Whether the updater runs. The other fields are only set when it does.
+ * @apiSuccess {Boolean} running Whether an update is in progress.
+ * @apiSuccess {String} last_run_at When the last update started.
+ * @apiSuccess {String} last_success_at When the last successful update finished.
+ * @apiSuccess {Number} last_delta The end timestamp of the last applied delta file.
+ * @apiSuccess {Object} last_run The `deltas` applied by the last successful update,
+ * and the products it `upserted`, `removed` and `embedded`.
+ * @apiSuccess {Number} products_upserted The products upserted since the server started.
+ * @apiSuccess {Number} consecutive_failures Failed updates since the last success. Each doubles the retry delay.
+ * @apiSuccess {String} next_run_at When the next update starts.
+ * @apiSuccess {Object[]} errors The last errors, newest first, with `at` and `message`.
+ * @apiError (401) Unauthorized The token is missing or wrong.
+ * @apiError (403) Forbidden No `ADMIN_TOKEN` is configured.
+ */
+router.get('/admin/update-status', requireAdmin, (req, res) => {
+  const { updater } = req.app.locals;
+  res.json(updater ? updater.getStatus() : { enabled: false });
+});
+
+/**
+ * @api {get} /metrics Prometheus Metrics
+ * @apiName GetMetrics
+ * @apiGroup System
+ * @apiDescription The metrics of the server in the Prometheus text format:
+ * requests and their durations by route and status, product query and query
+ * embedding durations, row counts, data age and process metrics.
+ *
+ * @apiSuccess {String} metrics The metrics, see `metrics.js`.
+ * @apiError (500) MetricsFailed The metrics could not be collected.
+ */
+router.get('/metrics', async (req, res) => {
+  const { registry } = req.app.locals.metrics;
+  try {
+    const metrics = await registry.metrics();
+    res.set('Content-Type', registry.contentType);
+    res.send(metrics);
+  } catch (error) {
+    req.log.error('Failed to collect the metrics', { err: error });
+    res.status(500).json({ error: 'An error occurred while collecting the metrics.' });
+  }
+});
+
 /**
  * @api {get} / Health Check & Live Search UI
  * @apiName HealthCheck
@@ -128,7 +656,7 @@ app.get('/search/semantic/:term', async (req, res) => {
  *
  * @apiSuccess {String} HTML The live search interface.
  */
-app.get('/', (req, res) => {
+router.get('/', (req, res) => {
   res.setHeader('Content-Type', 'text/html');
   res.send(`
 <!DOCTYPE html>
@@ -188,8 +716,8 @@ app.get('/', (req, res) => {
         if (!response.ok) {
           throw new Error('Network response was not ok');
         }
-        const products = await response.json();
-        displayResults(products);
+        const page = await response.json();
+        displayResults(page.results);
       } catch (error) {
         console.error('Search error:', error);
         statusContainer.innerHTML = '<p style="color: red;">Error performing search.</p>';
@@ -242,25 +770,125 @@ app.get('/', (req, res) => {
   `);
 });
 
+/**
+ * Reopens the database of an app, to serve the new file a full import swapped
+ * in. Requests in flight are not interrupted, see `OpenFoodFactsDB#reopen()`.
+ * @param {express.Express} app The app.
+ * @throws {Error} If the new database cannot be opened.
+ */
+function reloadDatabase(app) {
+  const { db } = app.locals;
+  db.reopen();
+  app.locals.logger.info('Database reloaded', { path: db.db.name, data_version: db.dataVersion });
+}
+
+/**
+ * Watches the database file of an app and reloads it when a full import
+ * replaces the file.
+ * @param {express.Express} app The app.
+ * @param {object} [options={}]
+ * @param {number} [options.intervalMs=DB_WATCH_INTERVAL_MS] How often the file is checked.
+ * @returns {Function} Stops watching.
+ */
+function watchDatabaseFile(app, options = {}) {
+  const { intervalMs = DB_WATCH_INTERVAL_MS } = options;
+  const file = app.locals.db.db.name;
+  const onChange = () => {
+    if (!app.locals.db.isFileReplaced()) return;
+    try {
+      reloadDatabase(app);
+    } catch (error) {
+      app.locals.logger.error('Failed to reload the database', { err: error });
+    }
+  };
+  // Polling sees a rename over the file, which inotify-based watchers can miss.
+  fs.watchFile(file, { interval: intervalMs, persistent: false }, onChange);
+  return () => fs.unwatchFile(file, onChange);
+}
+
+/**
+ * Starts applying the delta updates to the database of an app on a schedule.
+ * Updates write through their own connection and reuse the app's embedder.
+ * @param {express.Express} app The app.
+ * @param {object} options See `createUpdater()`.
+ * @param {number} options.intervalMs The time between updates.
+ * @param {string} [options.deltaUrl] Where the delta files are read from, see `runUpdate()`.
+ * @returns {object} The updater, also stored as `app.locals.updater`.
+ */
+function startUpdater(app, options) {
+  const { deltaUrl, ...schedule } = options;
+  const { db } = app.locals;
+  const logger = app.locals.logger.child({ component: 'updater' });
+  const updater = createUpdater({
+    ...schedule,
+    logger,
+    update: () => runUpdate({ dbPath: db.db.name, deltaUrl, embedder: db.embedder, logger }),
+  });
+  app.locals.updater = updater;
+  updater.start();
+  return updater;
+}
+
+/**
+ * Creates the Express application with its own database connection.
+ * @param {object} [options={}]
+ * @param {string} [options.dbPath] The database file. Defaults to `DB_PATH`.
+ * @param {Function} [options.embedder] The embedding pipeline, e.g. the fake
+ * one from `createFakeEmbedder()`. Defaults to the sentence-transformer model.
+ * @param {string} [options.adminToken=process.env.ADMIN_TOKEN] The token of the
+ * `/admin` endpoints, which are disabled without one.
+ * @param {object} [options.logger] The logger, see `createLogger()`. Defaults to
+ * the logger of the process.
+ * @returns {Promise<express.Express>} The app. Its database is `app.locals.db`,
+ * its metrics `app.locals.metrics` and its logger `app.locals.logger`.
+ */
+async function createApp(options = {}) {
+  const { dbPath, embedder, adminToken = process.env.ADMIN_TOKEN, logger = defaultLogger } = options;
+  const app = express();
+  app.locals.db = await OpenFoodFactsDB.create({ dbPath, embedder });
+  app.locals.adminToken = adminToken;
+  app.locals.logger = logger;
+  app.locals.metrics = createMetrics(app.locals.db);
+
+  // Browsers only let scripts read the response headers listed here.
+  app.use(cors({ exposedHeaders: ['X-Data-Version', 'X-Request-Id'] }));
+  app.use(assignRequestId);
+  app.use(express.json());
+  app.use(logRequests);
+  app.use(recordMetrics);
+  app.use(trackDataVersion);
+  app.use(router);
+  return app;
+}
+
 /**
  * Initializes the database and starts the application.
  * This is the main entry point.
+ * @returns {Promise<express.Express>} The configured app.
  */
 async function main() {
   try {
-    console.log("Initializing application...");
-    db = await OpenFoodFactsDB.create();
-    console.log("Database connection successful.");
-    return app; // Return the configured app
+    defaultLogger.info('Initializing application');
+    // EMBEDDER=fake serves a fixture database offline, without downloading the model.
+    const embedder = process.env.EMBEDDER === 'fake' ? createFakeEmbedder() : undefined;
+    const app = await createApp({ embedder });
+    defaultLogger.info('Database connection successful', { path: app.locals.db.db.name, data_version: app.locals.db.dataVersion });
+    watchDatabaseFile(app);
+    if (UPDATE_INTERVAL_MINUTES > 0) {
+      startUpdater(app, { intervalMs: UPDATE_INTERVAL_MINUTES * 60 * 1000 });
+      defaultLogger.info('Delta updates are applied on a schedule', { interval_minutes: UPDATE_INTERVAL_MINUTES });
+    }
+    return app;
   } catch (error) {
-    console.error("Failed to initialize the application:", error);
+    defaultLogger.error('Failed to initialize the application', { err: error });
     process.exit(1);
   }
 }
 
-
 module.exports = {
-  db, // Note: db will be undefined until main() is called
-  app,
-  main
-}; 
\ No newline at end of file
+  createApp,
+  main,
+  reloadDatabase,
+  startUpdater,
+  watchDatabaseFile,
+};
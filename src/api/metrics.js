@@ -0,0 +1,123 @@
+/**
+ * @fileoverview This module collects the metrics of the API server and exports
+ * them in the Prometheus text format at `GET /metrics`: requests by route and
+ * status, the duration of the full-text and vector queries and of the query
+ * embeddings, the row counts of the database, the age of its data and the
+ * default Node.js process metrics (memory, CPU, event loop lag...).
+ *
+ * Each app has a registry of its own, so several apps (e.g. in the tests) can
+ * run in one process.
+ */
+const client = require('prom-client');
+const { LAST_DELTA_KEY, LAST_IMPORT_KEY } = require('../db/constants');
+
+// In seconds, from a cached product lookup to a cold semantic search.
+const DURATION_BUCKETS = [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Creates the metrics of an app and starts timing the queries of its database.
+ * @param {import('../db/database')} db The database the app serves.
+ * @returns {{registry: client.Registry, observeRequest: Function}} The registry
+ * to export, and `observeRequest(req, res, seconds)` to count a finished request.
+ */
+function createMetrics(db) {
+  const registry = new client.Registry();
+  const registers = [registry];
+  client.collectDefaultMetrics({ register: registry });
+
+  const requests = new client.Counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests by method, route and status.',
+    labelNames: ['method', 'route', 'status'],
+    registers,
+  });
+  const requestDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'Duration of the HTTP requests by method, route and status.',
+    labelNames: ['method', 'route', 'status'],
+    buckets: DURATION_BUCKETS,
+    registers,
+  });
+  const queryDuration = new client.Histogram({
+    name: 'off_db_query_duration_seconds',
+    help: 'Duration of the product queries: full-text (fts), filter-only (filter) and nearest-neighbour (vector).',
+    labelNames: ['type'],
+    buckets: DURATION_BUCKETS,
+    registers,
+  });
+  const embeddingDuration = new client.Histogram({
+    name: 'off_embedding_duration_seconds',
+    help: 'Duration of the embedding of a search query.',
+    buckets: DURATION_BUCKETS,
+    registers,
+  });
+
+  // Counting millions of rows takes a while, and the counts only change with
+  // the data version, so they are cached per connection and version.
+  let counted = null;
+  new client.Gauge({
+    name: 'off_db_rows',
+    help: 'Rows in the main tables of the database.',
+    labelNames: ['table'],
+    registers,
+    collect() {
+      if (!counted || counted.connection !== db.db || counted.version !== db.dataVersion) {
+        counted = { connection: db.db, version: db.dataVersion, rows: db.countRows() };
+      }
+      this.reset();
+      for (const [table, rows] of Object.entries(counted.rows)) {
+        this.set({ table }, rows);
+      }
+    },
+  });
+
+  // The data is as recent as the last applied delta file, or the full import before the first update.
+  const dataTimestamp = () => {
+    const delta = parseInt(db.getMeta(LAST_DELTA_KEY), 10);
+    if (!Number.isNaN(delta)) return delta;
+    const imported = Date.parse(db.getMeta(LAST_IMPORT_KEY));
+    return Number.isNaN(imported) ? null : Math.floor(imported / 1000);
+  };
+  new client.Gauge({
+    name: 'off_data_timestamp_seconds',
+    help: 'End timestamp of the last applied delta file, or time of the full import when no delta was applied.',
+    registers,
+    collect() {
+      // NaN rather than 0 when unknown, which would look like fresh data.
+      const timestamp = dataTimestamp();
+      this.set(timestamp === null ? NaN : timestamp);
+    },
+  });
+  new client.Gauge({
+    name: 'off_data_age_seconds',
+    help: 'Seconds since the end timestamp of the last applied delta file, or since the full import when no delta was applied.',
+    registers,
+    collect() {
+      const timestamp = dataTimestamp();
+      this.set(timestamp === null ? NaN : Date.now() / 1000 - timestamp);
+    },
+  });
+
+  db.onTiming = (operation, seconds) => {
+    if (operation === 'embedding') {
+      embeddingDuration.observe(seconds);
+    } else {
+      queryDuration.observe({ type: operation }, seconds);
+    }
+  };
+
+  return {
+    registry,
+    observeRequest(req, res, seconds) {
+      // The route pattern rather than the URL, to keep the number of series bounded.
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+      const labels = { method: req.method, route, status: res.statusCode };
+      requests.inc(labels);
+      requestDuration.observe(labels, seconds);
+    },
+  };
+}
+
+module.exports = {
+  createMetrics,
+};
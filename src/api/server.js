@@ -4,20 +4,21 @@
  * shutdown procedures to ensure that the database connection and other
  * resources are closed properly.
  */
-const { main, db } = require('./app');
+const { main, reloadDatabase } = require('./app');
+const { logger } = require('../db/logger');
 
 const port = process.env.PORT || 3000;
+let app;
 let server;
 
 async function startServer() {
   try {
-    const app = await main(); // This initializes the db and returns the app
+    app = await main(); // This initializes the db and returns the app
     server = app.listen(port, () => {
-      console.log(`🚀 Server listening on port ${port}`);
-      console.log('Semantic search API is available at /search/semantic/:term');
+      logger.info('Server listening', { port });
     });
   } catch (error) {
-    console.error("Failed to start the server:", error);
+    logger.error('Failed to start the server', { err: error });
     process.exit(1);
   }
 }
@@ -27,14 +28,17 @@ async function startServer() {
  * It closes the HTTP server and the database connection before exiting.
  * This is crucial for preventing data corruption and ensuring a clean exit.
  */
-function gracefulShutdown() {
-  console.log('\nReceived signal to shut down. Closing server and database...');
+function gracefulShutdown(signal) {
+  logger.info('Shutting down, closing the server and database', { signal });
+  if (app && app.locals.updater) {
+    app.locals.updater.stop();
+  }
   if (server) {
     server.close(() => {
-      console.log('✅ Server has been shut down gracefully.');
-      if (db) {
-        db.close();
-        console.log('✅ Database connection closed.');
+      logger.info('Server has been shut down gracefully');
+      if (app) {
+        app.locals.db.close();
+        logger.info('Database connection closed');
       }
       process.exit(0);
     });
@@ -43,9 +47,23 @@ function gracefulShutdown() {
   }
 }
 
+/**
+ * Reopens the database, e.g. after a full import swapped in a new file.
+ */
+function reload() {
+  if (!app) return;
+  try {
+    reloadDatabase(app);
+  } catch (error) {
+    logger.error('Failed to reload the database', { err: error });
+  }
+}
+
 // Listen for termination signals
 process.on('SIGINT', gracefulShutdown);
 process.on('SIGTERM', gracefulShutdown);
+// SIGHUP reloads the database
+process.on('SIGHUP', reload);
 
 startServer();
 
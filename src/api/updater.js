@@ -0,0 +1,110 @@
+/**
+ * @fileoverview This module runs the delta updates of `update.js` on a
+ * schedule inside the API server, so that no external cron job is needed.
+ * Updates write through a connection of their own while the server keeps
+ * serving, and the server picks the new data up (see
+ * `OpenFoodFactsDB#refreshIfChanged()`). Failed runs are retried with an
+ * exponential backoff, and the status of the updater is published at
+ * `GET /admin/update-status`.
+ */
+const { logger: defaultLogger } = require('../db/logger');
+
+// How many recent errors the status keeps.
+const MAX_ERRORS = 10;
+
+/**
+ * Creates a scheduled updater. Runs never overlap: the next run is scheduled
+ * when the previous one has finished.
+ * @param {object} options
+ * @param {Function} options.update Runs one update and resolves with its
+ * summary, see `runUpdate()`.
+ * @param {number} options.intervalMs The time between the end of a successful run and the next one.
+ * @param {number} [options.retryDelayMs=60000] The delay before retrying a failed
+ * run. It doubles with every consecutive failure.
+ * @param {number} [options.maxRetryDelayMs=intervalMs] The longest delay between retries.
+ * @param {object} [options.logger] The logger of the failed runs. Defaults to the logger of the process.
+ * @returns {{start: Function, stop: Function, getStatus: Function}} `start()`
+ * runs the first update right away. `stop()` cancels the next run; a run in
+ * progress is finished. `getStatus()` returns the status published by the API.
+ * @throws {Error} If the interval is not a positive number.
+ */
+function createUpdater(options) {
+  const { update, intervalMs, retryDelayMs = 60 * 1000, maxRetryDelayMs = intervalMs, logger = defaultLogger } = options;
+  if (!(intervalMs > 0)) {
+    throw new Error(`Invalid update interval: ${intervalMs}`);
+  }
+
+  const status = {
+    enabled: true,
+    running: false,
+    interval_ms: intervalMs,
+    last_run_at: null,
+    last_success_at: null,
+    last_delta: null,
+    last_run: null,
+    products_upserted: 0,
+    consecutive_failures: 0,
+    next_run_at: null,
+    errors: [],
+  };
+  let timer = null;
+  let stopped = true;
+
+  const schedule = (delayMs) => {
+    if (stopped) return;
+    status.next_run_at = new Date(Date.now() + delayMs).toISOString();
+    timer = setTimeout(run, delayMs);
+    // A pending update must not keep the process alive on shutdown.
+    timer.unref();
+  };
+
+  async function run() {
+    timer = null;
+    status.running = true;
+    status.next_run_at = null;
+    status.last_run_at = new Date().toISOString();
+    try {
+      const summary = await update();
+      status.last_success_at = new Date().toISOString();
+      status.last_run = {
+        deltas: summary.deltas,
+        upserted: summary.upserted,
+        removed: summary.removed,
+        embedded: summary.embedded,
+      };
+      status.last_delta = summary.lastDelta;
+      status.products_upserted += summary.upserted;
+      status.consecutive_failures = 0;
+      schedule(intervalMs);
+    } catch (error) {
+      status.consecutive_failures++;
+      status.errors = [{ at: new Date().toISOString(), message: error.message }, ...status.errors].slice(0, MAX_ERRORS);
+      const delayMs = Math.min(maxRetryDelayMs, retryDelayMs * 2 ** (status.consecutive_failures - 1));
+      logger.error('Scheduled update failed', { consecutive_failures: status.consecutive_failures, retry_in_ms: delayMs, err: error });
+      schedule(delayMs);
+    } finally {
+      status.running = false;
+    }
+  }
+
+  return {
+    start() {
+      if (!stopped) return;
+      stopped = false;
+      schedule(0);
+    },
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+      timer = null;
+      status.next_run_at = null;
+    },
+    getStatus() {
+      return { ...status, errors: [...status.errors] };
+    },
+  };
+}
+
+module.exports = {
+  createUpdater,
+};
@@ -0,0 +1,77 @@
+const { createUpdater } = require('./updater');
+
+const SUMMARY = { deltas: ['openfoodfacts_products_1000_2000.json.gz'], lastDelta: 2000, upserted: 3, removed: 1, embedded: 3 };
+
+describe('updater', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should run right away and then after every interval', async () => {
+    const update = jest.fn().mockResolvedValue(SUMMARY);
+    const updater = createUpdater({ update, intervalMs: 60000 });
+    updater.start();
+
+    await jest.advanceTimersByTimeAsync(0);
+    expect(update).toHaveBeenCalledTimes(1);
+    expect(updater.getStatus()).toMatchObject({
+      enabled: true,
+      running: false,
+      last_delta: 2000,
+      last_run: { deltas: SUMMARY.deltas, upserted: 3, removed: 1, embedded: 3 },
+      products_upserted: 3,
+      consecutive_failures: 0,
+      errors: [],
+    });
+    expect(updater.getStatus().next_run_at).not.toBeNull();
+
+    await jest.advanceTimersByTimeAsync(59999);
+    expect(update).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(update).toHaveBeenCalledTimes(2);
+    expect(updater.getStatus().products_upserted).toBe(6);
+
+    updater.stop();
+    await jest.advanceTimersByTimeAsync(120000);
+    expect(update).toHaveBeenCalledTimes(2);
+    expect(updater.getStatus().next_run_at).toBeNull();
+  });
+
+  it('should retry failed runs with an exponential backoff', async () => {
+    const update = jest.fn()
+      .mockRejectedValueOnce(new Error('index.txt: 503'))
+      .mockRejectedValueOnce(new Error('index.txt: 503'))
+      .mockRejectedValueOnce(new Error('index.txt: 503'))
+      .mockResolvedValue(SUMMARY);
+    const updater = createUpdater({ update, intervalMs: 3600000, retryDelayMs: 1000, maxRetryDelayMs: 3000 });
+    updater.start();
+
+    await jest.advanceTimersByTimeAsync(0);
+    expect(updater.getStatus()).toMatchObject({ consecutive_failures: 1, last_success_at: null });
+    expect(updater.getStatus().errors).toEqual([{ at: expect.any(String), message: 'index.txt: 503' }]);
+
+    // Retried after 1s, then 2s, then 3s instead of 4s.
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(update).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(update).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(update).toHaveBeenCalledTimes(3);
+    await jest.advanceTimersByTimeAsync(3000);
+    expect(update).toHaveBeenCalledTimes(4);
+
+    const status = updater.getStatus();
+    expect(status.consecutive_failures).toBe(0);
+    expect(status.last_success_at).not.toBeNull();
+    expect(status.errors).toHaveLength(3);
+    updater.stop();
+  });
+
+  it('should reject an invalid interval', () => {
+    expect(() => createUpdater({ update: jest.fn(), intervalMs: 0 })).toThrow('Invalid update interval');
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview This module validates and normalizes product barcodes.
+ * It is used at import time, so that products are stored under a canonical
+ * code, and at lookup time, so that the different ways a client may write
+ * the same barcode all find the product.
+ *
+ * Canonical forms follow OpenFoodFacts conventions:
+ * - GTIN-8 (EAN-8) codes are kept as-is.
+ * - GTIN-12 (UPC-A) codes are zero-padded to 13 digits (EAN-13).
+ * - GTIN-14 codes with a leading zero are reduced to 13 digits.
+ * Codes of other lengths (e.g. store-internal codes) are not GTINs and are
+ * only stripped of whitespace and dashes.
+ */
+
+const GTIN_LENGTHS = [8, 12, 13, 14];
+
+/**
+ * Error raised when a barcode is malformed or its check digit is wrong.
+ * The API maps it to a 400 response.
+ */
+class BarcodeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BarcodeError';
+  }
+}
+
+/**
+ * Computes the GS1 check digit for the digits preceding it.
+ * Weights alternate 3, 1, 3, ... starting from the rightmost digit.
+ * @param {string} body The barcode without its check digit.
+ * @returns {number} The expected check digit.
+ */
+function computeCheckDigit(body) {
+  let sum = 0;
+  for (let i = 0; i < body.length; i++) {
+    const digit = body.charCodeAt(body.length - 1 - i) - 48;
+    sum += i % 2 === 0 ? digit * 3 : digit;
+  }
+  return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * Tells whether a digit string is a GTIN with a valid check digit.
+ * @param {string} digits The barcode digits.
+ * @returns {boolean}
+ */
+function isValidGtin(digits) {
+  if (!GTIN_LENGTHS.includes(digits.length) || !/^\d+$/.test(digits)) {
+    return false;
+  }
+  return computeCheckDigit(digits.slice(0, -1)) === Number(digits[digits.length - 1]);
+}
+
+/**
+ * Validates a barcode and converts it to its canonical form.
+ * @param {string|number} input The barcode as written by the client or the source data.
+ * @returns {{input: string, code: string, format: (string|null), corrected: boolean, variants: string[]}}
+ * `code` is the canonical form, `format` the GTIN type (null for non-GTIN codes),
+ * `corrected` whether `code` differs from the input, and `variants` other forms
+ * of the same GTIN that older databases may have stored.
+ * @throws {BarcodeError} If the barcode is empty, contains non-digits, or has a wrong check digit.
+ */
+function normalizeBarcode(input) {
+  const raw = input == null ? '' : String(input);
+  const digits = raw.replace(/[\s-]/g, '');
+
+  if (digits === '') {
+    throw new BarcodeError('Barcode is empty.');
+  }
+  if (!/^\d+$/.test(digits)) {
+    throw new BarcodeError(`Barcode "${raw}" must contain only digits.`);
+  }
+
+  let format = null;
+  let code = digits;
+  if (GTIN_LENGTHS.includes(digits.length)) {
+    format = `GTIN-${digits.length}`;
+    const expected = computeCheckDigit(digits.slice(0, -1));
+    const actual = Number(digits[digits.length - 1]);
+    if (expected !== actual) {
+      throw new BarcodeError(`Invalid check digit for ${format} "${digits}": expected ${expected}, got ${actual}.`);
+    }
+
+    if (digits.length === 12) {
+      code = `0${digits}`;
+    } else if (digits.length === 14 && digits.startsWith('0')) {
+      code = digits.slice(1);
+    }
+  }
+
+  const variants = [];
+  if (code.length === 13 && code.startsWith('0')) {
+    variants.push(code.slice(1));
+  }
+  if (digits !== code && !variants.includes(digits)) {
+    variants.push(digits);
+  }
+
+  return { input: raw, code, format, corrected: code !== raw, variants };
+}
+
+/**
+ * Returns the code a product is stored under. Codes that fail validation
+ * (OpenFoodFacts contains some with wrong check digits) are kept as written,
+ * minus surrounding whitespace, rather than dropping the product.
+ * @param {string|number} code The code from the source data.
+ * @returns {string}
+ */
+function canonicalCode(code) {
+  try {
+    return normalizeBarcode(code).code;
+  } catch (error) {
+    return String(code).trim();
+  }
+}
+
+module.exports = {
+  GTIN_LENGTHS,
+  BarcodeError,
+  canonicalCode,
+  computeCheckDigit,
+  isValidGtin,
+  normalizeBarcode,
+};
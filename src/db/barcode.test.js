@@ -0,0 +1,69 @@
+const { BarcodeError, canonicalCode, computeCheckDigit, isValidGtin, normalizeBarcode } = require('./barcode');
+
+describe('barcode', () => {
+  describe('computeCheckDigit', () => {
+    it('should compute GS1 check digits', () => {
+      expect(computeCheckDigit('301762042200')).toBe(3);
+      expect(computeCheckDigit('03600029145')).toBe(2);
+      expect(computeCheckDigit('9638507')).toBe(4);
+    });
+  });
+
+  describe('isValidGtin', () => {
+    it('should accept valid GTIN-8/12/13/14 codes only', () => {
+      expect(isValidGtin('96385074')).toBe(true);
+      expect(isValidGtin('036000291452')).toBe(true);
+      expect(isValidGtin('3017620422003')).toBe(true);
+      expect(isValidGtin('00012345600012')).toBe(true);
+      expect(isValidGtin('3017620422004')).toBe(false);
+      expect(isValidGtin('12345')).toBe(false);
+    });
+  });
+
+  describe('normalizeBarcode', () => {
+    it('should keep canonical EAN-13 and EAN-8 codes unchanged', () => {
+      expect(normalizeBarcode('3017620422003')).toMatchObject({ code: '3017620422003', format: 'GTIN-13', corrected: false });
+      expect(normalizeBarcode('96385074')).toMatchObject({ code: '96385074', format: 'GTIN-8', corrected: false });
+    });
+
+    it('should zero-pad UPC-A codes to EAN-13', () => {
+      expect(normalizeBarcode('036000291452')).toEqual({
+        input: '036000291452',
+        code: '0036000291452',
+        format: 'GTIN-12',
+        corrected: true,
+        variants: ['036000291452'],
+      });
+    });
+
+    it('should reduce GTIN-14 codes with a leading zero to EAN-13', () => {
+      expect(normalizeBarcode('03017620422003')).toMatchObject({ code: '3017620422003', format: 'GTIN-14', corrected: true });
+    });
+
+    it('should strip whitespace and dashes', () => {
+      expect(normalizeBarcode(' 301-7620 422003 ')).toMatchObject({ code: '3017620422003', corrected: true });
+    });
+
+    it('should pass through codes that are not GTINs', () => {
+      expect(normalizeBarcode('12345')).toMatchObject({ code: '12345', format: null, corrected: false });
+    });
+
+    it('should reject invalid check digits with the expected digit', () => {
+      expect(() => normalizeBarcode('3017620422004')).toThrow(BarcodeError);
+      expect(() => normalizeBarcode('3017620422004')).toThrow('expected 3, got 4');
+    });
+
+    it('should reject empty and non-numeric codes', () => {
+      expect(() => normalizeBarcode('  ')).toThrow(BarcodeError);
+      expect(() => normalizeBarcode('30176204a2003')).toThrow('must contain only digits');
+    });
+  });
+
+  describe('canonicalCode', () => {
+    it('should normalize valid codes and keep the others as written', () => {
+      expect(canonicalCode('036000291452')).toBe('0036000291452');
+      expect(canonicalCode(' 3017620422004 ')).toBe('3017620422004');
+      expect(canonicalCode('abc-123')).toBe('abc-123');
+    });
+  });
+});
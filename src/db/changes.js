@@ -0,0 +1,83 @@
+/**
+ * @fileoverview This module writes the `product_changes` log, which records
+ * every insert, update and removal applied to products by the delta updates,
+ * so that downstream consumers can sync incrementally through `GET /changes`.
+ * The table is created by the `006-product-changes` and `007-change-columns`
+ * migrations.
+ */
+
+/**
+ * Normalizes a column value for comparison: SQLite may store a value with a
+ * different type than the source data (e.g. `"4"` as the integer 4).
+ * @param {*} value
+ * @returns {string|null}
+ */
+function comparable(value) {
+  return value == null ? null : String(value);
+}
+
+/**
+ * Lists the columns whose value differs between the stored row of a product
+ * and the row about to be written.
+ * @param {object|undefined} before The stored `products` row, if any.
+ * @param {object} after The product returned by `transformProduct()`.
+ * @returns {string[]} Every column of `after` for a new product.
+ */
+function changedColumns(before, after) {
+  return Object.keys(after)
+    .filter(column => column !== 'details')
+    .filter(column => !before || comparable(before[column]) !== comparable(after[column]));
+}
+
+/**
+ * Prepares the statements that append to the change log.
+ * @param {import('better-sqlite3').Database} db The database connection.
+ * @returns {{snapshot: Function, recordWrite: Function, record: Function}}
+ * `snapshot(id)` reads the stored row of a product before it is written, and
+ * `recordWrite(before, product, deltaFile)` logs the resulting insert or update.
+ * `record(change)` appends any change and returns its id. All of them should
+ * run in the same transaction as the change itself.
+ */
+function prepareChangeLog(db) {
+  const snapshotStmt = db.prepare('SELECT * FROM products WHERE id = ?');
+  const insertStmt = db.prepare(`
+    INSERT INTO product_changes (product_id, operation, reason, delta_file, columns)
+    VALUES (@productId, @operation, @reason, @deltaFile, @columns)
+  `);
+
+  /**
+   * @param {object} change
+   * @param {string} change.productId The product id.
+   * @param {'insert'|'update'|'delete'} change.operation What happened to the product.
+   * @param {string} [change.reason] Why, e.g. `deleted` or `emptied` for a removal.
+   * @param {string} [change.deltaFile] The delta file the change came from.
+   * @param {string[]} [change.columns] The columns an insert or update changed.
+   * @returns {number}
+   */
+  const record = ({ productId, operation, reason = null, deltaFile = null, columns = null }) => {
+    const params = { productId, operation, reason, deltaFile, columns: columns ? JSON.stringify(columns) : null };
+    return Number(insertStmt.run(params).lastInsertRowid);
+  };
+
+  return {
+    snapshot: id => snapshotStmt.get(id),
+    /**
+     * Logs the write of a product, unless it changed nothing.
+     * @param {object|undefined} before The row returned by `snapshot()` before the write.
+     * @param {object} product The product that was written.
+     * @param {string} [deltaFile] The delta file the product came from.
+     * @returns {number|null} The change id, or null if nothing changed.
+     */
+    recordWrite(before, product, deltaFile) {
+      const columns = changedColumns(before, product);
+      if (columns.length === 0) return null;
+      return record({ productId: product.id, operation: before ? 'update' : 'insert', deltaFile, columns });
+    },
+    record,
+  };
+}
+
+module.exports = {
+  changedColumns,
+  prepareChangeLog,
+};
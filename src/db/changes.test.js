@@ -0,0 +1,80 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { buildFixtureDb } = require('../test/fixture-db');
+const { changedColumns, prepareChangeLog } = require('./changes');
+const { transformProduct } = require('./transformer');
+const { prepareProductWriter } = require('./writer');
+
+describe('changes', () => {
+  let dir;
+  let db;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'off-changes-'));
+    db = new Database(await buildFixtureDb(path.join(dir, 'products.db')));
+  });
+
+  afterEach(() => {
+    db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should remove a product with its details and log the removal', () => {
+    const writer = prepareProductWriter(db);
+    const changeLog = prepareChangeLog(db);
+    const rowid = db.prepare('SELECT rowid FROM products WHERE id = ?').pluck().get('3017620422003');
+
+    db.transaction(() => {
+      expect(writer.remove('3017620422003')).toBe(rowid);
+      changeLog.record({ productId: '3017620422003', operation: 'delete', reason: 'deleted', deltaFile: 'delta_1_2.json.gz' });
+    })();
+
+    expect(db.prepare('SELECT COUNT(*) FROM products WHERE id = ?').pluck().get('3017620422003')).toBe(0);
+    expect(db.prepare('SELECT COUNT(*) FROM product_allergens WHERE product_id = ?').pluck().get('3017620422003')).toBe(0);
+    expect(db.prepare("SELECT COUNT(*) FROM products_fts WHERE products_fts MATCH 'nutella'").pluck().get()).toBe(0);
+    expect(db.prepare('SELECT product_id, operation, reason, delta_file FROM product_changes').all()).toEqual([
+      { product_id: '3017620422003', operation: 'delete', reason: 'deleted', delta_file: 'delta_1_2.json.gz' },
+    ]);
+  });
+
+  it('should return null when removing an unknown product', () => {
+    expect(prepareProductWriter(db).remove('0000000000000')).toBeNull();
+  });
+
+  it('should log inserts and updates with the columns they changed', () => {
+    const writer = prepareProductWriter(db);
+    const changeLog = prepareChangeLog(db);
+    const write = (raw) => {
+      const product = transformProduct(JSON.stringify(raw));
+      const before = changeLog.snapshot(product.id);
+      writer.write(product);
+      return changeLog.recordWrite(before, product, 'delta_1_2.json.gz');
+    };
+
+    write({ code: '0000000000017', product_name: 'Crackers', nova_group: '3' });
+    write({ code: '0000000000017', product_name: 'Crackers', nova_group: '3' });
+    write({ code: '0000000000017', product_name: 'Crackers complets', nova_group: 3 });
+
+    const changes = db.prepare('SELECT product_id, operation, columns FROM product_changes ORDER BY id').all();
+    expect(changes).toHaveLength(2);
+    expect(changes[0].operation).toBe('insert');
+    expect(JSON.parse(changes[0].columns)).toContain('product_name');
+    expect(changes[1]).toEqual({
+      product_id: '0000000000017',
+      operation: 'update',
+      columns: JSON.stringify(['product_name', 'raw_data', 'search_text']),
+    });
+  });
+
+  describe('changedColumns', () => {
+    it('should ignore type differences introduced by SQLite', () => {
+      expect(changedColumns({ nova_group: 4, fat_100g: 0.5 }, { nova_group: '4', fat_100g: '0.5' })).toEqual([]);
+    });
+
+    it('should list every column of a new product except its details', () => {
+      expect(changedColumns(undefined, { id: '1', product_name: 'A', details: {} })).toEqual(['id', 'product_name']);
+    });
+  });
+});
@@ -1,4 +1,5 @@
 const path = require('path');
+const os = require('os');
 
 const DB_FILENAME = 'products.db';
 const SOURCE_FILENAME = 'openfoodfacts-products.jsonl';
@@ -8,8 +9,26 @@ module.exports = {
   DB_FILENAME,
   SOURCE_FILENAME,
   DATA_DIR,
-  DB_PATH: path.join(DATA_DIR, DB_FILENAME),
+  // The database file can be overridden, e.g. to serve a fixture database.
+  DB_PATH: process.env.DB_PATH || path.join(DATA_DIR, DB_FILENAME),
   SOURCE_PATH: path.join(DATA_DIR, SOURCE_FILENAME),
-  DELTA_URL: 'https://static.openfoodfacts.org/data/delta/',
-  DELTA_INDEX_URL: 'https://static.openfoodfacts.org/data/delta/index.txt',
+  // How many previous versions of each product the updates keep, see `revisions.js`.
+  PRODUCT_REVISIONS: process.env.PRODUCT_REVISIONS !== undefined ? parseInt(process.env.PRODUCT_REVISIONS, 10) : 5,
+  // How many worker threads transform products during the full import, see `import-pipeline.js`.
+  IMPORT_WORKERS: process.env.IMPORT_WORKERS !== undefined
+    ? parseInt(process.env.IMPORT_WORKERS, 10)
+    : Math.max(1, os.cpus().length - 1),
+  // How many dynamically built statements (filtered searches...) stay prepared, see `OpenFoodFactsDB#cachedStatement()`.
+  STATEMENT_CACHE_SIZE: parseInt(process.env.STATEMENT_CACHE_SIZE, 10) || 200,
+  // The `meta` keys recording when the data last changed, see `OpenFoodFactsDB#readDataVersion()`.
+  LAST_IMPORT_KEY: 'last_full_import_date',
+  LAST_DELTA_KEY: 'last_applied_delta_timestamp',
+  // The directory holding the delta files and their `index.txt`, e.g. a mirror.
+  DELTA_URL: process.env.OFF_DELTA_URL || 'https://static.openfoodfacts.org/data/delta/',
+  // The least severe level that is logged, see `logger.js`. The tests log nothing.
+  LOG_LEVEL: process.env.LOG_LEVEL || (process.env.NODE_ENV === 'test' ? 'silent' : 'info'),
+  // `json` (one object per line) or `pretty`. Defaults to `pretty` in a terminal.
+  LOG_FORMAT: process.env.LOG_FORMAT || (process.stdout.isTTY ? 'pretty' : 'json'),
+  // Extra field names whose values are hidden in the logs, comma-separated.
+  LOG_REDACT: (process.env.LOG_REDACT || '').split(',').map(key => key.trim()).filter(Boolean),
 }; 
\ No newline at end of file
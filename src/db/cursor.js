@@ -0,0 +1,79 @@
+/**
+ * @fileoverview This module encodes and decodes the opaque pagination cursors
+ * returned by the search endpoints. A cursor is a small JSON object (e.g. the
+ * last rank and rowid of a page) serialized as base64url, so clients can pass
+ * it back verbatim without depending on its contents.
+ *
+ * Search cursors also carry a hash of the query they were issued for (term,
+ * filters...), so that a cursor passed along with other parameters is
+ * rejected instead of resuming an unrelated result list.
+ */
+const crypto = require('crypto');
+
+/**
+ * Error raised when a client sends a cursor that cannot be decoded or that
+ * belongs to a different kind of query. The API maps it to a 400 response.
+ */
+class CursorError extends Error {
+  constructor(message = 'Invalid cursor.') {
+    super(message);
+    this.name = 'CursorError';
+  }
+}
+
+/**
+ * Hashes the parameters that define a result list.
+ * @param {*} query Any JSON-serializable value.
+ * @returns {string} A short hash.
+ */
+function hashQuery(query) {
+  return crypto.createHash('sha256').update(JSON.stringify(query)).digest('base64url').slice(0, 16);
+}
+
+/**
+ * Encodes a cursor payload into an opaque string.
+ * @param {object} payload The position to resume from.
+ * @param {*} [query] The parameters of the query the cursor belongs to, stored as a hash.
+ * @returns {string}
+ */
+function encodeCursor(payload, query) {
+  const tied = query === undefined ? payload : { ...payload, q: hashQuery(query) };
+  return Buffer.from(JSON.stringify(tied)).toString('base64url');
+}
+
+/**
+ * Decodes an opaque cursor string.
+ * @param {string|undefined} cursor The cursor sent by the client.
+ * @param {string} kind The expected cursor kind (the `k` field of the payload).
+ * @param {*} [query] The parameters of the current query, as passed to `encodeCursor()`.
+ * @returns {object | null} The payload, or null when no cursor was given.
+ * @throws {CursorError} If the cursor is malformed, of another kind, or was
+ * issued for another query.
+ */
+function decodeCursor(cursor, kind, query) {
+  if (cursor == null || cursor === '') return null;
+  if (typeof cursor !== 'string') {
+    throw new CursorError();
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new CursorError();
+  }
+
+  if (!payload || typeof payload !== 'object' || payload.k !== kind) {
+    throw new CursorError('Cursor does not belong to this query.');
+  }
+  if (query !== undefined && payload.q !== hashQuery(query)) {
+    throw new CursorError('Cursor does not belong to this query.');
+  }
+  return payload;
+}
+
+module.exports = {
+  CursorError,
+  encodeCursor,
+  decodeCursor,
+};
@@ -0,0 +1,37 @@
+const { CursorError, decodeCursor, encodeCursor } = require('./cursor');
+
+describe('cursor', () => {
+  it('should decode the payload it encoded', () => {
+    const payload = { k: 'products', s: 'relevance', v: -1.25, r: 42 };
+    const cursor = encodeCursor(payload);
+
+    expect(cursor).toMatch(/^[\w-]+$/);
+    expect(decodeCursor(cursor, 'products')).toEqual(payload);
+  });
+
+  it('should return null when no cursor is given', () => {
+    expect(decodeCursor(undefined, 'products')).toBeNull();
+    expect(decodeCursor('', 'products')).toBeNull();
+  });
+
+  it('should reject malformed or tampered cursors', () => {
+    const tampered = encodeCursor({ k: 'products', r: 1 }).slice(0, -3);
+    for (const cursor of ['nope', tampered, encodeCursor(null), encodeCursor('products'), ['a']]) {
+      expect(() => decodeCursor(cursor, 'products')).toThrow(CursorError);
+    }
+  });
+
+  it('should reject a cursor of another kind', () => {
+    const cursor = encodeCursor({ k: 'semantic', n: 10 });
+    expect(() => decodeCursor(cursor, 'products')).toThrow('Cursor does not belong to this query.');
+  });
+
+  it('should reject a cursor issued for another query', () => {
+    const query = { term: 'chocolate', labels: ['en:organic'] };
+    const cursor = encodeCursor({ k: 'semantic', n: 10 }, query);
+
+    expect(decodeCursor(cursor, 'semantic', { term: 'chocolate', labels: ['en:organic'] })).toMatchObject({ n: 10 });
+    expect(() => decodeCursor(cursor, 'semantic', { term: 'chocolate', labels: [] })).toThrow('Cursor does not belong to this query.');
+    expect(() => decodeCursor(encodeCursor({ k: 'semantic', n: 10 }), 'semantic', query)).toThrow(CursorError);
+  });
+});
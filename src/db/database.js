@@ -1,27 +1,211 @@
+const fs = require('fs');
+const { performance } = require('perf_hooks');
 const Database = require('better-sqlite3');
-const { DB_PATH } = require('./constants');
-const { transformProduct } = require('./transformer');
+const { DB_PATH, LAST_IMPORT_KEY, LAST_DELTA_KEY, STATEMENT_CACHE_SIZE } = require('./constants');
 const sqliteVec = require('sqlite-vec');
-const { pipeline, cos_sim } = require('@xenova/transformers');
+const { PipelineSingleton, hasVecTable, toVectorBuffer } = require('./embeddings');
+const { FilterError, assertFilterable, compileFilters, compileDietFilters } = require('./filters');
+const { DEFAULT_RRF_K, reciprocalRankFusion } = require('./ranking');
+const { CursorError, encodeCursor, decodeCursor } = require('./cursor');
+const { BarcodeError, canonicalCode, normalizeBarcode } = require('./barcode');
+const { PRODUCT_COLUMNS, VIEWS, assertColumns, splitFields } = require('./fields');
+const { attachDetails } = require('./details');
+const { SCHEMA_VERSION_KEY, assertSchemaVersion, migrate } = require('./migrations');
+const { logger } = require('./logger');
+const { buildHistory } = require('./revisions');
+
+const MAX_LIMIT = 100;
+// Counting stops here so that `total_estimate` stays cheap on huge match sets.
+const TOTAL_ESTIMATE_CAP = 10000;
+// How deep semantic results can be paginated.
+const SEMANTIC_MAX_DEPTH = 1000;
+// Facets are counted over at most this many matching products.
+const FACET_SAMPLE_LIMIT = 10000;
+// List facets (brands, countries) only report their most frequent values.
+const FACET_TOP_VALUES = 10;
+// Facet fields: scalar columns are counted as-is, list columns are split on commas.
+const FACET_FIELDS = {
+    nutriscore_grade: 'scalar',
+    nova_group: 'scalar',
+    ecoscore_grade: 'scalar',
+    brands: 'list',
+    countries: 'list',
+};
+// Each ranker contributes this many candidates to a hybrid search. The depth
+// must not depend on the page, otherwise the fused order would shift between pages.
+const HYBRID_CANDIDATES = 100;
+// The change feed serves larger pages, as consumers replay all of it.
+const CHANGES_MAX_LIMIT = 1000;
+
+/**
+ * Sanitizes and formats a free-text term for FTS5.
+ * Each token is wrapped in double quotes to be treated as a literal,
+ * preventing characters like '-' from being interpreted as operators.
+ * A wildcard '*' is appended for prefix searching.
+ * @param {string} term The raw search term.
+ * @returns {string} The FTS5 query string.
+ */
+function toFtsQuery(term) {
+    return term
+        .split(/\s+/)
+        .filter(t => t)
+        .map(t => `"${t.replace(/"/g, '""')}"*`)
+        .join(' ');
+}
+
+/**
+ * Builds the FROM and WHERE parts shared by all queries over a match set:
+ * the optional FTS match, the completeness flag, the structured filters and
+ * the diet filters. The `products` table is aliased `p` and the FTS table `fts`.
+ * @param {object} options
+ * @param {string} [options.term] An optional full-text search term.
+ * @param {Array<object>} [options.filters=[]] Filters returned by `parseFilters()`.
+ * @param {boolean} [options.completeOnly=false] Whether to only match products with complete data.
+ * @param {string[]} [options.excludeAllergens=[]] Allergen tags returned by `parseTags()`.
+ * @param {string[]} [options.labels=[]] Label tags returned by `parseTags()`.
+ * @returns {{hasTerm: boolean, from: string, clauses: string[], params: Array}}
+ */
+function buildMatchQuery({ term, filters = [], completeOnly = false, excludeAllergens = [], labels = [] }) {
+    const hasTerm = typeof term === 'string' && term.trim() !== '';
+    const { clauses, params } = compileFilters(filters, 'p');
+    const diet = compileDietFilters({ excludeAllergens, labels }, 'p');
+    clauses.push(...diet.clauses);
+    params.push(...diet.params);
+    if (completeOnly) {
+        clauses.unshift('p.completeness >= 1');
+    }
+
+    let from = 'products p';
+    if (hasTerm) {
+        from = 'products_fts fts JOIN products p ON p.rowid = fts.rowid';
+        clauses.unshift('fts.products_fts MATCH ?');
+        params.unshift(toFtsQuery(term));
+    }
+    return { hasTerm, from, clauses, params };
+}
+
+/**
+ * Tells whether the sort value of a cursor can be bound to its query: the
+ * bm25 rank for relevance, and a column value (possibly null) otherwise.
+ * @param {*} value The `v` field of the cursor.
+ * @param {string} sortKey The sort key of the query.
+ * @returns {boolean}
+ */
+function isCursorValue(value, sortKey) {
+    if (sortKey === 'relevance') return Number.isFinite(value);
+    return value === null || Number.isFinite(value) || typeof value === 'string';
+}
+
+/**
+ * Adds one occurrence of a value to a facet's counts.
+ * @param {Map<*, number>} counts The counts of one facet.
+ * @param {*} value The value to count.
+ */
+function countValue(counts, value) {
+    counts.set(value, (counts.get(value) || 0) + 1);
+}
 
 /**
- * A singleton class to manage the sentence-transformer pipeline.
- * Ensures the model is loaded only once.
+ * Ensures every requested field can be faceted.
+ * @param {string[]} fields The requested facet fields.
+ * @throws {FilterError} If a field cannot be faceted.
  */
-class PipelineSingleton {
-    static task = 'feature-extraction';
-    static model = 'Xenova/all-MiniLM-L6-v2';
-    static instance = null;
-
-    static async getInstance(progress_callback = null) {
-        if (this.instance === null) {
-            console.log('Loading sentence-transformer model for the first time...');
-            this.instance = pipeline(this.task, this.model, { progress_callback });
+function assertFacetFields(fields) {
+    for (const field of fields) {
+        if (!Object.prototype.hasOwnProperty.call(FACET_FIELDS, field)) {
+            throw new FilterError(`Unknown facet "${field}". Allowed facets: ${Object.keys(FACET_FIELDS).join(', ')}.`);
         }
-        return this.instance;
     }
 }
 
+/**
+ * Counts the values of the facet fields over a set of products. Scalar fields
+ * report every value (including `null` for unknown), list fields their top
+ * `FACET_TOP_VALUES` values.
+ * @param {Array<object>} rows The products, with the facet fields.
+ * @param {string[]} fields The fields to count.
+ * @returns {Object<string, Array<{value: *, count: number}>>}
+ */
+function countFacets(rows, fields) {
+    const counts = Object.fromEntries(fields.map(field => [field, new Map()]));
+    for (const row of rows) {
+        for (const field of fields) {
+            const value = row[field];
+            if (FACET_FIELDS[field] === 'scalar') {
+                countValue(counts[field], value);
+            } else if (value) {
+                // A product listing the same value twice is counted once.
+                const values = new Set(value.split(',').map(v => v.trim()).filter(v => v !== ''));
+                values.forEach(v => countValue(counts[field], v));
+            }
+        }
+    }
+
+    const result = {};
+    for (const field of fields) {
+        const buckets = [...counts[field]]
+            .map(([value, count]) => ({ value, count }))
+            .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+        result[field] = FACET_FIELDS[field] === 'list' ? buckets.slice(0, FACET_TOP_VALUES) : buckets;
+    }
+    return result;
+}
+
+/**
+ * Builds the SELECT list for a set of product fields. Detail fields are read
+ * from the side tables afterwards and are skipped here. `id` is always selected
+ * because results are keyed by it.
+ * @param {string[]} [columns=PRODUCT_COLUMNS] Fields from `ALL_FIELDS`.
+ * @param {string} [alias='p'] The alias of the `products` table in the query.
+ * @returns {string}
+ * @throws {FieldError} If a field is unknown.
+ */
+function selectColumns(columns = PRODUCT_COLUMNS, alias = 'p') {
+    assertColumns(columns);
+    const selected = splitFields(columns).columns;
+    const list = selected.includes('id') ? selected : ['id', ...selected];
+    return list.map(column => `${alias}.${column}`).join(', ');
+}
+
+/**
+ * Turns a result row into an API product: removes the internal `_rowid`,
+ * `_sort` and `_match` columns and parses `raw_data` into an object.
+ * @param {object} row A result row.
+ * @returns {object} The product.
+ */
+function toProduct(row) {
+    const { _rowid, _sort, _match, ...product } = row;
+    if (typeof product.raw_data === 'string') {
+        product.raw_data = JSON.parse(product.raw_data);
+    }
+    return product;
+}
+
+/**
+ * Opens a database file with the sqlite-vec extension loaded.
+ * @param {string} dbPath The database file.
+ * @param {boolean} readonly Whether to open the database read-only.
+ * @returns {import('better-sqlite3').Database}
+ * @throws {SchemaVersionError} If the database does not have the expected schema version.
+ */
+function openConnection(dbPath, readonly) {
+    const db = new Database(dbPath, { readonly, fileMustExist: true });
+    logger.debug('Database file opened', { path: dbPath, readonly });
+
+    // Load the sqlite-vec extension
+    sqliteVec.load(db);
+    logger.debug('sqlite-vec extension loaded');
+
+    // Refuse to serve a database whose schema this code does not know.
+    try {
+        assertSchemaVersion(db);
+    } catch (error) {
+        db.close();
+        throw error;
+    }
+    return db;
+}
+
 class OpenFoodFactsDB {
     constructor(db, embedder) {
         if (!db) {
@@ -30,95 +214,181 @@ class OpenFoodFactsDB {
         if (!embedder) {
             throw new Error("Embedder pipeline not provided.");
         }
-        this.db = db;
         this.embedder = embedder;
-        console.log('Database and embedder are ready. Preparing statements...');
+        // Dynamically built queries (e.g. filtered searches) are prepared once per
+        // SQL text, keeping the most recently used ones. A Map iterates in insertion order.
+        this.statementCache = new Map();
+        // Called with the name and duration in seconds of every query and query
+        // embedding, e.g. to export them as metrics. See `reportTiming()`.
+        this.onTiming = null;
+        this.useConnection(db);
+        logger.debug('Statements prepared', { data_version: this.dataVersion });
+    }
+
+    /**
+     * Makes a connection the one every query runs on, preparing the statements anew.
+     * @param {import('better-sqlite3').Database} db The database connection.
+     */
+    useConnection(db) {
+        this.db = db;
+        // The file the connection reads, which a full import replaces with a new one.
+        this.inode = fs.statSync(db.name).ino;
         this.db.pragma('journal_mode = WAL');
+        this.refresh();
+    }
+
+    /**
+     * Prepares the statements anew and forgets the cached ones, so that queries
+     * see the current schema and indexes.
+     */
+    refresh() {
+        this.statementCache.clear();
         this.prepareStatements();
-        console.log('Statements prepared.');
+        this.commitVersion = this.db.pragma('data_version', { simple: true });
+        this.dataVersion = this.readDataVersion();
+        this.schemaVersion = this.getMeta(SCHEMA_VERSION_KEY);
+    }
+
+    /**
+     * Reads the version of the data, which changes with every full import and
+     * every applied delta file: the time of the last full import and the end
+     * timestamp of the last delta, both in seconds, e.g. `1760868000-1760950000`.
+     * Either part is 0 when unknown.
+     * @returns {string}
+     */
+    readDataVersion() {
+        const imported = Date.parse(this.getMeta(LAST_IMPORT_KEY));
+        const delta = parseInt(this.getMeta(LAST_DELTA_KEY), 10);
+        return `${Number.isNaN(imported) ? 0 : Math.floor(imported / 1000)}-${Number.isNaN(delta) ? 0 : delta}`;
+    }
+
+    /**
+     * Refreshes the instance when another connection changed the data version
+     * or the schema, e.g. when `npm run update` applied a delta file. Commits
+     * are detected with `PRAGMA data_version`, which is cheap enough to check
+     * on every request; commits that change neither version (such as
+     * embedding progress) keep the prepared statements.
+     * @returns {boolean} Whether the instance was refreshed.
+     */
+    refreshIfChanged() {
+        const commitVersion = this.db.pragma('data_version', { simple: true });
+        if (commitVersion === this.commitVersion) return false;
+        this.commitVersion = commitVersion;
+
+        if (this.readDataVersion() === this.dataVersion && this.getMeta(SCHEMA_VERSION_KEY) === this.schemaVersion) {
+            return false;
+        }
+        this.refresh();
+        return true;
+    }
+
+    /**
+     * Reports the duration of an operation to `onTiming`, if set.
+     * @param {string} operation `fts` or `filter` for a product query, `vector`
+     * for a nearest-neighbour query and `embedding` for a query embedding.
+     * @param {number} start The `performance.now()` at which the operation started.
+     */
+    reportTiming(operation, start) {
+        if (this.onTiming) {
+            this.onTiming(operation, (performance.now() - start) / 1000);
+        }
+    }
+
+    /**
+     * Counts the rows of the main tables.
+     * @returns {Object<string, number>} The number of rows of `products`,
+     * `product_changes`, `product_revisions` and, once embeddings were
+     * generated, `vec_products`.
+     */
+    countRows() {
+        const tables = ['products', 'product_changes', 'product_revisions'];
+        if (hasVecTable(this.db)) {
+            tables.push('vec_products');
+        }
+        return Object.fromEntries(tables.map(table => [
+            table,
+            this.cachedStatement(`SELECT COUNT(*) AS count FROM ${table}`).get().count,
+        ]));
+    }
+
+    /**
+     * Reopens the connection on the database file, to serve the new database a
+     * full import renamed over it (see `swap.js`).
+     *
+     * The old connection is closed before the new one is opened, as both would
+     * share the `-wal` and `-shm` files. Queries are synchronous and the swap
+     * happens within one call, so requests in flight (e.g. awaiting a query
+     * embedding) go on with the new connection.
+     * @throws {SchemaVersionError} If the new database does not have the expected
+     * schema version. The instance cannot be used until a reopen succeeds.
+     */
+    reopen() {
+        const { name, readonly } = this.db;
+        this.db.close();
+        this.useConnection(openConnection(name, readonly));
+    }
+
+    /**
+     * Tells whether the database file was replaced since the connection was opened.
+     * @returns {boolean}
+     */
+    isFileReplaced() {
+        try {
+            return fs.statSync(this.db.name).ino !== this.inode;
+        } catch (error) {
+            // The file is being swapped, or was removed.
+            return false;
+        }
     }
 
     /**
      * Asynchronously creates and initializes an instance of OpenFoodFactsDB.
      * This is the correct way to instantiate this class.
+     * @param {object} [options={}]
+     * @param {string} [options.dbPath=DB_PATH] The database file.
+     * @param {boolean} [options.readonly=true] Whether to open the database read-only.
+     * @param {Function} [options.embedder] The embedding pipeline. Defaults to the
+     * sentence-transformer model, which is downloaded on first use.
+     * @returns {Promise<OpenFoodFactsDB>}
+     * @throws {SchemaVersionError} If the database needs to be migrated, or was
+     * migrated by a newer version of this code.
      */
     static async create(options = {}) {
-        console.log('Initializing OpenFoodFactsDB...');
-        const { dbPath = DB_PATH, readonly = true } = options;
-        const dbOptions = { readonly, fileMustExist: true };
-        
-        const db = new Database(dbPath, dbOptions);
-        console.log('Database file opened.');
-        
-        // Load the sqlite-vec extension
-        sqliteVec.load(db);
-        console.log('sqlite-vec extension loaded.');
+        const { dbPath = DB_PATH, readonly = true, embedder: providedEmbedder } = options;
+        const db = openConnection(dbPath, readonly);
 
-        // Load the sentence-transformer model
-        const embedder = await PipelineSingleton.getInstance();
-        console.log('Sentence-transformer model loaded.');
+        // Load the sentence-transformer model, unless an embedder was injected (e.g. in tests)
+        let embedder = providedEmbedder;
+        if (!embedder) {
+            embedder = await PipelineSingleton.getInstance();
+            logger.info('Sentence-transformer model loaded');
+        }
 
         return new OpenFoodFactsDB(db, embedder);
     }
     
     /**
-     * Initializes a new, empty database with the required schema.
+     * Initializes a new, empty database with the current schema.
      * This is a setup-time operation and should not be called at runtime.
+     * @param {string} [dbPath=DB_PATH] The database file to create.
      */
-    static initialize() {
-        const fs = require('fs');
-        if (fs.existsSync(DB_PATH)) {
-            // To prevent accidental overwrites, we could prompt the user
-            // but for now, we'll just delete the old one to start fresh.
-            fs.unlinkSync(DB_PATH);
+    static initialize(dbPath = DB_PATH) {
+        // To prevent accidental overwrites, we could prompt the user
+        // but for now, we'll just delete the old one to start fresh. The WAL
+        // files of a crashed run are removed too, or SQLite would replay them.
+        for (const file of [dbPath, `${dbPath}-wal`, `${dbPath}-shm`]) {
+            fs.rmSync(file, { force: true });
         }
         
-        const db = new Database(DB_PATH, { fileMustExist: false });
+        const db = new Database(dbPath, { fileMustExist: false });
         db.pragma('journal_mode = WAL');
+        sqliteVec.load(db);
         
-        db.exec(`
-            CREATE TABLE meta (
-                key TEXT PRIMARY KEY,
-                value TEXT
-            );
-            
-            CREATE TABLE products (
-                id TEXT PRIMARY KEY,
-                code TEXT,
-                product_name TEXT,
-                brands TEXT,
-                categories TEXT,
-                countries TEXT,
-                energy_kcal REAL,
-                fat_100g REAL,
-                saturated_fat_100g REAL,
-                carbohydrates_100g REAL,
-                sugars_100g REAL,
-                proteins_100g REAL,
-                salt_100g REAL,
-                fiber_100g REAL,
-                nutriscore_grade TEXT,
-                nova_group INTEGER,
-                ecoscore_grade TEXT,
-                completeness REAL,
-                complete_macros INTEGER,
-                last_modified_t INTEGER,
-                raw_data TEXT,
-                search_text TEXT,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            );
-
-            CREATE VIRTUAL TABLE products_fts USING fts5(
-                id,
-                search_text,
-                content='products',
-                content_rowid='rowid'
-            );
-        `);
+        // The schema is defined by the migrations, applied here from scratch.
+        migrate(db);
         
         db.close();
-        console.log('Database initialized successfully.');
+        logger.info('Database initialized', { path: dbPath });
     }
 
     /**
@@ -127,20 +397,56 @@ class OpenFoodFactsDB {
      */
     prepareStatements() {
         this.stmtGet = this.db.prepare('SELECT * FROM products WHERE id = ?');
-        this.stmtSearch = this.db.prepare(`
-            SELECT p.*, fts.rank
-            FROM products_fts fts
-            JOIN products p ON p.id = fts.id
-            WHERE fts.products_fts MATCH ?
-            ORDER BY fts.rank
-            LIMIT ?
-        `);
 
-        // New statement for semantic search
-        this.stmtSemanticSearch = this.db.prepare(`
+        // Statement for semantic search with the default columns
+        this.stmtSemanticSearch = this.semanticStatement(PRODUCT_COLUMNS);
+
+        // Statements for metadata
+        this.stmtGetMeta = this.db.prepare('SELECT value FROM meta WHERE key = ?');
+        this.stmtSetMeta = this.db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)');
+    }
+
+    /**
+     * Returns a prepared statement for a dynamically built query, preparing it
+     * only the first time this exact SQL text is seen. Clients choose the
+     * filters, sort and fields, so the number of distinct texts is unbounded:
+     * only the `STATEMENT_CACHE_SIZE` most recently used statements are kept.
+     * @param {string} sql The SQL text.
+     * @returns {import('better-sqlite3').Statement}
+     */
+    cachedStatement(sql) {
+        let statement = this.statementCache.get(sql);
+        if (statement) {
+            // Move it to the end, as the most recently used.
+            this.statementCache.delete(sql);
+        } else {
+            statement = this.db.prepare(sql);
+            if (this.statementCache.size >= STATEMENT_CACHE_SIZE) {
+                this.statementCache.delete(this.statementCache.keys().next().value);
+            }
+        }
+        this.statementCache.set(sql, statement);
+        return statement;
+    }
+
+    /**
+     * Returns the semantic search statement for a set of product columns.
+     * Conditions on the products are not applied to the nearest-neighbour
+     * query itself but reported in the `_match` column, so callers can tell
+     * how many neighbours were read from how many matched.
+     * @param {string[]} columns Columns from `PRODUCT_COLUMNS`.
+     * @param {string[]} [matchClauses=[]] SQL conditions on the `products` table `p`.
+     * Their parameters are bound before the query vector and limit.
+     * @returns {import('better-sqlite3').Statement}
+     */
+    semanticStatement(columns, matchClauses = []) {
+        const match = matchClauses.length > 0 ? `(${matchClauses.join(' AND ')})` : '1';
+        return this.cachedStatement(`
             SELECT
-                p.*,
-                nn.distance
+                ${selectColumns(columns)},
+                nn.rowid AS _rowid,
+                nn.distance,
+                ${match} AS _match
             FROM (
                 SELECT rowid, distance FROM vec_products
                 WHERE embedding MATCH ?
@@ -148,12 +454,25 @@ class OpenFoodFactsDB {
                 LIMIT ?
             ) AS nn
             JOIN products p ON p.rowid = nn.rowid
-            ORDER BY nn.distance
+            ORDER BY nn.distance, nn.rowid
         `);
+    }
 
-        // Statements for metadata
-        this.stmtGetMeta = this.db.prepare('SELECT value FROM meta WHERE key = ?');
-        this.stmtSetMeta = this.db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)');
+    /**
+     * Reads the nearest neighbours of a query vector.
+     * @param {Buffer} queryVectorBuffer The query embedding.
+     * @param {number} depth How many neighbours to read.
+     * @param {string[]} columns The fields to return.
+     * @param {object} [diet={}] Diet filters, see `compileDietFilters()`.
+     * @returns {Array<object>} The neighbours ordered by distance, each with `_match`
+     * telling whether it passes the diet filters.
+     */
+    nearestProducts(queryVectorBuffer, depth, columns, diet = {}) {
+        const start = performance.now();
+        const { clauses, params } = compileDietFilters(diet, 'p');
+        const rows = this.semanticStatement(columns, clauses).all(...params, queryVectorBuffer, depth);
+        this.reportTiming('vector', start);
+        return rows;
     }
 
     /**
@@ -167,6 +486,162 @@ class OpenFoodFactsDB {
         return product || null;
     }
 
+    /**
+     * Adds the requested detail fields (allergens, ingredients, ...) to products.
+     * @param {Array<object>} products The products, modified in place.
+     * @param {string[]} columns The requested fields, see `fields.js`.
+     * @returns {Array<object>} The products.
+     */
+    withDetails(products, columns) {
+        return attachDetails(sql => this.cachedStatement(sql), products, splitFields(columns).details);
+    }
+
+    /**
+     * Validates and normalizes a barcode sent by a client, see `normalizeBarcode()`.
+     * Imports keep the codes that fail validation as written (see `canonicalCode()`),
+     * so a code with a wrong check digit is only rejected when no product has it.
+     * @param {string} input The barcode as written by the client.
+     * @returns {object} A barcode like the ones returned by `normalizeBarcode()`.
+     * @throws {BarcodeError} If the barcode is not valid and no product has it.
+     */
+    resolveBarcode(input) {
+        try {
+            return normalizeBarcode(input);
+        } catch (error) {
+            if (!(error instanceof BarcodeError)) throw error;
+            const code = canonicalCode(input);
+            if (code === '' || !this.cachedStatement('SELECT 1 FROM products WHERE id = ?').get(code)) {
+                throw error;
+            }
+            return { input, code, format: null, corrected: code !== input, variants: [] };
+        }
+    }
+
+    /**
+     * Looks up the `products` row of a normalized barcode, without detail fields.
+     * @param {object} barcode A barcode returned by `resolveBarcode()`.
+     * @param {string[]} columns The fields to return.
+     * @returns {object | null}
+     */
+    lookupBarcode(barcode, columns) {
+        const statement = this.cachedStatement(`SELECT ${selectColumns(columns)} FROM products p WHERE p.id = ?`);
+        for (const code of [barcode.code, ...barcode.variants]) {
+            const row = statement.get(code);
+            if (row) return toProduct(row);
+        }
+        return null;
+    }
+
+    /**
+     * Retrieves a product by a normalized barcode. The canonical code is tried
+     * first, then the equivalent forms older imports may have stored it under.
+     * @param {object} barcode A barcode returned by `resolveBarcode()`.
+     * @param {object} [options={}]
+     * @param {string[]} [options.columns=VIEWS.standard] The fields to return, see `fields.js`.
+     * @returns {object | null} The product object or null if not found.
+     */
+    getByBarcode(barcode, options = {}) {
+        const { columns = VIEWS.standard } = options;
+        const product = this.lookupBarcode(barcode, columns);
+        return product ? this.withDetails([product], columns)[0] : null;
+    }
+
+    /**
+     * Retrieves several products by barcode. All lookups run inside a single
+     * read transaction, so they see one consistent snapshot of the database
+     * even if an update is being applied concurrently.
+     * @param {string[]} codes The barcodes to look up, in any supported format.
+     * Duplicates are ignored.
+     * @param {object} [options={}]
+     * @param {string[]} [options.columns=VIEWS.standard] The fields to return, see `fields.js`.
+     * @returns {{products: Object<string, object>, missing: string[], invalid: Array<{code: string, error: string}>}}
+     * The found products keyed by the requested code, the codes that were not
+     * found, and the codes that are not valid barcodes.
+     */
+    getMany(codes, options = {}) {
+        const { columns = VIEWS.standard } = options;
+        // Keyed by client-supplied codes, so without a prototype: `__proto__` is a plain key.
+        const products = Object.create(null);
+        const missing = [];
+        const invalid = [];
+        this.db.transaction(() => {
+            for (const code of new Set(codes)) {
+                let barcode;
+                try {
+                    barcode = this.resolveBarcode(code);
+                } catch (error) {
+                    if (!(error instanceof BarcodeError)) throw error;
+                    invalid.push({ code, error: error.message });
+                    continue;
+                }
+                const product = this.lookupBarcode(barcode, columns);
+                if (product) {
+                    products[code] = product;
+                } else {
+                    missing.push(code);
+                }
+            }
+            this.withDetails(Object.values(products), columns);
+        })();
+        return { products, missing, invalid };
+    }
+
+    /**
+     * Retrieves the revision history of a product: the previous versions kept
+     * by the delta updates, newest first, each with the diff of its key fields
+     * and nutriments to the version that replaced it.
+     * @param {object} barcode A barcode returned by `resolveBarcode()`.
+     * @returns {object | null} The history, see `buildHistory()`, or null if
+     * the product was not found.
+     */
+    getHistory(barcode) {
+        const product = this.lookupBarcode(barcode, ['id', 'last_modified_t', 'raw_data']);
+        if (!product) return null;
+
+        const revisions = this.cachedStatement(`
+            SELECT last_modified_t, raw_data, delta_file, replaced_at
+            FROM product_revisions WHERE product_id = ? ORDER BY id DESC
+        `).all(product.id);
+        return buildHistory(product, revisions);
+    }
+
+    /**
+     * Returns a page of the change log written by the delta updates, oldest
+     * change first. Unlike the search cursors, `next` is returned even on the
+     * last page: it marks the position a consumer resumes from on its next sync.
+     * @param {object} [options={}]
+     * @param {string} [options.since] The `next` cursor of a previous page.
+     * Without it, the log is read from the start.
+     * @param {number} [options.limit=100] The maximum number of changes to return.
+     * @returns {{results: Array<object>, next: string, has_more: boolean}} The changes,
+     * each with its `product_id`, `operation` (`insert`, `update` or `delete`),
+     * `reason`, changed `columns`, `delta_file` and `changed_at`.
+     * @throws {CursorError}
+     */
+    changesPage(options = {}) {
+        let { since, limit = 100 } = options;
+        limit = Math.min(Math.max(limit, 1), CHANGES_MAX_LIMIT);
+
+        const position = decodeCursor(since, 'changes');
+        if (position && !Number.isInteger(position.i)) {
+            throw new CursorError();
+        }
+        const after = position ? position.i : 0;
+
+        const rows = this.cachedStatement(`
+            SELECT id, product_id, operation, reason, columns, delta_file, changed_at
+            FROM product_changes WHERE id > ? ORDER BY id LIMIT ?
+        `).all(after, limit + 1);
+        const page = rows.slice(0, limit);
+        const last = page.length > 0 ? page[page.length - 1].id : after;
+
+        return {
+            results: page.map(({ id, columns, ...change }) => ({ ...change, columns: columns ? JSON.parse(columns) : null })),
+            next: encodeCursor({ k: 'changes', i: last }),
+            has_more: rows.length > limit,
+        };
+    }
+
     /**
      * Gets a value from the metadata table.
      * @param {string} key The key to look up.
@@ -189,8 +664,7 @@ class OpenFoodFactsDB {
     /**
      * Performs a full-text search for products.
      * @param {string} term The search term. Can be a product name, brand, category, etc.
-     * @param {object} [options={}] Search options.
-     * @param {number} [options.limit=10] The maximum number of results to return.
+     * @param {object} [options={}] Search options, see `findProducts()`.
      * @param {boolean} [options.completeOnly=true] Whether to only search for products with complete data.
      * @returns {Array<object>} An array of matching product objects.
      */
@@ -199,22 +673,179 @@ class OpenFoodFactsDB {
             return [];
         }
 
-        let { limit = 10, completeOnly = true } = options;
-        limit = Math.min(Math.max(limit, 1), 100);
-
-        // Sanitize and format the term for FTS5.
-        // Each token is wrapped in double quotes to be treated as a literal,
-        // preventing characters like '-' from being interpreted as operators.
-        // A wildcard '*' is appended for prefix searching.
-        const ftsTerm = term
-            .split(/\s+/)
-            .filter(t => t)
-            .map(t => `"${t.replace(/"/g, '""')}"*`)
-            .join(' ');
-
-        const statement = completeOnly ? this.stmtSearchComplete : this.stmtSearch;
-        const rows = statement.all(ftsTerm, limit);
-        return rows;
+        const { completeOnly = true } = options;
+        return this.findProducts({ ...options, term, completeOnly }).results;
+    }
+
+    /**
+     * Finds products matching structured filters, optionally restricted to
+     * an FTS match set. The SQL is assembled from whitelisted columns and
+     * all values are bound as parameters.
+     *
+     * Results are paginated with keyset cursors: the cursor holds the sort
+     * value and rowid of the last row, so deep pages cost the same as the first.
+     * @param {object} [options={}] Query options.
+     * @param {string} [options.term] An optional full-text search term.
+     * @param {Array<object>} [options.filters=[]] Filters returned by `parseFilters()`.
+     * @param {{column: string, direction: string}} [options.sort] Sort returned by `parseSort()`.
+     * Defaults to relevance when a term is given, and to insertion order otherwise.
+     * @param {boolean} [options.completeOnly=false] Whether to only return products with complete data.
+     * @param {string[]} [options.excludeAllergens=[]] Drop products containing any of these allergens or traces.
+     * @param {string[]} [options.labels=[]] Only keep products carrying all of these labels.
+     * @param {number} [options.limit=10] The maximum number of results to return.
+     * @param {string} [options.cursor] The `next` cursor of the previous page.
+     * @param {string[]} [options.columns=PRODUCT_COLUMNS] The fields to return, see `fields.js`.
+     * FTS matches also carry their `rank`.
+     * @returns {{results: Array<object>, next: (string|null), total_estimate: number}}
+     * A page of products. `total_estimate` is exact up to `TOTAL_ESTIMATE_CAP`.
+     * @throws {FilterError|CursorError}
+     */
+    findProducts(options = {}) {
+        let { term, filters = [], sort = null, completeOnly = false, excludeAllergens, labels, limit = 10, cursor, columns = PRODUCT_COLUMNS } = options;
+        limit = Math.min(Math.max(limit, 1), MAX_LIMIT);
+        const start = performance.now();
+
+        const { hasTerm, from, clauses, params } = buildMatchQuery({ term, filters, completeOnly, excludeAllergens, labels });
+        let select = `${selectColumns(columns)}, p.rowid AS _rowid`;
+        if (hasTerm) {
+            select += ', fts.rank';
+        }
+
+        // The sort key identifies the ordering a cursor was issued for.
+        let sortKey;
+        let sortExpr;
+        let orderBy;
+        if (!sort || sort.column === 'relevance') {
+            if (sort && !hasTerm) {
+                throw new FilterError('Sorting by relevance requires a search term.');
+            }
+            sortKey = hasTerm ? 'relevance' : 'rowid';
+            sortExpr = hasTerm ? 'fts.rank' : null;
+            orderBy = hasTerm ? 'fts.rank, p.rowid' : 'p.rowid';
+        } else {
+            assertFilterable(sort.column);
+            const direction = sort.direction === 'DESC' ? 'DESC' : 'ASC';
+            sortKey = `${sort.column}:${direction}`;
+            sortExpr = `p.${sort.column}`;
+            // The sort column may not be part of the projection, but the cursor needs it.
+            select += `, ${sortExpr} AS _sort`;
+            // NULLs sort last in both directions.
+            orderBy = `${sortExpr} IS NULL, ${sortExpr} ${direction}, p.rowid`;
+        }
+
+        const countWhere = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+        const countParams = [...params];
+
+        // The cursor is tied to the match set, i.e. the compiled conditions and their values.
+        const query = { from, where: countWhere, params: countParams };
+        const position = decodeCursor(cursor, 'products', query);
+        if (position) {
+            if (position.s !== sortKey) {
+                throw new CursorError('Cursor does not belong to this query.');
+            }
+            if (!Number.isInteger(position.r) || (sortExpr && !isCursorValue(position.v, sortKey))) {
+                throw new CursorError();
+            }
+            if (!sortExpr) {
+                clauses.push('p.rowid > ?');
+                params.push(position.r);
+            } else if (position.v === null) {
+                clauses.push(`(${sortExpr} IS NULL AND p.rowid > ?)`);
+                params.push(position.r);
+            } else {
+                const after = sortKey.endsWith(':DESC') ? '<' : '>';
+                const nullsAfter = sortKey === 'relevance' ? '' : `${sortExpr} IS NULL OR `;
+                clauses.push(`(${nullsAfter}${sortExpr} ${after} ? OR (${sortExpr} = ? AND p.rowid > ?))`);
+                params.push(position.v, position.v, position.r);
+            }
+        }
+
+        const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+        const sql = `SELECT ${select} FROM ${from} ${where} ORDER BY ${orderBy} LIMIT ?`;
+        // Fetch one extra row to know whether there is a next page.
+        const rows = this.cachedStatement(sql).all(...params, limit + 1);
+
+        let next = null;
+        if (rows.length > limit) {
+            rows.length = limit;
+            const last = rows[limit - 1];
+            const value = sortKey === 'relevance' ? last.rank : last._sort;
+            next = encodeCursor({ k: 'products', s: sortKey, v: value, r: last._rowid }, query);
+        }
+
+        const countSql = `SELECT COUNT(*) AS total FROM (SELECT 1 FROM ${from} ${countWhere} LIMIT ${TOTAL_ESTIMATE_CAP})`;
+        const { total } = this.cachedStatement(countSql).get(...countParams);
+        this.reportTiming(hasTerm ? 'fts' : 'filter', start);
+
+        return { results: this.withDetails(rows.map(toProduct), columns), next, total_estimate: total };
+    }
+
+    /**
+     * Counts products per value of the given fields over a match set, e.g. to
+     * show "Nutri-Score A (12)" next to search results.
+     *
+     * To stay fast on broad terms, counting is bounded to the first
+     * `FACET_SAMPLE_LIMIT` matches in index order; `truncated` tells whether the
+     * match set was larger than that. Scalar fields report every value
+     * (including `null` for unknown), list fields their top `FACET_TOP_VALUES` values.
+     * @param {string} [term] An optional full-text search term.
+     * @param {Array<object>} [filters=[]] Filters returned by `parseFilters()`.
+     * @param {string[]} [fields] The fields to count. Defaults to all of `FACET_FIELDS`.
+     * @param {object} [options={}]
+     * @param {boolean} [options.completeOnly=false] Whether to only count products with complete data.
+     * @param {string[]} [options.excludeAllergens=[]] Drop products containing any of these allergens or traces.
+     * @param {string[]} [options.labels=[]] Only keep products carrying all of these labels.
+     * @returns {{sample_size: number, truncated: boolean, fields: Object<string, Array<{value: *, count: number}>>}}
+     * @throws {FilterError} If a field cannot be faceted.
+     */
+    facets(term, filters = [], fields = Object.keys(FACET_FIELDS), options = {}) {
+        const { completeOnly = false, excludeAllergens, labels } = options;
+        assertFacetFields(fields);
+
+        const { from, clauses, params } = buildMatchQuery({ term, filters, completeOnly, excludeAllergens, labels });
+        const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+        const columns = fields.map(field => `p.${field}`).join(', ');
+        // One row more than the bound tells whether the match set was truncated.
+        const sql = `SELECT ${columns} FROM ${from} ${where} LIMIT ${FACET_SAMPLE_LIMIT + 1}`;
+        const rows = this.cachedStatement(sql).all(...params);
+
+        const truncated = rows.length > FACET_SAMPLE_LIMIT;
+        if (truncated) rows.length = FACET_SAMPLE_LIMIT;
+
+        return { sample_size: rows.length, truncated, fields: countFacets(rows, fields) };
+    }
+
+    /**
+     * Counts products per value of the given fields over a list of products,
+     * e.g. all the results a semantic or hybrid search can page through.
+     * @param {string[]} ids The ids of the products.
+     * @param {string[]} [fields] The fields to count. Defaults to all of `FACET_FIELDS`.
+     * @returns {{sample_size: number, truncated: boolean, fields: Object<string, Array<{value: *, count: number}>>}}
+     * Like `facets()`; `truncated` is always false, as the list is counted whole.
+     * @throws {FilterError} If a field cannot be faceted.
+     */
+    facetsOf(ids, fields = Object.keys(FACET_FIELDS)) {
+        assertFacetFields(fields);
+        const columns = fields.map(field => `p.${field}`).join(', ');
+        // The ids are bound as one JSON array, so the SQL does not depend on their number.
+        const rows = this.cachedStatement(`SELECT ${columns} FROM products p WHERE p.id IN (SELECT value FROM json_each(?))`)
+            .all(JSON.stringify(ids));
+        return { sample_size: rows.length, truncated: false, fields: countFacets(rows, fields) };
+    }
+
+    /**
+     * Generates the query vector for a search term.
+     * @param {string} term The search term.
+     * @returns {Promise<Buffer>} The embedding in sqlite-vec format.
+     */
+    async embedQuery(term) {
+        const start = performance.now();
+        const queryEmbedding = await this.embedder(term, {
+            pooling: 'mean',
+            normalize: true,
+        });
+        this.reportTiming('embedding', start);
+        return toVectorBuffer(new Float32Array(queryEmbedding.data));
     }
 
     /**
@@ -227,31 +858,193 @@ class OpenFoodFactsDB {
         if (!term || typeof term !== 'string' || term.trim() === '') {
             return [];
         }
+        const page = await this.semanticSearchPage(term, options);
+        return page.results;
+    }
 
-        const { limit = 10 } = options;
-        
-        console.log(`Performing semantic search for: "${term}" with limit ${limit}`);
+    /**
+     * Performs a paginated semantic vector search for products.
+     *
+     * sqlite-vec can only return the k nearest neighbours, so a page is read by
+     * asking for the neighbours up to the end of the page and skipping the ones
+     * at or before the cursor position (distance, then rowid). Pagination stops
+     * at `SEMANTIC_MAX_DEPTH` results. Neighbours excluded by diet filters are
+     * skipped in the same way, looking deeper until the page is full.
+     * @param {string} term The search term.
+     * @param {object} [options={}] Search options.
+     * @param {number} [options.limit=10] The maximum number of results to return.
+     * @param {string[]} [options.excludeAllergens=[]] Drop products containing any of these allergens or traces.
+     * @param {string[]} [options.labels=[]] Only keep products carrying all of these labels.
+     * @param {string} [options.cursor] The `next` cursor of the previous page.
+     * @param {string[]} [options.columns=PRODUCT_COLUMNS] The fields to return, see `fields.js`.
+     * Every result also carries its `distance`.
+     * @param {string[]|boolean} [options.facets=false] Facet fields to count over all the
+     * results that can be paged through, or `true` for every field, see `facetsOf()`.
+     * @returns {Promise<{results: Array<object>, next: (string|null), total_estimate: number, facets?: object}>}
+     * @throws {CursorError|FilterError}
+     */
+    async semanticSearchPage(term, options = {}) {
+        if (!term || typeof term !== 'string' || term.trim() === '') {
+            return { results: [], next: null, total_estimate: 0 };
+        }
 
-        // 1. Generate the embedding for the search term
-        console.time('embedding_generation');
-        const queryEmbedding = await this.embedder(term, {
-            pooling: 'mean',
-            normalize: true,
-        });
-        console.timeEnd('embedding_generation');
+        let { limit = 10, cursor, columns = PRODUCT_COLUMNS, excludeAllergens = [], labels = [], facets = false } = options;
+        limit = Math.min(Math.max(limit, 1), MAX_LIMIT);
 
-        // 2. Convert the embedding to a Buffer for the query
-        const queryVector = new Float32Array(queryEmbedding.data);
-        const queryVectorBuffer = Buffer.from(queryVector.buffer);
+        const query = { term, excludeAllergens, labels };
+        const position = decodeCursor(cursor, 'semantic', query);
+        if (position && (!Number.isInteger(position.n) || position.n < 0 || !Number.isInteger(position.r) || typeof position.d !== 'number')) {
+            throw new CursorError();
+        }
+        const offset = position ? position.n : 0;
+        
+        logger.debug('Performing semantic search', { term, limit });
+
+        const queryVectorBuffer = await this.embedQuery(term);
 
-        // 3. Query the database
-        console.time('db_query');
-        const rows = this.stmtSemanticSearch.all(queryVectorBuffer, limit);
-        console.timeEnd('db_query');
+        // Neighbours at exactly the same distance may come back in any order,
+        // so if ties at the page boundary hide the next rows, look deeper.
+        let depth = Math.min(offset + limit, SEMANTIC_MAX_DEPTH);
+        let rows;
+        let exhausted;
+        while (true) {
+            rows = this.nearestProducts(queryVectorBuffer, depth, columns, { excludeAllergens, labels });
+            exhausted = rows.length < depth;
+            rows = rows.filter(r => r._match);
+            if (position) {
+                // Rows are ordered by (distance, rowid), like the cursor.
+                rows = rows.filter(r => r.distance > position.d || (r.distance === position.d && r._rowid > position.r));
+            }
+            if (rows.length >= limit || exhausted || depth >= SEMANTIC_MAX_DEPTH) break;
+            depth = Math.min(depth * 2, SEMANTIC_MAX_DEPTH);
+        }
+        const remaining = rows.length;
+        const hasMore = remaining > limit || (!exhausted && remaining === limit);
+        rows = rows.slice(0, limit);
         
-        console.log(`Found ${rows.length} results from semantic search.`);
+        logger.debug('Semantic search done', { results: rows.length });
+
+        const consumed = offset + rows.length;
+        let next = null;
+        if (hasMore && consumed < SEMANTIC_MAX_DEPTH) {
+            const last = rows[rows.length - 1];
+            next = encodeCursor({ k: 'semantic', d: last.distance, r: last._rowid, n: consumed }, query);
+        }
         
-        return rows;
+        const page = {
+            results: this.withDetails(rows.map(toProduct), columns),
+            next,
+            total_estimate: exhausted ? offset + remaining : SEMANTIC_MAX_DEPTH,
+        };
+        if (facets) {
+            const matches = this.nearestProducts(queryVectorBuffer, SEMANTIC_MAX_DEPTH, ['id'], { excludeAllergens, labels })
+                .filter(r => r._match);
+            page.facets = this.facetsOf(matches.map(r => r.id), facets === true ? undefined : facets);
+        }
+        return page;
+    }
+
+    /**
+     * Performs a hybrid search that fuses full-text and semantic results with
+     * weighted reciprocal-rank fusion. Brand-exact queries are carried by the
+     * lexical ranker, vague descriptions by the semantic one.
+     * @param {string} term The search term.
+     * @param {object} [options={}] Search options, see `hybridSearchPage()`.
+     * @returns {Promise<Array<object>>} Products ordered by fused score.
+     */
+    async hybridSearch(term, options = {}) {
+        const page = await this.hybridSearchPage(term, options);
+        return page.results;
+    }
+
+    /**
+     * Performs a paginated hybrid search. Both rankers return their top
+     * `HYBRID_CANDIDATES` products, the lists are fused, and the page is sliced
+     * from the fused list. The cursor holds the offset into the fused list.
+     * @param {string} term The search term.
+     * @param {object} [options={}] Search options.
+     * @param {number} [options.limit=10] The maximum number of results to return.
+     * @param {number} [options.lexicalWeight=1] Weight of the full-text ranker.
+     * @param {number} [options.semanticWeight=1] Weight of the semantic ranker.
+     * @param {number} [options.k=60] The RRF smoothing constant.
+     * @param {string[]} [options.excludeAllergens=[]] Drop products containing any of these allergens or traces.
+     * @param {string[]} [options.labels=[]] Only keep products carrying all of these labels.
+     * @param {string} [options.cursor] The `next` cursor of the previous page.
+     * @param {string[]} [options.columns=PRODUCT_COLUMNS] The fields to return, see `fields.js`.
+     * @param {string[]|boolean} [options.facets=false] Facet fields to count over the whole
+     * fused list, or `true` for every field, see `facetsOf()`.
+     * @returns {Promise<{results: Array<object>, next: (string|null), total_estimate: number, facets?: object}>}
+     * Each product has a `hybrid` object with its `score` and the `rank`, raw score and
+     * `contribution` of each ranker (`null` if the ranker did not return it).
+     * @throws {CursorError|FilterError}
+     */
+    async hybridSearchPage(term, options = {}) {
+        if (!term || typeof term !== 'string' || term.trim() === '') {
+            return { results: [], next: null, total_estimate: 0 };
+        }
+
+        let { limit = 10, lexicalWeight = 1, semanticWeight = 1, k = DEFAULT_RRF_K, cursor, columns = PRODUCT_COLUMNS, excludeAllergens = [], labels = [], facets = false } = options;
+        limit = Math.min(Math.max(limit, 1), MAX_LIMIT);
+
+        const query = { term, lexicalWeight, semanticWeight, k, excludeAllergens, labels };
+        const position = decodeCursor(cursor, 'hybrid', query);
+        if (position && (!Number.isInteger(position.o) || position.o < 0)) {
+            throw new CursorError();
+        }
+        const offset = position ? position.o : 0;
+
+        // Details are only read for the products of the page, not for every candidate.
+        const candidateColumns = splitFields(columns).columns;
+
+        // A ranker with no weight cannot affect the order, so it is not queried.
+        const lexical = lexicalWeight > 0
+            ? this.findProducts({ term, limit: HYBRID_CANDIDATES, columns: candidateColumns, excludeAllergens, labels }).results
+            : [];
+
+        let semantic = [];
+        if (semanticWeight > 0) {
+            const queryVectorBuffer = await this.embedQuery(term);
+            semantic = this.nearestProducts(queryVectorBuffer, HYBRID_CANDIDATES, candidateColumns, { excludeAllergens, labels })
+                .filter(r => r._match)
+                .map(toProduct);
+        }
+
+        const fused = reciprocalRankFusion([
+            { name: 'lexical', weight: lexicalWeight, items: lexical },
+            { name: 'semantic', weight: semanticWeight, items: semantic },
+        ], { k });
+
+        const lexicalScores = new Map(lexical.map(p => [p.id, p.rank]));
+        const semanticScores = new Map(semantic.map(p => [p.id, p.distance]));
+
+        const results = fused.slice(offset, offset + limit).map(({ item, score, contributions }) => {
+            const { rank, distance, ...product } = item;
+            return {
+                ...product,
+                hybrid: {
+                    score,
+                    lexical: contributions.lexical && {
+                        ...contributions.lexical,
+                        bm25: lexicalScores.get(product.id),
+                    },
+                    semantic: contributions.semantic && {
+                        ...contributions.semantic,
+                        distance: semanticScores.get(product.id),
+                    },
+                },
+            };
+        });
+
+        this.withDetails(results, columns);
+
+        const consumed = offset + results.length;
+        const next = consumed < fused.length ? encodeCursor({ k: 'hybrid', o: consumed }, query) : null;
+
+        const page = { results, next, total_estimate: fused.length };
+        if (facets) {
+            page.facets = this.facetsOf(fused.map(entry => entry.key), facets === true ? undefined : facets);
+        }
+        return page;
     }
 
     /**
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview This module manages the side tables holding the structured
+ * product details that OpenFoodFacts only provides inside `raw_data`:
+ * allergens and traces, labels, additives, ingredients and the full set of
+ * nutriments. Rows are keyed by `product_id` (the `products.id` barcode) and
+ * are written together with their product by `writer.js`. The tables are
+ * created by the `003-product-details` migration.
+ */
+
+const DETAIL_TABLES = [
+  'product_allergens',
+  'product_labels',
+  'product_additives',
+  'product_ingredients',
+  'product_nutriments',
+];
+
+// Restricts a query to the products whose ids are passed as a JSON array.
+const IN_PRODUCTS = 'product_id IN (SELECT value FROM json_each(?))';
+
+/**
+ * How each detail field is read. `add` appends a row to the product's value,
+ * which starts as `empty()`.
+ */
+const DETAIL_READERS = {
+  allergens: {
+    sql: `SELECT product_id, allergen FROM product_allergens WHERE kind = 'allergen' AND ${IN_PRODUCTS} ORDER BY product_id, allergen`,
+    empty: () => [],
+    add: (list, row) => list.push(row.allergen),
+  },
+  traces: {
+    sql: `SELECT product_id, allergen FROM product_allergens WHERE kind = 'trace' AND ${IN_PRODUCTS} ORDER BY product_id, allergen`,
+    empty: () => [],
+    add: (list, row) => list.push(row.allergen),
+  },
+  labels: {
+    sql: `SELECT product_id, label FROM product_labels WHERE ${IN_PRODUCTS} ORDER BY product_id, label`,
+    empty: () => [],
+    add: (list, row) => list.push(row.label),
+  },
+  additives: {
+    sql: `SELECT product_id, additive FROM product_additives WHERE ${IN_PRODUCTS} ORDER BY product_id, additive`,
+    empty: () => [],
+    add: (list, row) => list.push(row.additive),
+  },
+  ingredients: {
+    sql: `SELECT product_id, ingredient, text, percent, vegan, vegetarian FROM product_ingredients WHERE ${IN_PRODUCTS} ORDER BY product_id, position`,
+    empty: () => [],
+    add: (list, { product_id, ...ingredient }) => list.push(ingredient),
+  },
+  nutriments: {
+    sql: `SELECT product_id, nutrient, value_100g, value_serving, unit FROM product_nutriments WHERE ${IN_PRODUCTS} ORDER BY product_id, nutrient`,
+    empty: () => ({}),
+    add: (map, { nutrient, value_100g, value_serving, unit }) => {
+      map[nutrient] = { value_100g, value_serving, unit };
+    },
+  },
+};
+
+/**
+ * Prepares the statements that replace the details of a product.
+ * @param {import('better-sqlite3').Database} db The database connection.
+ * @returns {{replace: Function, remove: Function}} `replace(productId, details)`
+ * writes the `details` object built by `transformProduct()`, `remove(productId)`
+ * deletes every detail row of a product. Both must run inside the caller's transaction.
+ */
+function prepareDetailStatements(db) {
+  const deletes = DETAIL_TABLES.map(table => db.prepare(`DELETE FROM ${table} WHERE product_id = ?`));
+  const insertAllergen = db.prepare('INSERT OR IGNORE INTO product_allergens (product_id, kind, allergen) VALUES (?, ?, ?)');
+  const insertLabel = db.prepare('INSERT OR IGNORE INTO product_labels (product_id, label) VALUES (?, ?)');
+  const insertAdditive = db.prepare('INSERT OR IGNORE INTO product_additives (product_id, additive) VALUES (?, ?)');
+  const insertIngredient = db.prepare(`
+    INSERT INTO product_ingredients (product_id, position, ingredient, text, percent, vegan, vegetarian)
+    VALUES (@product_id, @position, @ingredient, @text, @percent, @vegan, @vegetarian)
+  `);
+  const insertNutriment = db.prepare(`
+    INSERT INTO product_nutriments (product_id, nutrient, value_100g, value_serving, unit)
+    VALUES (@product_id, @nutrient, @value_100g, @value_serving, @unit)
+  `);
+
+  const remove = (productId) => {
+    for (const statement of deletes) {
+      statement.run(productId);
+    }
+  };
+
+  const replace = (productId, details = {}) => {
+    remove(productId);
+    const { allergens = [], traces = [], labels = [], additives = [], ingredients = [], nutriments = [] } = details;
+    allergens.forEach(allergen => insertAllergen.run(productId, 'allergen', allergen));
+    traces.forEach(trace => insertAllergen.run(productId, 'trace', trace));
+    labels.forEach(label => insertLabel.run(productId, label));
+    additives.forEach(additive => insertAdditive.run(productId, additive));
+    ingredients.forEach(ingredient => insertIngredient.run({ ...ingredient, product_id: productId }));
+    nutriments.forEach(nutriment => insertNutriment.run({ ...nutriment, product_id: productId }));
+  };
+
+  return { replace, remove };
+}
+
+/**
+ * Adds the requested detail fields to a list of products, with one query per
+ * field for the whole list.
+ * @param {function(string): import('better-sqlite3').Statement} prepare Returns a
+ * prepared statement for an SQL text, e.g. `OpenFoodFactsDB.cachedStatement()`.
+ * @param {Array<object>} products Products with an `id`. They are modified in place.
+ * @param {string[]} fields Fields from `DETAIL_FIELDS`.
+ * @returns {Array<object>} The products.
+ */
+function attachDetails(prepare, products, fields) {
+  if (products.length === 0 || fields.length === 0) return products;
+
+  const ids = JSON.stringify(products.map(p => p.id));
+  for (const field of fields) {
+    const reader = DETAIL_READERS[field];
+    const values = new Map(products.map(p => [p.id, reader.empty()]));
+    for (const row of prepare(reader.sql).all(ids)) {
+      reader.add(values.get(row.product_id), row);
+    }
+    for (const product of products) {
+      product[field] = values.get(product.id);
+    }
+  }
+  return products;
+}
+
+module.exports = {
+  DETAIL_TABLES,
+  prepareDetailStatements,
+  attachDetails,
+};
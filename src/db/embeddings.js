@@ -0,0 +1,251 @@
+/**
+ * @fileoverview This module owns everything related to sentence embeddings:
+ * loading the sentence-transformer model, turning text into vectors, and
+ * reading/writing the `vec_products` sqlite-vec table. It is shared by the
+ * runtime (query embeddings) and the offline scripts (product embeddings).
+ */
+const { logger } = require('./logger');
+
+const EMBEDDING_MODEL = 'Xenova/all-MiniLM-L6-v2';
+const EMBEDDING_DIM = 384;
+const LAST_EMBEDDED_ROWID_KEY = 'last_embedded_rowid';
+
+/**
+ * A singleton class to manage the sentence-transformer pipeline.
+ * Ensures the model is loaded only once.
+ */
+class PipelineSingleton {
+  static task = 'feature-extraction';
+  static model = EMBEDDING_MODEL;
+  static instance = null;
+
+  static async getInstance(progress_callback = null) {
+    if (this.instance === null) {
+      logger.info('Loading sentence-transformer model', { model: this.model });
+      // @xenova/transformers is an ES module, so it has to be imported dynamically.
+      this.instance = import('@xenova/transformers')
+        .then(({ pipeline }) => pipeline(this.task, this.model, { progress_callback }));
+    }
+    return this.instance;
+  }
+}
+
+/**
+ * Creates a deterministic embedder with the same interface as the
+ * sentence-transformer pipeline, for tests and offline development.
+ * Each word is hashed into one dimension, so texts sharing words are close
+ * to each other, but there is no notion of meaning.
+ * @param {number} [dim=EMBEDDING_DIM] The vector dimension.
+ * @returns {function((string|string[]), {normalize: boolean}=): Promise<{data: Float32Array}>}
+ */
+function createFakeEmbedder(dim = EMBEDDING_DIM) {
+  return async (input, options = {}) => {
+    const texts = Array.isArray(input) ? input : [input];
+    const data = new Float32Array(texts.length * dim);
+    texts.forEach((text, i) => {
+      const vector = data.subarray(i * dim, (i + 1) * dim);
+      for (const word of String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u)) {
+        if (word === '') continue;
+        // 32-bit FNV-1a hash of the word.
+        let hash = 0x811c9dc5;
+        for (let c = 0; c < word.length; c++) {
+          hash = Math.imul(hash ^ word.charCodeAt(c), 0x01000193) >>> 0;
+        }
+        vector[hash % dim] += 1;
+      }
+      if (options.normalize) {
+        const norm = Math.hypot(...vector);
+        if (norm > 0) vector.forEach((value, d) => { vector[d] = value / norm; });
+      }
+    });
+    return { data };
+  };
+}
+
+/**
+ * Converts a Float32Array into the Buffer format expected by sqlite-vec.
+ * @param {Float32Array} vector The embedding vector.
+ * @returns {Buffer}
+ */
+function toVectorBuffer(vector) {
+  return Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength);
+}
+
+/**
+ * Generates normalized, mean-pooled embeddings for a list of texts.
+ * @param {Function} embedder The feature-extraction pipeline.
+ * @param {string[]} texts The texts to embed.
+ * @returns {Promise<Float32Array[]>} One vector per input text, in order.
+ */
+async function embedTexts(embedder, texts) {
+  if (texts.length === 0) return [];
+  const output = await embedder(texts, { pooling: 'mean', normalize: true });
+  const data = output.data;
+  const dim = data.length / texts.length;
+  const vectors = [];
+  for (let i = 0; i < texts.length; i++) {
+    vectors.push(new Float32Array(data.slice(i * dim, (i + 1) * dim)));
+  }
+  return vectors;
+}
+
+/**
+ * Creates the `vec_products` virtual table if it does not exist yet.
+ * The sqlite-vec extension must already be loaded on the connection.
+ * @param {import('better-sqlite3').Database} db A writable database connection.
+ */
+function createVecTable(db) {
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS vec_products USING vec0(
+      embedding float[${EMBEDDING_DIM}]
+    );
+  `);
+}
+
+/**
+ * Checks whether the `vec_products` table exists on a connection.
+ * @param {import('better-sqlite3').Database} db The database connection.
+ * @returns {boolean}
+ */
+function hasVecTable(db) {
+  const row = db.prepare("SELECT 1 FROM sqlite_master WHERE name = 'vec_products'").get();
+  return Boolean(row);
+}
+
+/**
+ * Prepares the statements used to write product embeddings.
+ * vec0 tables do not support `INSERT OR REPLACE`, so an upsert is a delete
+ * followed by an insert. Rowids must be bound as BigInt for sqlite-vec.
+ * @param {import('better-sqlite3').Database} db A writable database connection.
+ * @returns {{write: Function, remove: Function}}
+ */
+function prepareVecStatements(db) {
+  const deleteStmt = db.prepare('DELETE FROM vec_products WHERE rowid = ?');
+  const insertStmt = db.prepare('INSERT INTO vec_products (rowid, embedding) VALUES (?, ?)');
+
+  return {
+    /**
+     * Writes (or overwrites) the embeddings for the given product rowids.
+     * Should be called inside a transaction when writing many rows.
+     * @param {Array<{rowid: number, vector: Float32Array}>} rows
+     */
+    write(rows) {
+      for (const { rowid, vector } of rows) {
+        deleteStmt.run(BigInt(rowid));
+        insertStmt.run(BigInt(rowid), toVectorBuffer(vector));
+      }
+    },
+    /**
+     * Removes the embedding of a product, if any.
+     * @param {number} rowid The product rowid.
+     */
+    remove(rowid) {
+      deleteStmt.run(BigInt(rowid));
+    },
+  };
+}
+
+/**
+ * Embeds a batch of products and writes the vectors to `vec_products`.
+ * Products with empty `search_text` are skipped.
+ * @param {import('better-sqlite3').Database} db A writable database connection.
+ * @param {Function} embedder The feature-extraction pipeline.
+ * @param {Array<{rowid: number, search_text: string}>} products The products to embed.
+ * @param {object} [options={}]
+ * @param {Function} [options.onWritten] Called inside the write transaction,
+ * e.g. to record progress atomically with the vectors.
+ * @returns {Promise<number>} The number of embeddings written.
+ */
+async function embedProducts(db, embedder, products, options = {}) {
+  const { onWritten } = options;
+  const toEmbed = products.filter(p => p.search_text && p.search_text.trim() !== '');
+  const vectors = await embedTexts(embedder, toEmbed.map(p => p.search_text));
+  const stmts = prepareVecStatements(db);
+
+  db.transaction(() => {
+    stmts.write(toEmbed.map((p, i) => ({ rowid: p.rowid, vector: vectors[i] })));
+    if (onWritten) onWritten();
+  })();
+
+  return toEmbed.length;
+}
+
+/**
+ * Copies the embeddings of the products that did not change from another
+ * database, e.g. from the served database into one being imported. A vector
+ * only depends on `search_text`, so it is reused for a product with the same
+ * id and `search_text` in both databases, whatever its rowid.
+ * Must not be called inside a transaction, as the source is attached.
+ * @param {import('better-sqlite3').Database} db A writable database connection
+ * with the sqlite-vec extension loaded.
+ * @param {string} sourcePath The database to copy the embeddings from.
+ * @returns {number} The number of embeddings copied.
+ */
+function copyEmbeddings(db, sourcePath) {
+  db.prepare('ATTACH DATABASE ? AS source').run(sourcePath);
+  try {
+    if (!db.prepare("SELECT 1 FROM source.sqlite_master WHERE name = 'vec_products'").get()) return 0;
+    return db.prepare(`
+      INSERT INTO vec_products (rowid, embedding)
+      SELECT p.rowid, v.embedding
+      FROM products p
+      JOIN source.products s ON s.id = p.id AND s.search_text = p.search_text
+      JOIN source.vec_products v ON v.rowid = s.rowid
+      WHERE NOT EXISTS (SELECT 1 FROM vec_products e WHERE e.rowid = p.rowid)
+    `).run().changes;
+  } finally {
+    db.exec('DETACH DATABASE source');
+  }
+}
+
+/**
+ * Embeds every product that has no embedding yet, in rowid order.
+ * @param {import('better-sqlite3').Database} db A writable database connection
+ * with the sqlite-vec extension loaded.
+ * @param {Function} embedder The feature-extraction pipeline.
+ * @param {object} [options={}]
+ * @param {number} [options.batchSize=256] How many products are embedded at once.
+ * @param {function({processed: number, embedded: number}): void} [options.onProgress]
+ * Called after each batch.
+ * @returns {Promise<{processed: number, embedded: number}>} How many products
+ * had no embedding, and how many embeddings were written. Products with an
+ * empty `search_text` are not embedded.
+ */
+async function embedMissingProducts(db, embedder, options = {}) {
+  const { batchSize = 256, onProgress } = options;
+  const fetchBatch = db.prepare(`
+    SELECT p.rowid, p.search_text FROM products p
+    WHERE p.rowid > ? AND NOT EXISTS (SELECT 1 FROM vec_products v WHERE v.rowid = p.rowid)
+    ORDER BY p.rowid
+    LIMIT ?
+  `);
+
+  const progress = { processed: 0, embedded: 0 };
+  let lastRowid = 0;
+  while (true) {
+    const batch = fetchBatch.all(lastRowid, batchSize);
+    if (batch.length === 0) break;
+
+    progress.embedded += await embedProducts(db, embedder, batch);
+    progress.processed += batch.length;
+    lastRowid = batch[batch.length - 1].rowid;
+    if (onProgress) onProgress({ ...progress });
+  }
+  return progress;
+}
+
+module.exports = {
+  EMBEDDING_MODEL,
+  EMBEDDING_DIM,
+  LAST_EMBEDDED_ROWID_KEY,
+  PipelineSingleton,
+  createFakeEmbedder,
+  toVectorBuffer,
+  embedTexts,
+  createVecTable,
+  hasVecTable,
+  prepareVecStatements,
+  embedProducts,
+  copyEmbeddings,
+  embedMissingProducts,
+};
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const sqliteVec = require('sqlite-vec');
+const OpenFoodFactsDB = require('./database');
+const { FIXTURE_SOURCE, buildFixtureDb } = require('../test/fixture-db');
+const { createFakeEmbedder, copyEmbeddings, embedMissingProducts } = require('./embeddings');
+const { transformProduct } = require('./transformer');
+const { prepareProductWriter } = require('./writer');
+
+const LINES = fs.readFileSync(FIXTURE_SOURCE, 'utf-8').split('\n').filter(Boolean);
+
+describe('embeddings', () => {
+  let dir;
+  let sourcePath;
+  let db;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'off-embeddings-'));
+    sourcePath = await buildFixtureDb(path.join(dir, 'products.db'));
+
+    // The same products in reverse order, so their rowids differ, with a new
+    // product and one whose name changed.
+    const lines = [
+      JSON.stringify({ code: '1234567890128', product_name: 'New product' }),
+      ...LINES.map(line => JSON.parse(line))
+        .map(record => JSON.stringify(record.code === '3017620422003' ? { ...record, product_name: 'Nutella v2' } : record))
+        .reverse(),
+    ];
+    const newPath = path.join(dir, 'new.db');
+    OpenFoodFactsDB.initialize(newPath);
+    db = new Database(newPath);
+    sqliteVec.load(db);
+    const writer = prepareProductWriter(db);
+    db.transaction(() => lines.map(transformProduct).filter(Boolean).forEach(product => writer.write(product)))();
+  });
+
+  afterEach(() => {
+    db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const vectorOf = (database, id) => database.prepare(`
+    SELECT vec_to_json(v.embedding) FROM products p JOIN vec_products v ON v.rowid = p.rowid WHERE p.id = ?
+  `).pluck().get(id);
+
+  it('should copy the embeddings of the unchanged products', () => {
+    expect(copyEmbeddings(db, sourcePath)).toBe(16);
+
+    const source = new Database(sourcePath, { readonly: true });
+    sqliteVec.load(source);
+    try {
+      expect(vectorOf(db, '3274080005003')).toBe(vectorOf(source, '3274080005003'));
+    } finally {
+      source.close();
+    }
+    expect(vectorOf(db, '3017620422003')).toBeUndefined();
+    expect(vectorOf(db, '1234567890128')).toBeUndefined();
+    expect(db.prepare('PRAGMA database_list').all().map(d => d.name)).toEqual(['main']);
+  });
+
+  it('should embed only the products that have no embedding', async () => {
+    copyEmbeddings(db, sourcePath);
+    const embedded = [];
+    const fake = createFakeEmbedder();
+    const embedder = (texts, options) => {
+      embedded.push(...texts);
+      return fake(texts, options);
+    };
+
+    const progress = [];
+    await expect(embedMissingProducts(db, embedder, { batchSize: 1, onProgress: p => progress.push(p) }))
+      .resolves.toEqual({ processed: 2, embedded: 2 });
+    expect(embedded).toEqual([expect.stringContaining('New product'), expect.stringContaining('Nutella v2')]);
+    expect(progress).toEqual([{ processed: 1, embedded: 1 }, { processed: 2, embedded: 2 }]);
+    expect(db.prepare('SELECT COUNT(*) FROM vec_products').pluck().get()).toBe(18);
+
+    await expect(embedMissingProducts(db, embedder)).resolves.toEqual({ processed: 0, embedded: 0 });
+  });
+});
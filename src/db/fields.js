@@ -0,0 +1,151 @@
+/**
+ * @fileoverview This module defines which product columns the API can return,
+ * and the named views (`summary`, `nutrition`, `standard`, `full`) clients can ask for
+ * instead of listing fields one by one. It resolves the `fields=` and `view=`
+ * query parameters into a validated column list, which `OpenFoodFactsDB`
+ * turns into the SELECT clause, so unneeded columns are never read.
+ *
+ * Besides the columns of `products`, a product has detail fields (allergens,
+ * ingredients, ...) that are read from side tables only when requested.
+ */
+
+/**
+ * Every column of `products` that can be returned. `search_text` is an
+ * internal FTS helper and is never returned.
+ */
+const PRODUCT_COLUMNS = [
+  'id',
+  'code',
+  'product_name',
+  'brands',
+  'categories',
+  'countries',
+  'energy_kcal',
+  'fat_100g',
+  'saturated_fat_100g',
+  'carbohydrates_100g',
+  'sugars_100g',
+  'proteins_100g',
+  'salt_100g',
+  'fiber_100g',
+  'nutriscore_grade',
+  'nova_group',
+  'ecoscore_grade',
+  'completeness',
+  'complete_macros',
+  'serving_size',
+  'serving_quantity',
+  'last_modified_t',
+  'raw_data',
+  'created_at',
+  'updated_at',
+];
+
+/**
+ * Fields read from the side tables. `nutriments` is an object keyed by
+ * nutrient name, the others are arrays.
+ */
+const DETAIL_FIELDS = [
+  'allergens',
+  'traces',
+  'labels',
+  'additives',
+  'ingredients',
+  'nutriments',
+];
+
+const ALL_FIELDS = [...PRODUCT_COLUMNS, ...DETAIL_FIELDS];
+
+const VIEWS = {
+  summary: [
+    'id', 'code', 'product_name', 'brands',
+    'nutriscore_grade', 'nova_group', 'ecoscore_grade',
+    'energy_kcal', 'proteins_100g', 'carbohydrates_100g', 'fat_100g',
+  ],
+  nutrition: [
+    'id', 'code', 'product_name',
+    'energy_kcal', 'fat_100g', 'saturated_fat_100g', 'carbohydrates_100g', 'sugars_100g',
+    'proteins_100g', 'salt_100g', 'fiber_100g',
+    'nutriscore_grade', 'nova_group', 'complete_macros',
+    'serving_size', 'serving_quantity', 'nutriments',
+  ],
+  // Every field but `raw_data`, a multi-KB blob only read when asked for.
+  standard: ALL_FIELDS.filter(field => field !== 'raw_data'),
+  full: ALL_FIELDS,
+};
+
+/**
+ * Error raised for unknown fields or views. The API maps it to a 400 response.
+ */
+class FieldError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FieldError';
+  }
+}
+
+/**
+ * Ensures every field is a column of `PRODUCT_COLUMNS` or a detail field
+ * before it is placed in SQL.
+ * @param {string[]} columns The field names.
+ * @throws {FieldError}
+ */
+function assertColumns(columns) {
+  for (const column of columns) {
+    if (!ALL_FIELDS.includes(column)) {
+      throw new FieldError(`Unknown field "${column}". Allowed fields: ${ALL_FIELDS.join(', ')}.`);
+    }
+  }
+}
+
+/**
+ * Separates the columns of `products` from the detail fields.
+ * @param {string[]} fields Fields returned by `resolveFields()`.
+ * @returns {{columns: string[], details: string[]}}
+ */
+function splitFields(fields) {
+  return {
+    columns: fields.filter(field => !DETAIL_FIELDS.includes(field)),
+    details: fields.filter(field => DETAIL_FIELDS.includes(field)),
+  };
+}
+
+/**
+ * Resolves the requested projection into a list of columns.
+ * An explicit field list takes precedence over a view. `id` is always included.
+ * @param {object} [request={}]
+ * @param {string|string[]} [request.fields] A comma-separated list (or array) of columns.
+ * @param {string} [request.view] The name of a view.
+ * @param {string} [defaultView='standard'] The view used when neither is given.
+ * @returns {string[]} The columns to select.
+ * @throws {FieldError}
+ */
+function resolveFields(request = {}, defaultView = 'standard') {
+  const { fields, view } = request;
+
+  if (fields != null && fields !== '') {
+    const list = (Array.isArray(fields) ? fields : [fields])
+      .flatMap(f => String(f).split(','))
+      .map(f => f.trim())
+      .filter(f => f !== '');
+    assertColumns(list);
+    return [...new Set(['id', ...list])];
+  }
+
+  const name = view == null || view === '' ? defaultView : view;
+  if (typeof name !== 'string' || !Object.prototype.hasOwnProperty.call(VIEWS, name)) {
+    throw new FieldError(`Unknown view "${name}". Allowed views: ${Object.keys(VIEWS).join(', ')}.`);
+  }
+  return VIEWS[name];
+}
+
+module.exports = {
+  PRODUCT_COLUMNS,
+  DETAIL_FIELDS,
+  ALL_FIELDS,
+  VIEWS,
+  FieldError,
+  assertColumns,
+  splitFields,
+  resolveFields,
+};
@@ -0,0 +1,41 @@
+const { ALL_FIELDS, FieldError, PRODUCT_COLUMNS, VIEWS, resolveFields, splitFields } = require('./fields');
+
+describe('fields', () => {
+  describe('resolveFields', () => {
+    it('should return the default view when nothing is requested', () => {
+      expect(resolveFields()).toBe(VIEWS.standard);
+      expect(VIEWS.standard).not.toContain('raw_data');
+      expect(VIEWS.standard).toEqual(ALL_FIELDS.filter(field => field !== 'raw_data'));
+      expect(resolveFields({}, 'summary')).toBe(VIEWS.summary);
+    });
+
+    it('should return a named view', () => {
+      expect(resolveFields({ view: 'nutrition' })).toBe(VIEWS.nutrition);
+    });
+
+    it('should prefer explicit fields over a view and always include id', () => {
+      expect(resolveFields({ fields: 'product_name, brands', view: 'full' })).toEqual(['id', 'product_name', 'brands']);
+      expect(resolveFields({ fields: ['code', 'id,code'] })).toEqual(['id', 'code']);
+    });
+
+    it('should never expose search_text', () => {
+      expect(PRODUCT_COLUMNS).not.toContain('search_text');
+      expect(() => resolveFields({ fields: 'search_text' })).toThrow(FieldError);
+    });
+
+    it('should reject unknown fields and views', () => {
+      expect(() => resolveFields({ fields: 'name; DROP TABLE products' })).toThrow('Unknown field');
+      expect(() => resolveFields({ view: 'compact' })).toThrow('Unknown view "compact"');
+      expect(() => resolveFields({ view: 'toString' })).toThrow(FieldError);
+    });
+  });
+
+  describe('splitFields', () => {
+    it('should separate products columns from detail fields', () => {
+      expect(splitFields(['id', 'allergens', 'product_name', 'nutriments'])).toEqual({
+        columns: ['id', 'product_name'],
+        details: ['allergens', 'nutriments'],
+      });
+    });
+  });
+});
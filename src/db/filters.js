@@ -0,0 +1,265 @@
+/**
+ * @fileoverview This module implements the small filter language accepted by
+ * the `/products` endpoint and `OpenFoodFactsDB.findProducts()`. It parses
+ * filter and sort expressions against a whitelist of `products` columns and
+ * compiles them into SQL fragments with bound parameters, so user input is
+ * never interpolated into SQL.
+ *
+ * Supported filter expressions:
+ * - Comparison: `nova_group=1`, `nutriscore_grade!=e`, `proteins_100g>=20`, `sugars_100g<5`
+ * - Set membership: `nutriscore_grade in a,b`
+ * - Case-insensitive substring: `countries~france`
+ *
+ * Supported sort expressions: `proteins_100g` (ascending), `-proteins_100g`
+ * (descending), and `relevance` (FTS rank, only valid with a search term).
+ *
+ * Diet filters match the allergen and label side tables: `excludeAllergens`
+ * drops products containing (or possibly containing, as traces) any of the
+ * given allergens, and `labels` keeps products carrying all of the given labels.
+ */
+
+/**
+ * Columns that can be filtered and sorted on, with their value type.
+ */
+const FILTERABLE_COLUMNS = {
+  code: 'text',
+  brands: 'text',
+  categories: 'text',
+  countries: 'text',
+  nutriscore_grade: 'text',
+  ecoscore_grade: 'text',
+  nova_group: 'number',
+  energy_kcal: 'number',
+  fat_100g: 'number',
+  saturated_fat_100g: 'number',
+  carbohydrates_100g: 'number',
+  sugars_100g: 'number',
+  proteins_100g: 'number',
+  salt_100g: 'number',
+  fiber_100g: 'number',
+  completeness: 'number',
+  complete_macros: 'number',
+  last_modified_t: 'number',
+};
+
+const COMPARISON_OPERATORS = ['=', '!=', '>', '>=', '<', '<='];
+const MAX_IN_VALUES = 50;
+
+// Longer operators must come first so that `>=` is not read as `>`.
+const FILTER_PATTERN = /^\s*([a-z0-9_]+)\s*(>=|<=|!=|=|>|<|~|\s+in\s+)\s*(.*?)\s*$/i;
+
+/**
+ * Error raised for malformed or unsupported filter and sort expressions.
+ * The API maps it to a 400 response.
+ */
+class FilterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FilterError';
+  }
+}
+
+/**
+ * Ensures a column is part of the whitelist before it is placed in SQL.
+ * @param {string} column The column name.
+ * @throws {FilterError}
+ */
+function assertFilterable(column) {
+  if (!Object.prototype.hasOwnProperty.call(FILTERABLE_COLUMNS, column)) {
+    throw new FilterError(`Unknown filter field "${column}". Allowed fields: ${Object.keys(FILTERABLE_COLUMNS).join(', ')}.`);
+  }
+}
+
+/**
+ * Converts a raw value to the type of the column it is compared with.
+ * @param {string} column The column name.
+ * @param {string} value The raw value.
+ * @returns {string|number}
+ */
+function coerceValue(column, value) {
+  if (value === '') {
+    throw new FilterError(`Missing value for filter on "${column}".`);
+  }
+  if (FILTERABLE_COLUMNS[column] === 'number') {
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+      throw new FilterError(`Filter on "${column}" expects a number, got "${value}".`);
+    }
+    return number;
+  }
+  return value;
+}
+
+/**
+ * Parses a single filter expression.
+ * @param {string} expression e.g. `proteins_100g>=20` or `nutriscore_grade in a,b`.
+ * @returns {{column: string, op: string, value: (string|number|Array<string|number>)}}
+ * @throws {FilterError} If the expression is malformed or targets an unknown column.
+ */
+function parseFilter(expression) {
+  const match = String(expression).match(FILTER_PATTERN);
+  if (!match) {
+    throw new FilterError(`Invalid filter expression "${expression}".`);
+  }
+
+  const column = match[1].toLowerCase();
+  const op = match[2].trim().toLowerCase();
+  const rawValue = match[3];
+
+  assertFilterable(column);
+
+  if (op === 'in') {
+    const values = rawValue.split(',').map(v => v.trim()).filter(v => v !== '');
+    if (values.length === 0) {
+      throw new FilterError(`Filter "${expression}" needs at least one value.`);
+    }
+    if (values.length > MAX_IN_VALUES) {
+      throw new FilterError(`Filter "${expression}" has more than ${MAX_IN_VALUES} values.`);
+    }
+    return { column, op, value: values.map(v => coerceValue(column, v)) };
+  }
+
+  if (op === '~' && FILTERABLE_COLUMNS[column] !== 'text') {
+    throw new FilterError(`The "~" operator only applies to text fields, not "${column}".`);
+  }
+
+  return { column, op, value: coerceValue(column, rawValue) };
+}
+
+/**
+ * Parses a list of filter expressions. Each entry may itself hold several
+ * expressions separated by `;`.
+ * @param {string|string[]|undefined} expressions The raw expressions.
+ * @returns {Array<object>} The parsed filters.
+ * @throws {FilterError}
+ */
+function parseFilters(expressions) {
+  if (expressions == null) return [];
+  const list = Array.isArray(expressions) ? expressions : [expressions];
+  return list
+    .flatMap(e => String(e).split(';'))
+    .filter(e => e.trim() !== '')
+    .map(parseFilter);
+}
+
+/**
+ * Parses a sort expression.
+ * @param {string|undefined} expression e.g. `proteins_100g`, `-proteins_100g` or `relevance`.
+ * @returns {{column: string, direction: string} | null} null when no sort was given.
+ * @throws {FilterError}
+ */
+function parseSort(expression) {
+  if (expression == null || expression === '') return null;
+  if (typeof expression !== 'string') {
+    throw new FilterError('Only one sort expression is allowed.');
+  }
+
+  const descending = expression.startsWith('-');
+  const column = (descending ? expression.slice(1) : expression).trim().toLowerCase();
+  if (column !== 'relevance') {
+    assertFilterable(column);
+  }
+  return { column, direction: descending ? 'DESC' : 'ASC' };
+}
+
+/**
+ * Compiles parsed filters into a SQL condition list with bound parameters.
+ * Column names come from the whitelist, values are always bound.
+ * @param {Array<object>} filters Filters returned by `parseFilters()`.
+ * @param {string} [alias='p'] The alias of the `products` table in the query.
+ * @returns {{clauses: string[], params: Array<string|number>}}
+ */
+function compileFilters(filters, alias = 'p') {
+  const clauses = [];
+  const params = [];
+
+  for (const { column, op, value } of filters) {
+    assertFilterable(column);
+    if (!COMPARISON_OPERATORS.includes(op) && op !== 'in' && op !== '~') {
+      throw new FilterError(`Unsupported filter operator "${op}".`);
+    }
+    const ref = `${alias}.${column}`;
+    if (op === 'in') {
+      clauses.push(`${ref} IN (${value.map(() => '?').join(', ')})`);
+      params.push(...value);
+    } else if (op === '~') {
+      clauses.push(`instr(lower(${ref}), lower(?)) > 0`);
+      params.push(value);
+    } else {
+      clauses.push(`${ref} ${op} ?`);
+      params.push(value);
+    }
+  }
+
+  return { clauses, params };
+}
+
+/**
+ * Parses a comma-separated list of taxonomy tags, e.g. `en:gluten,en:milk`.
+ * Tags are lowercased, and tags without a language prefix are read as English.
+ * @param {string|string[]|undefined} value The raw list. Repeated parameters are joined.
+ * @param {string} name The parameter name, for error messages.
+ * @returns {string[]} The tags, without duplicates.
+ * @throws {FilterError}
+ */
+function parseTags(value, name) {
+  if (value == null) return [];
+  const list = Array.isArray(value) ? value : [value];
+  const tags = list
+    .flatMap(v => String(v).split(','))
+    .map(tag => tag.trim().toLowerCase())
+    .filter(tag => tag !== '')
+    .map(tag => (tag.includes(':') ? tag : `en:${tag}`));
+
+  if (tags.some(tag => /^:|:$/.test(tag))) {
+    throw new FilterError(`Invalid tag in "${name}": expected tags like "en:gluten".`);
+  }
+  const unique = [...new Set(tags)];
+  if (unique.length > MAX_IN_VALUES) {
+    throw new FilterError(`"${name}" has more than ${MAX_IN_VALUES} values.`);
+  }
+  return unique;
+}
+
+/**
+ * Compiles diet filters into SQL conditions on the `products` table.
+ * Allergens are matched against both the allergens and the traces of a product.
+ * @param {object} [diet={}]
+ * @param {string[]} [diet.excludeAllergens=[]] Allergen tags the products must not contain.
+ * @param {string[]} [diet.labels=[]] Label tags the products must all carry.
+ * @param {string} [alias='p'] The alias of the `products` table in the query.
+ * @returns {{clauses: string[], params: Array<string|number>}}
+ */
+function compileDietFilters({ excludeAllergens = [], labels = [] } = {}, alias = 'p') {
+  const clauses = [];
+  const params = [];
+
+  if (excludeAllergens.length > 0) {
+    clauses.push(`NOT EXISTS (
+      SELECT 1 FROM product_allergens a
+      WHERE a.product_id = ${alias}.id AND a.allergen IN (SELECT value FROM json_each(?))
+    )`);
+    params.push(JSON.stringify(excludeAllergens));
+  }
+  if (labels.length > 0) {
+    clauses.push(`(
+      SELECT COUNT(*) FROM product_labels l
+      WHERE l.product_id = ${alias}.id AND l.label IN (SELECT value FROM json_each(?))
+    ) = ?`);
+    params.push(JSON.stringify(labels), labels.length);
+  }
+
+  return { clauses, params };
+}
+
+module.exports = {
+  FILTERABLE_COLUMNS,
+  FilterError,
+  assertFilterable,
+  parseFilter,
+  parseFilters,
+  parseSort,
+  compileFilters,
+  parseTags,
+  compileDietFilters,
+};
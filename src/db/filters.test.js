@@ -0,0 +1,90 @@
+const { FilterError, parseFilter, parseFilters, parseSort, compileFilters, parseTags, compileDietFilters } = require('./filters');
+
+describe('filters', () => {
+  describe('parseFilter', () => {
+    it('should parse comparison operators', () => {
+      expect(parseFilter('proteins_100g>=20')).toEqual({ column: 'proteins_100g', op: '>=', value: 20 });
+      expect(parseFilter('sugars_100g<5')).toEqual({ column: 'sugars_100g', op: '<', value: 5 });
+      expect(parseFilter('nutriscore_grade!=e')).toEqual({ column: 'nutriscore_grade', op: '!=', value: 'e' });
+      expect(parseFilter('nova_group = 1')).toEqual({ column: 'nova_group', op: '=', value: 1 });
+    });
+
+    it('should parse set membership', () => {
+      expect(parseFilter('nutriscore_grade in a,b')).toEqual({ column: 'nutriscore_grade', op: 'in', value: ['a', 'b'] });
+      expect(parseFilter('nova_group IN 1, 2')).toEqual({ column: 'nova_group', op: 'in', value: [1, 2] });
+    });
+
+    it('should parse substring matches on text fields only', () => {
+      expect(parseFilter('countries~france')).toEqual({ column: 'countries', op: '~', value: 'france' });
+      expect(() => parseFilter('nova_group~1')).toThrow(FilterError);
+    });
+
+    it('should reject unknown fields, bad values and malformed expressions', () => {
+      expect(() => parseFilter('raw_data=1')).toThrow(FilterError);
+      expect(() => parseFilter('proteins_100g>=lots')).toThrow(FilterError);
+      expect(() => parseFilter('proteins_100g>=')).toThrow(FilterError);
+      expect(() => parseFilter('proteins_100g')).toThrow(FilterError);
+      expect(() => parseFilter('1=1; DROP TABLE products')).toThrow(FilterError);
+    });
+  });
+
+  describe('parseFilters', () => {
+    it('should accept repeated and semicolon-separated expressions', () => {
+      const filters = parseFilters(['proteins_100g>=20;nova_group=1', 'nutriscore_grade in a,b']);
+      expect(filters.map(f => f.column)).toEqual(['proteins_100g', 'nova_group', 'nutriscore_grade']);
+      expect(parseFilters(undefined)).toEqual([]);
+    });
+  });
+
+  describe('parseSort', () => {
+    it('should parse ascending, descending and relevance sorts', () => {
+      expect(parseSort('proteins_100g')).toEqual({ column: 'proteins_100g', direction: 'ASC' });
+      expect(parseSort('-proteins_100g')).toEqual({ column: 'proteins_100g', direction: 'DESC' });
+      expect(parseSort('relevance')).toEqual({ column: 'relevance', direction: 'ASC' });
+      expect(parseSort(undefined)).toBeNull();
+      expect(() => parseSort('-raw_data')).toThrow(FilterError);
+    });
+  });
+
+  describe('compileFilters', () => {
+    it('should bind every value as a parameter', () => {
+      const { clauses, params } = compileFilters(parseFilters([
+        'proteins_100g>=20',
+        'nutriscore_grade in a,b',
+        'countries~france',
+      ]));
+      expect(clauses).toEqual([
+        'p.proteins_100g >= ?',
+        'p.nutriscore_grade IN (?, ?)',
+        'instr(lower(p.countries), lower(?)) > 0',
+      ]);
+      expect(params).toEqual([20, 'a', 'b', 'france']);
+    });
+  });
+
+  describe('parseTags', () => {
+    it('should lowercase, deduplicate and default to English tags', () => {
+      expect(parseTags('en:Gluten, milk,en:gluten', 'excludeAllergens')).toEqual(['en:gluten', 'en:milk']);
+      expect(parseTags(['en:vegan', 'fr:bio'], 'labels')).toEqual(['en:vegan', 'fr:bio']);
+      expect(parseTags(undefined, 'labels')).toEqual([]);
+    });
+
+    it('should reject tags with an empty prefix or name', () => {
+      expect(() => parseTags('en:', 'labels')).toThrow(FilterError);
+      expect(() => parseTags(':vegan', 'labels')).toThrow('Invalid tag in "labels"');
+    });
+  });
+
+  describe('compileDietFilters', () => {
+    it('should compile nothing without diet filters', () => {
+      expect(compileDietFilters()).toEqual({ clauses: [], params: [] });
+    });
+
+    it('should bind the tag lists as JSON arrays', () => {
+      const { clauses, params } = compileDietFilters({ excludeAllergens: ['en:gluten'], labels: ['en:vegan', 'en:organic'] });
+      expect(clauses).toHaveLength(2);
+      expect(clauses[0]).toContain('NOT EXISTS');
+      expect(params).toEqual(['["en:gluten"]', '["en:vegan","en:organic"]', 2]);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview This module checks that the external-content FTS table
+ * `products_fts` matches the `products` table it indexes. Since the
+ * `005-fts-triggers` migration the index is maintained by triggers, so any
+ * drift points at a write that bypassed them (or a database restored from an
+ * older backup) and is repaired with `rebuildFts()`.
+ */
+
+// How many example ids are reported for each kind of drift.
+const SAMPLE_SIZE = 10;
+
+/**
+ * Compares the FTS index with the `products` table.
+ *
+ * Indexed documents are read from the `products_fts_docsize` shadow table,
+ * which FTS5 keeps with one row per indexed rowid. Products whose indexed text
+ * no longer matches their current `search_text` are detected by FTS5's own
+ * `integrity-check` against the content table, which FTS5 only accepts on a
+ * writable connection.
+ * @param {import('better-sqlite3').Database} db A writable database connection.
+ * @param {object} [options={}]
+ * @param {number} [options.sampleSize=SAMPLE_SIZE] How many ids to list for each kind of drift.
+ * @returns {{
+ *   ok: boolean,
+ *   products: number,
+ *   indexed: number,
+ *   missing: {count: number, sample: string[]},
+ *   orphaned: {count: number, sample: number[]},
+ *   integrityError: string|null
+ * }} `missing` lists products without an index entry (by id), `orphaned` lists
+ * index entries without a product (by rowid), and `integrityError` is set when
+ * the indexed text differs from the content table.
+ */
+function checkFtsConsistency(db, options = {}) {
+  const { sampleSize = SAMPLE_SIZE } = options;
+
+  const products = db.prepare('SELECT COUNT(*) AS count FROM products').get().count;
+  const indexed = db.prepare('SELECT COUNT(*) AS count FROM products_fts_docsize').get().count;
+
+  const missingWhere = 'FROM products p WHERE NOT EXISTS (SELECT 1 FROM products_fts_docsize d WHERE d.id = p.rowid)';
+  const missing = {
+    count: db.prepare(`SELECT COUNT(*) AS count ${missingWhere}`).get().count,
+    sample: db.prepare(`SELECT p.id ${missingWhere} ORDER BY p.rowid LIMIT ?`).pluck().all(sampleSize),
+  };
+
+  const orphanedWhere = 'FROM products_fts_docsize d WHERE NOT EXISTS (SELECT 1 FROM products p WHERE p.rowid = d.id)';
+  const orphaned = {
+    count: db.prepare(`SELECT COUNT(*) AS count ${orphanedWhere}`).get().count,
+    sample: db.prepare(`SELECT d.id ${orphanedWhere} ORDER BY d.id LIMIT ?`).pluck().all(sampleSize),
+  };
+
+  let integrityError = null;
+  try {
+    // A rank of 1 also compares the index with the content table.
+    db.prepare("INSERT INTO products_fts(products_fts, rank) VALUES('integrity-check', 1)").run();
+  } catch (err) {
+    integrityError = err.message;
+  }
+
+  return {
+    ok: missing.count === 0 && orphaned.count === 0 && integrityError === null,
+    products,
+    indexed,
+    missing,
+    orphaned,
+    integrityError,
+  };
+}
+
+/**
+ * Rebuilds the FTS index from the `products` table.
+ * @param {import('better-sqlite3').Database} db A writable database connection.
+ */
+function rebuildFts(db) {
+  db.exec("INSERT INTO products_fts(products_fts) VALUES('rebuild');");
+}
+
+module.exports = {
+  checkFtsConsistency,
+  rebuildFts,
+};
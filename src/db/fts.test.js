@@ -0,0 +1,69 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { buildFixtureDb } = require('../test/fixture-db');
+const { checkFtsConsistency, rebuildFts } = require('./fts');
+const { transformProduct } = require('./transformer');
+const { prepareProductWriter } = require('./writer');
+
+describe('fts', () => {
+  let dir;
+  let db;
+  let writer;
+
+  const search = term => db.prepare('SELECT id FROM products_fts WHERE products_fts MATCH ?').pluck().all(term);
+  const write = raw => db.transaction(() => writer.write(transformProduct(JSON.stringify(raw))))();
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'off-fts-'));
+    const dbPath = await buildFixtureDb(path.join(dir, 'products.db'));
+    db = new Database(dbPath);
+    writer = prepareProductWriter(db);
+  });
+
+  afterEach(() => {
+    db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should index the products written by the fixture', () => {
+    const report = checkFtsConsistency(db);
+    expect(report.ok).toBe(true);
+    expect(report.indexed).toBe(report.products);
+    expect(search('nutella')).toEqual(['3017620422003']);
+  });
+
+  it('should reindex updated products and keep their rowid', () => {
+    const before = db.prepare('SELECT rowid FROM products WHERE id = ?').pluck().get('3017620422003');
+    write({ code: '3017620422003', product_name: 'Nocciolata', brands: 'Rigoni' });
+
+    expect(db.prepare('SELECT rowid FROM products WHERE id = ?').pluck().get('3017620422003')).toBe(before);
+    expect(search('nutella')).toEqual([]);
+    expect(search('nocciolata')).toEqual(['3017620422003']);
+    expect(checkFtsConsistency(db).ok).toBe(true);
+  });
+
+  it('should unindex deleted products', () => {
+    db.prepare('DELETE FROM products WHERE id = ?').run('3017620422003');
+    expect(search('nutella')).toEqual([]);
+    expect(checkFtsConsistency(db).ok).toBe(true);
+  });
+
+  it('should report drift from writes that bypass the triggers and repair it', () => {
+    db.exec('DROP TRIGGER products_fts_after_insert; DROP TRIGGER products_fts_after_update;');
+    write({ code: '0000000000017', product_name: 'Unindexed crackers' });
+    db.prepare('UPDATE products SET search_text = ? WHERE id = ?').run('renamed', '3017620422003');
+
+    let report = checkFtsConsistency(db);
+    expect(report.ok).toBe(false);
+    expect(report.missing).toEqual({ count: 1, sample: ['0000000000017'] });
+    expect(report.orphaned.count).toBe(0);
+    expect(report.integrityError).toEqual(expect.any(String));
+
+    rebuildFts(db);
+    report = checkFtsConsistency(db);
+    expect(report.ok).toBe(true);
+    expect(search('crackers')).toEqual(['0000000000017']);
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * @fileoverview This module runs the full import as a pipeline of three
+ * stages, so that parsing the dump is not limited to a single core:
+ *
+ * 1. The main thread reads the source and splits it into chunks of lines.
+ * 2. A pool of worker threads (`transform-worker.js`) runs every chunk
+ *    through `transformProduct()` in parallel.
+ * 3. The main thread, the only one holding a connection, writes the products.
+ *
+ * Chunks are written in the order they were read, whatever the order the
+ * workers finish them in, so an import with many workers writes the same rows
+ * as one without any. The number of chunks read but not yet written is
+ * bounded, which keeps the memory use flat when the writer is the slowest stage.
+ */
+
+const path = require('path');
+const { performance } = require('perf_hooks');
+const { Worker } = require('worker_threads');
+const { IMPORT_WORKERS } = require('./constants');
+const { transformProduct } = require('./transformer');
+
+const WORKER_PATH = path.join(__dirname, 'transform-worker.js');
+const DEFAULT_CHUNK_SIZE = 2000;
+
+/**
+ * Transforms a chunk of source lines, dropping the lines that are not products.
+ * @param {string[]} lines
+ * @returns {object[]} The products, in the order of the lines.
+ */
+function transformChunk(lines) {
+  const products = [];
+  for (const line of lines) {
+    const product = transformProduct(line);
+    if (product) {
+      products.push(product);
+    }
+  }
+  return products;
+}
+
+/**
+ * Times a chunk transformed on the calling thread.
+ * @param {string[]} lines
+ * @returns {{products: object[], ms: number}}
+ */
+function timeTransformChunk(lines) {
+  const start = performance.now();
+  const products = transformChunk(lines);
+  return { products, ms: performance.now() - start };
+}
+
+/**
+ * Starts a pool of transform workers.
+ * @param {number} size The number of workers. With 0, chunks are transformed on
+ * the main thread instead.
+ * @returns {{run: Function, close: Function}} `run(lines)` resolves with the
+ * `{products, ms}` of a chunk, from the worker with the fewest queued chunks.
+ * `close()` stops the workers.
+ */
+function createTransformPool(size) {
+  if (size === 0) {
+    return {
+      run: async lines => timeTransformChunk(lines),
+      close: async () => {},
+    };
+  }
+
+  const tasks = new Map();
+  let nextTaskId = 0;
+  const workers = Array.from({ length: size }, () => {
+    const worker = new Worker(WORKER_PATH);
+    worker.queued = new Set();
+
+    const fail = (error) => {
+      for (const id of worker.queued) {
+        tasks.get(id).reject(error);
+        tasks.delete(id);
+      }
+      worker.queued.clear();
+    };
+    worker.on('message', ({ id, products, ms }) => {
+      worker.queued.delete(id);
+      tasks.get(id).resolve({ products, ms });
+      tasks.delete(id);
+    });
+    worker.on('error', fail);
+    worker.on('exit', code => fail(new Error(`Transform worker stopped with exit code ${code}.`)));
+    return worker;
+  });
+
+  return {
+    run(lines) {
+      const worker = workers.reduce((least, candidate) => (candidate.queued.size < least.queued.size ? candidate : least));
+      const id = nextTaskId++;
+      return new Promise((resolve, reject) => {
+        tasks.set(id, { resolve, reject });
+        worker.queued.add(id);
+        worker.postMessage({ id, lines });
+      });
+    },
+    close: () => Promise.all(workers.map(worker => worker.terminate())),
+  };
+}
+
+/**
+ * Returns the throughput of the pipeline stages.
+ * @param {object} stats The stats of `runImportPipeline()`.
+ * @returns {{read: number, transform: number, write: number}} Lines read per
+ * second, lines transformed per second by all the workers together, and
+ * products written per second, each over the time spent in that stage.
+ */
+function stageRates(stats) {
+  const rate = (count, ms) => (ms > 0 ? (count * 1000) / ms : 0);
+  return {
+    read: rate(stats.read.lines, stats.read.ms),
+    transform: rate(stats.transform.lines, stats.transform.ms / Math.max(stats.workers, 1)),
+    write: rate(stats.write.products, stats.write.ms),
+  };
+}
+
+/**
+ * Runs the lines of a source through the transform workers into a writer.
+ * @param {AsyncIterable<string>} lines The source lines, e.g. from `readSource()`.
+ * @param {object} options
+ * @param {Function} options.write Called on the main thread with each chunk
+ * of products, in source order. It should write them in a single transaction.
+ * @param {number} [options.workers=IMPORT_WORKERS] The number of worker threads.
+ * With 0, lines are transformed on the main thread.
+ * @param {number} [options.chunkSize=2000] The number of lines sent to a worker at once.
+ * @param {number} [options.maxPendingChunks] The number of chunks read but not
+ * yet written after which reading waits. Defaults to 4 per worker.
+ * @param {Function} [options.onProgress] Called with the stats after each written chunk.
+ * @returns {Promise<object>} The stats: `read: {lines, ms}`,
+ * `transform: {lines, products, ms}` (the time summed over the workers),
+ * `write: {chunks, products, ms}`, `workers` and the total `ms`.
+ */
+async function runImportPipeline(lines, options) {
+  const {
+    write,
+    workers = IMPORT_WORKERS,
+    chunkSize = DEFAULT_CHUNK_SIZE,
+    maxPendingChunks = Math.max(workers, 1) * 4,
+    onProgress,
+  } = options;
+  if (!Number.isInteger(workers) || workers < 0) {
+    throw new Error(`Invalid number of import workers: ${workers}`);
+  }
+
+  const start = performance.now();
+  const stats = {
+    workers,
+    read: { lines: 0, ms: 0 },
+    transform: { lines: 0, products: 0, ms: 0 },
+    write: { chunks: 0, products: 0, ms: 0 },
+    ms: 0,
+  };
+  const pool = createTransformPool(workers);
+  const transformed = new Map();
+  const inFlight = new Set();
+  let readChunks = 0;
+  let failure = null;
+
+  // Writes the chunks that are next in source order.
+  const flush = () => {
+    while (transformed.has(stats.write.chunks)) {
+      const products = transformed.get(stats.write.chunks);
+      transformed.delete(stats.write.chunks);
+      const writeStart = performance.now();
+      write(products);
+      stats.write.ms += performance.now() - writeStart;
+      stats.write.products += products.length;
+      stats.write.chunks++;
+      if (onProgress) onProgress(stats);
+    }
+  };
+
+  const dispatch = (chunk) => {
+    const index = readChunks++;
+    const task = pool.run(chunk)
+      .then(({ products, ms }) => {
+        stats.transform.lines += chunk.length;
+        stats.transform.products += products.length;
+        stats.transform.ms += ms;
+        transformed.set(index, products);
+        if (!failure) flush();
+      })
+      .catch((error) => {
+        failure = failure || error;
+      })
+      .finally(() => inFlight.delete(task));
+    inFlight.add(task);
+  };
+
+  try {
+    const iterator = lines[Symbol.asyncIterator]();
+    let chunk = [];
+    for (;;) {
+      // Chunks finishing while the source is awaited are written in the
+      // meantime, that time is not counted as reading.
+      const readStart = performance.now();
+      const writeMsBefore = stats.write.ms;
+      const { value, done } = await iterator.next();
+      stats.read.ms += performance.now() - readStart - (stats.write.ms - writeMsBefore);
+      if (done) break;
+
+      stats.read.lines++;
+      chunk.push(value);
+      if (chunk.length >= chunkSize) {
+        dispatch(chunk);
+        chunk = [];
+        while (!failure && readChunks - stats.write.chunks >= maxPendingChunks) {
+          await Promise.race(inFlight);
+        }
+      }
+      if (failure) {
+        if (iterator.return) await iterator.return();
+        break;
+      }
+    }
+    if (chunk.length > 0 && !failure) {
+      dispatch(chunk);
+    }
+
+    await Promise.all(inFlight);
+    if (failure) throw failure;
+  } finally {
+    await pool.close();
+  }
+
+  stats.ms = performance.now() - start;
+  return stats;
+}
+
+module.exports = {
+  DEFAULT_CHUNK_SIZE,
+  transformChunk,
+  stageRates,
+  runImportPipeline,
+};
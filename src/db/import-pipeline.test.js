@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const OpenFoodFactsDB = require('./database');
+const { FIXTURE_SOURCE } = require('../test/fixture-db');
+const { runImportPipeline, stageRates, transformChunk } = require('./import-pipeline');
+const { prepareProductWriter } = require('./writer');
+
+const LINES = fs.readFileSync(FIXTURE_SOURCE, 'utf-8').split('\n').filter(Boolean);
+
+async function* fromArray(lines) {
+  yield* lines;
+}
+
+/**
+ * Lists the fixture products several times with shuffled modification dates,
+ * so that the newest record of a code can be anywhere in the source.
+ */
+function duplicatedLines() {
+  const lines = [];
+  for (let copy = 0; copy < 5; copy++) {
+    LINES.forEach((line, i) => {
+      const record = JSON.parse(line);
+      record.last_modified_t = 1700000000 + ((copy * 7 + i * 3) % 5);
+      if (record.product_name) record.product_name = `${record.product_name} #${copy}`;
+      lines.push(JSON.stringify(record));
+    });
+  }
+  return lines;
+}
+
+describe('import pipeline', () => {
+  it('should hand the products to the writer in source order with any number of workers', async () => {
+    const expected = transformChunk(LINES).map(product => product.id);
+
+    for (const workers of [0, 1, 3]) {
+      const written = [];
+      const stats = await runImportPipeline(fromArray(LINES), {
+        workers,
+        chunkSize: 2,
+        maxPendingChunks: 2,
+        write: products => written.push(...products.map(product => product.id)),
+      });
+
+      expect(written).toEqual(expected);
+      expect(stats.read.lines).toBe(LINES.length);
+      expect(stats.transform).toMatchObject({ lines: LINES.length, products: expected.length });
+      expect(stats.write).toMatchObject({ chunks: Math.ceil(LINES.length / 2), products: expected.length });
+      expect(stageRates(stats).write).toBeGreaterThan(0);
+    }
+  });
+
+  it('should reject with the error of the writer', async () => {
+    const write = jest.fn(() => {
+      throw new Error('disk full');
+    });
+    await expect(runImportPipeline(fromArray(LINES), { workers: 2, chunkSize: 2, write })).rejects.toThrow('disk full');
+    expect(write).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject an invalid number of workers', async () => {
+    await expect(runImportPipeline(fromArray(LINES), { workers: -1, write: () => {} })).rejects.toThrow('Invalid number of import workers');
+  });
+
+  describe('with duplicate codes', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'off-pipeline-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    async function importLines(dbPath, lines, workers) {
+      OpenFoodFactsDB.initialize(dbPath);
+      const db = new Database(dbPath, { fileMustExist: true });
+      const writer = prepareProductWriter(db, { keepNewest: true });
+      const insert = db.transaction(products => products.forEach(product => writer.write(product)));
+      await runImportPipeline(fromArray(lines), { workers, chunkSize: 3, write: insert });
+      const rows = db.prepare('SELECT id, last_modified_t, product_name FROM products ORDER BY id').all();
+      db.close();
+      return rows;
+    }
+
+    it('should keep the record with the highest last_modified_t, whatever the number of workers', async () => {
+      const lines = duplicatedLines();
+      const sequential = await importLines(path.join(dir, 'sequential.db'), lines, 0);
+      const parallel = await importLines(path.join(dir, 'parallel.db'), lines, 3);
+
+      expect(parallel).toEqual(sequential);
+      expect(sequential).toHaveLength(transformChunk(LINES).length);
+
+      // On equal dates, the record listed last wins.
+      const newest = new Map();
+      for (const product of transformChunk(lines)) {
+        const kept = newest.get(product.id);
+        if (!kept || product.last_modified_t >= kept.last_modified_t) {
+          newest.set(product.id, product);
+        }
+      }
+      for (const row of sequential) {
+        expect(row).toEqual({
+          id: row.id,
+          last_modified_t: newest.get(row.id).last_modified_t,
+          product_name: newest.get(row.id).product_name,
+        });
+      }
+    });
+  });
+});
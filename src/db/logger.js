@@ -0,0 +1,115 @@
+/**
+ * @fileoverview This module provides the structured logger shared by the API,
+ * the database and the scripts. Each entry is written as one JSON object per
+ * line (`time`, `level`, `msg` and its fields), so that production logs can be
+ * parsed, or in a readable `pretty` form in a terminal.
+ *
+ * The level (`LOG_LEVEL`: `debug`, `info`, `warn`, `error` or `silent`) and
+ * format (`LOG_FORMAT`) are read from the environment. Fields that may hold
+ * credentials, such as `authorization` or `token`, are redacted at any depth;
+ * `LOG_REDACT` adds field names to the list. Child loggers add fields to
+ * every entry, e.g. the `request_id` of an API request.
+ */
+const { LOG_LEVEL, LOG_FORMAT, LOG_REDACT } = require('./constants');
+
+const LEVELS = { debug: 20, info: 30, warn: 40, error: 50, silent: Infinity };
+
+// Keys ending with one of these are redacted, compared case-insensitively
+// and ignoring `-` and `_`: `token` also covers `admin_token` and `access-token`.
+const REDACTED_KEYS = ['authorization', 'cookie', 'password', 'secret', 'token', 'apikey'];
+const REDACTED = '[REDACTED]';
+
+const normalizeKey = key => key.toLowerCase().replace(/[-_]/g, '');
+
+/**
+ * Makes a value safe to log: errors become plain objects with their stack,
+ * and the values of the redacted keys are hidden.
+ * @param {*} value
+ * @param {string[]} redactedKeys Normalized key names.
+ * @param {Set<object>} [seen] The objects already visited, to cut cycles.
+ * @returns {*}
+ */
+function sanitize(value, redactedKeys, seen = new Set()) {
+  if (value instanceof Error) {
+    const { name, message, stack, ...rest } = value;
+    return sanitize({ type: name, message, stack, ...rest }, redactedKeys, seen);
+  }
+  if (value === null || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+  if (Array.isArray(value)) {
+    return value.map(item => sanitize(item, redactedKeys, seen));
+  }
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    const normalized = normalizeKey(key);
+    result[key] = redactedKeys.some(redacted => normalized.endsWith(redacted)) ? REDACTED : sanitize(item, redactedKeys, seen);
+  }
+  return result;
+}
+
+/**
+ * Formats an entry for a terminal: `12:34:56.789 INFO  message {"field":1}`.
+ * @param {object} entry
+ * @returns {string}
+ */
+function formatPretty({ time, level, msg, ...fields }) {
+  const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+  return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${msg}${extra}`;
+}
+
+/**
+ * Creates a logger.
+ * @param {object} [options={}]
+ * @param {string} [options.level=LOG_LEVEL] The least severe level that is written.
+ * @param {string} [options.format=LOG_FORMAT] `json` or `pretty`.
+ * @param {{write: Function}} [options.stream=process.stdout] Where the entries are written, one per line.
+ * @param {object} [options.bindings={}] Fields added to every entry.
+ * @param {string[]} [options.redact=LOG_REDACT] Field names to redact besides the default ones.
+ * @returns {object} The logger, with `debug()`, `info()`, `warn()` and `error()`
+ * taking a message and optional fields, `child(bindings)` and `isLevelEnabled(level)`.
+ * @throws {Error} If the level or format is unknown.
+ */
+function createLogger(options = {}) {
+  const { level = LOG_LEVEL, format = LOG_FORMAT, stream = process.stdout, bindings = {}, redact = LOG_REDACT } = options;
+  if (!(level in LEVELS)) {
+    throw new Error(`Unknown log level "${level}". Expected one of: ${Object.keys(LEVELS).join(', ')}.`);
+  }
+  if (format !== 'json' && format !== 'pretty') {
+    throw new Error(`Unknown log format "${format}". Expected json or pretty.`);
+  }
+  const threshold = LEVELS[level];
+  const redactedKeys = [...REDACTED_KEYS, ...redact].map(normalizeKey);
+
+  const write = (entryLevel, msg, fields) => {
+    if (LEVELS[entryLevel] < threshold) return;
+    const entry = {
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg,
+      ...sanitize({ ...bindings, ...fields }, redactedKeys),
+    };
+    stream.write(`${format === 'json' ? JSON.stringify(entry) : formatPretty(entry)}\n`);
+  };
+
+  return {
+    level,
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    isLevelEnabled: entryLevel => LEVELS[entryLevel] >= threshold,
+    child: childBindings => createLogger({ level, format, stream, redact, bindings: { ...bindings, ...childBindings } }),
+  };
+}
+
+// The logger of the process, configured by the environment.
+const logger = createLogger();
+
+module.exports = {
+  LEVELS,
+  createLogger,
+  logger,
+};
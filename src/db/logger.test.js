@@ -0,0 +1,85 @@
+const { createLogger } = require('./logger');
+
+/** Creates a logger writing to an array of parsed entries. */
+function captureLogger(options = {}) {
+  const lines = [];
+  const logger = createLogger({ format: 'json', ...options, stream: { write: line => lines.push(line) } });
+  return { logger, lines, entries: () => lines.map(line => JSON.parse(line)) };
+}
+
+describe('logger', () => {
+  it('should write one JSON object per line with the level, message and fields', () => {
+    const { logger, lines, entries } = captureLogger({ level: 'info' });
+    logger.info('Delta applied', { file: 'a.json.gz', upserted: 2 });
+
+    expect(lines).toHaveLength(1);
+    expect(lines[0].endsWith('\n')).toBe(true);
+    expect(entries()).toEqual([
+      { time: expect.any(String), level: 'info', msg: 'Delta applied', file: 'a.json.gz', upserted: 2 },
+    ]);
+    expect(new Date(entries()[0].time).toISOString()).toBe(entries()[0].time);
+  });
+
+  it('should only write the entries at or above the configured level', () => {
+    const { logger, entries } = captureLogger({ level: 'warn' });
+    logger.debug('debug');
+    logger.info('info');
+    logger.warn('warn');
+    logger.error('error');
+
+    expect(entries().map(entry => entry.level)).toEqual(['warn', 'error']);
+    expect(logger.isLevelEnabled('info')).toBe(false);
+    expect(logger.isLevelEnabled('error')).toBe(true);
+    expect(captureLogger({ level: 'silent' }).logger.isLevelEnabled('error')).toBe(false);
+    expect(() => createLogger({ level: 'verbose' })).toThrow('Unknown log level "verbose"');
+  });
+
+  it('should add the bindings of child loggers to every entry', () => {
+    const { logger, entries } = captureLogger({ level: 'debug' });
+    const request = logger.child({ request_id: 'abc' });
+    request.child({ component: 'search' }).debug('Semantic search', { limit: 10 });
+    logger.info('No bindings');
+
+    expect(entries()).toEqual([
+      expect.objectContaining({ msg: 'Semantic search', request_id: 'abc', component: 'search', limit: 10 }),
+      expect.not.objectContaining({ request_id: expect.anything() }),
+    ]);
+  });
+
+  it('should redact credentials at any depth', () => {
+    const { logger, entries } = captureLogger({ level: 'info', redact: ['barcode'] });
+    logger.info('Request', {
+      headers: { Authorization: 'Bearer secret', 'X-Api-Key': 'key', accept: 'application/json' },
+      admin_token: 'secret',
+      users: [{ password: 'hunter2', name: 'ann' }],
+      barcode: '3017620422003',
+    });
+
+    expect(entries()[0]).toMatchObject({
+      headers: { Authorization: '[REDACTED]', 'X-Api-Key': '[REDACTED]', accept: 'application/json' },
+      admin_token: '[REDACTED]',
+      users: [{ password: '[REDACTED]', name: 'ann' }],
+      barcode: '[REDACTED]',
+    });
+  });
+
+  it('should serialize errors and cut cycles', () => {
+    const { logger, entries } = captureLogger({ level: 'info' });
+    const error = Object.assign(new Error('disk I/O error'), { code: 'SQLITE_IOERR' });
+    const cyclic = { name: 'cyclic' };
+    cyclic.self = cyclic;
+    logger.error('Query failed', { err: error, cyclic });
+
+    expect(entries()[0].err).toEqual({ type: 'Error', message: 'disk I/O error', stack: expect.stringContaining('disk I/O error'), code: 'SQLITE_IOERR' });
+    expect(entries()[0].cyclic).toEqual({ name: 'cyclic', self: '[Circular]' });
+  });
+
+  it('should write readable lines in the pretty format', () => {
+    const { logger, lines } = captureLogger({ level: 'info', format: 'pretty' });
+    logger.warn('Retrying', { delay_ms: 1000 });
+    logger.info('Done');
+
+    expect(lines[0]).toMatch(/^\d{2}:\d{2}:\d{2}\.\d{3} WARN  Retrying \{"delay_ms":1000\}\n$/);
+    expect(lines[1]).toMatch(/^\d{2}:\d{2}:\d{2}\.\d{3} INFO  Done\n$/);
+  });
+});
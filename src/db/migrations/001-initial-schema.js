@@ -0,0 +1,52 @@
+/**
+ * @fileoverview The schema created by the first versions of `import.js`:
+ * the `meta` and `products` tables and the FTS table.
+ * Databases created before migrations existed are at this version.
+ */
+
+module.exports = {
+  version: 1,
+  name: 'initial-schema',
+  up(db) {
+    db.exec(`
+      CREATE TABLE meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+
+      CREATE TABLE products (
+        id TEXT PRIMARY KEY,
+        code TEXT,
+        product_name TEXT,
+        brands TEXT,
+        categories TEXT,
+        countries TEXT,
+        energy_kcal REAL,
+        fat_100g REAL,
+        saturated_fat_100g REAL,
+        carbohydrates_100g REAL,
+        sugars_100g REAL,
+        proteins_100g REAL,
+        salt_100g REAL,
+        fiber_100g REAL,
+        nutriscore_grade TEXT,
+        nova_group INTEGER,
+        ecoscore_grade TEXT,
+        completeness REAL,
+        complete_macros INTEGER,
+        last_modified_t INTEGER,
+        raw_data TEXT,
+        search_text TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE VIRTUAL TABLE products_fts USING fts5(
+        id,
+        search_text,
+        content='products',
+        content_rowid='rowid'
+      );
+    `);
+  },
+};
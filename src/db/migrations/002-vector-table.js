@@ -0,0 +1,17 @@
+/**
+ * @fileoverview Adds the `vec_products` sqlite-vec table used by semantic
+ * search. It is filled by the `embed` script. Databases that already ran
+ * `embed` or `update` have it, hence `IF NOT EXISTS`.
+ */
+
+module.exports = {
+  version: 2,
+  name: 'vector-table',
+  up(db) {
+    db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS vec_products USING vec0(
+        embedding float[384]
+      );
+    `);
+  },
+};
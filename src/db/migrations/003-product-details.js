@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Adds the serving size columns and the side tables holding
+ * allergens, labels, additives, ingredients and nutriments, then fills them
+ * from the `raw_data` of existing products. The same pass recomputes
+ * `complete_macros`, which older delta updates did not write.
+ *
+ * The extraction below is a copy of what `transformer.js` did when this
+ * migration was released. It must not require the live transformer, whose
+ * output may change after this migration has run on existing databases.
+ */
+
+const BACKFILL_BATCH_SIZE = 5000;
+
+function toTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  return [...new Set(tags.filter(tag => typeof tag === 'string' && tag.trim() !== '').map(tag => tag.trim()))];
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function extractIngredients(ingredients) {
+  if (!Array.isArray(ingredients)) return [];
+  return ingredients
+    .filter(i => i && typeof i === 'object')
+    .map((i, index) => ({
+      position: index + 1,
+      ingredient: i.id || null,
+      text: i.text || null,
+      percent: toNumber(i.percent) ?? toNumber(i.percent_estimate),
+      vegan: i.vegan || null,
+      vegetarian: i.vegetarian || null,
+    }));
+}
+
+function extractNutriments(nutriments) {
+  const byName = new Map();
+  for (const [key, value] of Object.entries(nutriments)) {
+    const match = /^(.+)_(100g|serving|unit)$/.exec(key);
+    if (!match) continue;
+    const [, name, suffix] = match;
+    if (!byName.has(name)) {
+      byName.set(name, { nutrient: name, value_100g: null, value_serving: null, unit: null });
+    }
+    const entry = byName.get(name);
+    if (suffix === 'unit') {
+      entry.unit = typeof value === 'string' && value !== '' ? value : null;
+    } else {
+      entry[`value_${suffix}`] = toNumber(value);
+    }
+  }
+  return [...byName.values()].filter(n => n.value_100g !== null || n.value_serving !== null);
+}
+
+/**
+ * Reads the backfilled values of a product from its `raw_data`.
+ * @param {string} rawData The source JSON of the product.
+ * @returns {object | null} The values, or null if `raw_data` is not valid JSON.
+ */
+function readProduct(rawData) {
+  let p;
+  try {
+    p = JSON.parse(rawData);
+  } catch (error) {
+    return null;
+  }
+  if (!p || typeof p !== 'object') return null;
+
+  const nutriments = p.nutriments || {};
+  const hasMacros = nutriments['energy-kcal_100g'] != null && nutriments.fat_100g != null
+    && nutriments.carbohydrates_100g != null && nutriments.proteins_100g != null;
+  return {
+    serving_size: p.serving_size || null,
+    serving_quantity: toNumber(p.serving_quantity),
+    complete_macros: hasMacros ? 1 : 0,
+    allergens: toTags(p.allergens_tags),
+    traces: toTags(p.traces_tags),
+    labels: toTags(p.labels_tags),
+    additives: toTags(p.additives_tags),
+    ingredients: extractIngredients(p.ingredients),
+    nutriments: extractNutriments(nutriments),
+  };
+}
+
+module.exports = {
+  version: 3,
+  name: 'product-details',
+  up(db) {
+    db.exec(`
+      ALTER TABLE products ADD COLUMN serving_size TEXT;
+      ALTER TABLE products ADD COLUMN serving_quantity REAL;
+
+      CREATE TABLE product_allergens (
+        product_id TEXT NOT NULL,
+        kind TEXT NOT NULL CHECK (kind IN ('allergen', 'trace')),
+        allergen TEXT NOT NULL,
+        PRIMARY KEY (product_id, kind, allergen)
+      ) WITHOUT ROWID;
+      CREATE INDEX idx_product_allergens_allergen ON product_allergens (allergen, kind);
+
+      CREATE TABLE product_labels (
+        product_id TEXT NOT NULL,
+        label TEXT NOT NULL,
+        PRIMARY KEY (product_id, label)
+      ) WITHOUT ROWID;
+      CREATE INDEX idx_product_labels_label ON product_labels (label);
+
+      CREATE TABLE product_additives (
+        product_id TEXT NOT NULL,
+        additive TEXT NOT NULL,
+        PRIMARY KEY (product_id, additive)
+      ) WITHOUT ROWID;
+      CREATE INDEX idx_product_additives_additive ON product_additives (additive);
+
+      CREATE TABLE product_ingredients (
+        product_id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        ingredient TEXT,
+        text TEXT,
+        percent REAL,
+        vegan TEXT,
+        vegetarian TEXT,
+        PRIMARY KEY (product_id, position)
+      ) WITHOUT ROWID;
+      CREATE INDEX idx_product_ingredients_ingredient ON product_ingredients (ingredient);
+
+      CREATE TABLE product_nutriments (
+        product_id TEXT NOT NULL,
+        nutrient TEXT NOT NULL,
+        value_100g REAL,
+        value_serving REAL,
+        unit TEXT,
+        PRIMARY KEY (product_id, nutrient)
+      ) WITHOUT ROWID;
+    `);
+
+    const insertAllergen = db.prepare('INSERT OR IGNORE INTO product_allergens (product_id, kind, allergen) VALUES (?, ?, ?)');
+    const insertLabel = db.prepare('INSERT OR IGNORE INTO product_labels (product_id, label) VALUES (?, ?)');
+    const insertAdditive = db.prepare('INSERT OR IGNORE INTO product_additives (product_id, additive) VALUES (?, ?)');
+    const insertIngredient = db.prepare(`
+      INSERT INTO product_ingredients (product_id, position, ingredient, text, percent, vegan, vegetarian)
+      VALUES (@product_id, @position, @ingredient, @text, @percent, @vegan, @vegetarian)
+    `);
+    const insertNutriment = db.prepare(`
+      INSERT INTO product_nutriments (product_id, nutrient, value_100g, value_serving, unit)
+      VALUES (@product_id, @nutrient, @value_100g, @value_serving, @unit)
+    `);
+    const fetchBatch = db.prepare('SELECT rowid, id, raw_data FROM products WHERE rowid > ? ORDER BY rowid LIMIT ?');
+    const updateProduct = db.prepare(`
+      UPDATE products
+      SET serving_size = @serving_size, serving_quantity = @serving_quantity, complete_macros = @complete_macros
+      WHERE rowid = @rowid
+    `);
+
+    let lastRowid = 0;
+    let rows;
+    do {
+      rows = fetchBatch.all(lastRowid, BACKFILL_BATCH_SIZE);
+      for (const row of rows) {
+        const product = row.raw_data ? readProduct(row.raw_data) : null;
+        if (product) {
+          const id = row.id;
+          product.allergens.forEach(allergen => insertAllergen.run(id, 'allergen', allergen));
+          product.traces.forEach(trace => insertAllergen.run(id, 'trace', trace));
+          product.labels.forEach(label => insertLabel.run(id, label));
+          product.additives.forEach(additive => insertAdditive.run(id, additive));
+          product.ingredients.forEach(ingredient => insertIngredient.run({ ...ingredient, product_id: id }));
+          product.nutriments.forEach(nutriment => insertNutriment.run({ ...nutriment, product_id: id }));
+          updateProduct.run({
+            rowid: row.rowid,
+            serving_size: product.serving_size,
+            serving_quantity: product.serving_quantity,
+            complete_macros: product.complete_macros,
+          });
+        }
+        lastRowid = row.rowid;
+      }
+    } while (rows.length === BACKFILL_BATCH_SIZE);
+  },
+};
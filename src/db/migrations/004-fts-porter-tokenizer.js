@@ -0,0 +1,25 @@
+/**
+ * @fileoverview Recreates the FTS table with the `porter ascii` tokenizer,
+ * so that singular and plural forms match, and reindexes every product.
+ * `rebuild-fts.js` used to apply this tokenizer to some databases only.
+ */
+
+module.exports = {
+  version: 4,
+  name: 'fts-porter-tokenizer',
+  up(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS products_fts;
+
+      CREATE VIRTUAL TABLE products_fts USING fts5(
+        id,
+        search_text,
+        content='products',
+        content_rowid='rowid',
+        tokenize='porter ascii'
+      );
+
+      INSERT INTO products_fts(products_fts) VALUES('rebuild');
+    `);
+  },
+};
@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Keeps the external-content FTS table in sync with `products`
+ * through triggers, so that every write (imports, delta updates, deletions)
+ * maintains the index without a separate rebuild. No rebuild is needed
+ * here: migration 004 has just reindexed every product.
+ *
+ * Note that `INSERT OR REPLACE` does not fire the delete trigger for the row
+ * it replaces unless recursive triggers are enabled, so products must be
+ * updated with an upsert (`ON CONFLICT DO UPDATE`) instead.
+ */
+
+module.exports = {
+  version: 5,
+  name: 'fts-triggers',
+  up(db) {
+    db.exec(`
+      CREATE TRIGGER products_fts_after_insert AFTER INSERT ON products BEGIN
+        INSERT INTO products_fts(rowid, id, search_text)
+        VALUES (new.rowid, new.id, new.search_text);
+      END;
+
+      CREATE TRIGGER products_fts_after_delete AFTER DELETE ON products BEGIN
+        INSERT INTO products_fts(products_fts, rowid, id, search_text)
+        VALUES ('delete', old.rowid, old.id, old.search_text);
+      END;
+
+      CREATE TRIGGER products_fts_after_update AFTER UPDATE OF id, search_text ON products BEGIN
+        INSERT INTO products_fts(products_fts, rowid, id, search_text)
+        VALUES ('delete', old.rowid, old.id, old.search_text);
+        INSERT INTO products_fts(rowid, id, search_text)
+        VALUES (new.rowid, new.id, new.search_text);
+      END;
+    `);
+  },
+};
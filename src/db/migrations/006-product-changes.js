@@ -0,0 +1,24 @@
+/**
+ * @fileoverview Adds the `product_changes` table, which logs the changes that
+ * delta updates apply to products, starting with the products they remove.
+ * Rows are appended in order, so `id` doubles as a position in the log.
+ */
+
+module.exports = {
+  version: 6,
+  name: 'product-changes',
+  up(db) {
+    db.exec(`
+      CREATE TABLE product_changes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        product_id TEXT NOT NULL,
+        operation TEXT NOT NULL,
+        reason TEXT,
+        delta_file TEXT,
+        changed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX idx_product_changes_product_id ON product_changes (product_id);
+    `);
+  },
+};
@@ -0,0 +1,13 @@
+/**
+ * @fileoverview Adds the `columns` column to `product_changes`, holding the
+ * JSON array of the columns an insert or update changed, now that every
+ * change applied by the delta updates is logged and not only removals.
+ */
+
+module.exports = {
+  version: 7,
+  name: 'change-columns',
+  up(db) {
+    db.exec('ALTER TABLE product_changes ADD COLUMN columns TEXT;');
+  },
+};
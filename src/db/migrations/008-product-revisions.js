@@ -0,0 +1,24 @@
+/**
+ * @fileoverview Adds the `product_revisions` table, which keeps the previous
+ * `raw_data` of products replaced by delta updates, so that `GET
+ * /product/:code/history` can show what changed between versions.
+ */
+
+module.exports = {
+  version: 8,
+  name: 'product-revisions',
+  up(db) {
+    db.exec(`
+      CREATE TABLE product_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        product_id TEXT NOT NULL,
+        last_modified_t INTEGER,
+        raw_data TEXT NOT NULL,
+        delta_file TEXT,
+        replaced_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX idx_product_revisions_product_id ON product_revisions (product_id, id);
+    `);
+  },
+};
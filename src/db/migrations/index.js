@@ -0,0 +1,113 @@
+/**
+ * @fileoverview This module applies the versioned schema migrations in this
+ * directory. The version of a database is stored under `schema_version` in
+ * its `meta` table. Each migration runs in its own transaction together with
+ * the version bump, so an interrupted run leaves the database at the last
+ * fully applied version.
+ *
+ * Migrations must never be edited once released: schema changes are made by
+ * adding a new file and appending it to `MIGRATIONS`.
+ */
+
+const MIGRATIONS = [
+  require('./001-initial-schema'),
+  require('./002-vector-table'),
+  require('./003-product-details'),
+  require('./004-fts-porter-tokenizer'),
+  require('./005-fts-triggers'),
+  require('./006-product-changes'),
+  require('./007-change-columns'),
+  require('./008-product-revisions'),
+  require('./009-grade-indexes'),
+];
+
+const SCHEMA_VERSION_KEY = 'schema_version';
+// The version this code expects.
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Error raised when a database does not have the schema version this code expects.
+ */
+class SchemaVersionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SchemaVersionError';
+  }
+}
+
+/**
+ * Builds the error for a database migrated by a newer version of this code.
+ * @param {number} version The database's schema version.
+ * @returns {SchemaVersionError}
+ */
+function newerVersionError(version) {
+  return new SchemaVersionError(`Database schema version ${version} is newer than the expected version ${SCHEMA_VERSION}. Upgrade the application.`);
+}
+
+/**
+ * Reads the schema version of a database. An empty database is at version 0.
+ * A database with a `products` table but no stored version was created before
+ * migrations existed, and is at version 1.
+ * @param {import('better-sqlite3').Database} db The database connection.
+ * @returns {number}
+ */
+function getSchemaVersion(db) {
+  const hasTable = name => Boolean(db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(name));
+  if (hasTable('meta')) {
+    const row = db.prepare('SELECT value FROM meta WHERE key = ?').get(SCHEMA_VERSION_KEY);
+    if (row) return parseInt(row.value, 10);
+  }
+  return hasTable('products') ? 1 : 0;
+}
+
+/**
+ * Ensures a database has the schema version this code expects.
+ * @param {import('better-sqlite3').Database} db The database connection.
+ * @throws {SchemaVersionError}
+ */
+function assertSchemaVersion(db) {
+  const version = getSchemaVersion(db);
+  if (version < SCHEMA_VERSION) {
+    throw new SchemaVersionError(`Database schema version ${version} is older than the expected version ${SCHEMA_VERSION}. Run \`npm run migrate\` first.`);
+  }
+  if (version > SCHEMA_VERSION) {
+    throw newerVersionError(version);
+  }
+}
+
+/**
+ * Applies every migration newer than the database's version.
+ * The sqlite-vec extension must be loaded on the connection.
+ * @param {import('better-sqlite3').Database} db A writable database connection.
+ * @param {object} [options={}]
+ * @param {function({version: number, name: string}): void} [options.onMigrate] Called before each migration.
+ * @returns {{from: number, to: number}} The versions before and after migrating.
+ * @throws {SchemaVersionError} If the database is newer than this code.
+ */
+function migrate(db, options = {}) {
+  const { onMigrate } = options;
+  const from = getSchemaVersion(db);
+  if (from > SCHEMA_VERSION) {
+    throw newerVersionError(from);
+  }
+
+  for (const migration of MIGRATIONS.filter(m => m.version > from)) {
+    if (onMigrate) onMigrate(migration);
+    db.transaction(() => {
+      migration.up(db);
+      db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)').run(SCHEMA_VERSION_KEY, String(migration.version));
+    })();
+  }
+
+  return { from, to: getSchemaVersion(db) };
+}
+
+module.exports = {
+  MIGRATIONS,
+  SCHEMA_VERSION,
+  SCHEMA_VERSION_KEY,
+  SchemaVersionError,
+  getSchemaVersion,
+  assertSchemaVersion,
+  migrate,
+};
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const sqliteVec = require('sqlite-vec');
+const OpenFoodFactsDB = require('../database');
+const { createFakeEmbedder } = require('../embeddings');
+const {
+  MIGRATIONS, SCHEMA_VERSION, SCHEMA_VERSION_KEY, SchemaVersionError, getSchemaVersion, migrate,
+} = require('./index');
+
+describe('migrations', () => {
+  let dir;
+  let dbPath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'off-migrations-'));
+    dbPath = path.join(dir, 'products.db');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Creates a database as the first versions of `import.js` did:
+   * the initial schema, one product, and no stored schema version.
+   */
+  function createLegacyDb() {
+    const db = new Database(dbPath);
+    sqliteVec.load(db);
+    MIGRATIONS[0].up(db);
+    db.prepare(`
+      INSERT INTO products (id, code, product_name, complete_macros, raw_data, search_text)
+      VALUES (?, ?, ?, NULL, ?, ?)
+    `).run('3017620422003', '3017620422003', 'Nutella', JSON.stringify({
+      code: '3017620422003',
+      product_name: 'Nutella',
+      serving_size: '15 g',
+      allergens_tags: ['en:milk', 'en:nuts'],
+      nutriments: { 'energy-kcal_100g': 539, fat_100g: 30.9, carbohydrates_100g: 57.5, proteins_100g: 6.3 },
+    }), 'Nutella hazelnut spreads');
+    db.exec("INSERT INTO products_fts(products_fts) VALUES('rebuild');");
+    return db;
+  }
+
+  it('should have consecutive versions', () => {
+    expect(MIGRATIONS.map(m => m.version)).toEqual(MIGRATIONS.map((m, i) => i + 1));
+  });
+
+  it('should create the current schema from scratch', () => {
+    OpenFoodFactsDB.initialize(dbPath);
+    const db = new Database(dbPath);
+    expect(getSchemaVersion(db)).toBe(SCHEMA_VERSION);
+    const fts = db.prepare("SELECT sql FROM sqlite_master WHERE name = 'products_fts'").get();
+    expect(fts.sql).toContain("tokenize='porter ascii'");
+    db.close();
+  });
+
+  it('should upgrade a database created before migrations existed', () => {
+    const db = createLegacyDb();
+    expect(getSchemaVersion(db)).toBe(1);
+
+    const applied = [];
+    expect(migrate(db, { onMigrate: m => applied.push(m.version) })).toEqual({ from: 1, to: SCHEMA_VERSION });
+    expect(applied).toEqual(MIGRATIONS.slice(1).map(m => m.version));
+
+    const product = db.prepare('SELECT serving_size, complete_macros FROM products').get();
+    expect(product).toEqual({ serving_size: '15 g', complete_macros: 1 });
+    const allergens = db.prepare('SELECT allergen FROM product_allergens ORDER BY allergen').pluck().all();
+    expect(allergens).toEqual(['en:milk', 'en:nuts']);
+    const indexes = db.prepare("SELECT name FROM sqlite_master WHERE type = 'index' AND name LIKE 'idx_products_%' ORDER BY name").pluck().all();
+    expect(indexes).toEqual(['idx_products_ecoscore_grade', 'idx_products_nova_group', 'idx_products_nutriscore_grade']);
+    // The porter tokenizer matches the singular form of an indexed plural.
+    expect(db.prepare("SELECT id FROM products_fts WHERE products_fts MATCH 'spread'").pluck().all()).toEqual(['3017620422003']);
+
+    // Migrating again is a no-op.
+    expect(migrate(db)).toEqual({ from: SCHEMA_VERSION, to: SCHEMA_VERSION });
+    db.close();
+  });
+
+  it('should refuse to serve a database with another schema version', async () => {
+    createLegacyDb().close();
+    const options = { dbPath, embedder: createFakeEmbedder() };
+    await expect(OpenFoodFactsDB.create(options)).rejects.toThrow('Run `npm run migrate` first');
+
+    const db = new Database(dbPath);
+    sqliteVec.load(db);
+    migrate(db);
+    db.prepare('UPDATE meta SET value = ? WHERE key = ?').run(String(SCHEMA_VERSION + 1), SCHEMA_VERSION_KEY);
+    db.close();
+    await expect(OpenFoodFactsDB.create(options)).rejects.toThrow(SchemaVersionError);
+  });
+});
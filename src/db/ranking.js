@@ -0,0 +1,56 @@
+/**
+ * @fileoverview This module contains rank fusion helpers used to combine the
+ * results of different rankers (FTS5 and vector search). Their raw scores
+ * (`bm25` rank vs. cosine distance) are not comparable, so fusion is based
+ * on the position of each product in each list only.
+ */
+
+const DEFAULT_RRF_K = 60;
+
+/**
+ * Fuses several ranked lists with weighted reciprocal-rank fusion (RRF).
+ * Each item receives `weight / (k + rank)` from every list it appears in,
+ * where `rank` is its 1-based position in that list.
+ *
+ * @param {Array<{name: string, weight: number, items: Array<object>}>} rankings
+ * The ranked lists to fuse, best item first.
+ * @param {object} [options={}]
+ * @param {number} [options.k=60] The RRF smoothing constant. Higher values
+ * flatten the difference between top and lower ranks.
+ * @param {Function} [options.key] Returns the identity of an item. Defaults to `item.id`.
+ * @returns {Array<{key: string, item: object, score: number, contributions: object}>}
+ * The fused list, sorted by descending score. `contributions` maps each ranker
+ * name to `{ rank, contribution }`, or `null` when the item was not in that list.
+ */
+function reciprocalRankFusion(rankings, options = {}) {
+  const { k = DEFAULT_RRF_K, key = item => item.id } = options;
+  const fused = new Map();
+
+  for (const { name, weight, items } of rankings) {
+    items.forEach((item, index) => {
+      const id = key(item);
+      let entry = fused.get(id);
+      if (!entry) {
+        entry = {
+          key: id,
+          item,
+          score: 0,
+          contributions: Object.fromEntries(rankings.map(r => [r.name, null])),
+        };
+        fused.set(id, entry);
+      }
+      const rank = index + 1;
+      const contribution = weight / (k + rank);
+      entry.score += contribution;
+      entry.contributions[name] = { rank, contribution };
+    });
+  }
+
+  // Ties are broken by insertion order, which favours the first ranking.
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  DEFAULT_RRF_K,
+  reciprocalRankFusion,
+};
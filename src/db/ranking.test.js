@@ -0,0 +1,65 @@
+const { DEFAULT_RRF_K, reciprocalRankFusion } = require('./ranking');
+
+const list = (...ids) => ids.map(id => ({ id }));
+
+describe('reciprocalRankFusion', () => {
+  it('should sum the weighted reciprocal ranks of each item', () => {
+    const fused = reciprocalRankFusion([
+      { name: 'lexical', weight: 1, items: list('a', 'b') },
+      { name: 'semantic', weight: 2, items: list('b', 'c') },
+    ], { k: 10 });
+
+    expect(fused.map(entry => entry.key)).toEqual(['b', 'c', 'a']);
+    expect(fused[0].score).toBeCloseTo(1 / 12 + 2 / 11);
+    expect(fused[0].contributions).toEqual({
+      lexical: { rank: 2, contribution: 1 / 12 },
+      semantic: { rank: 1, contribution: 2 / 11 },
+    });
+  });
+
+  it('should report null for the rankers that did not return an item', () => {
+    const fused = reciprocalRankFusion([
+      { name: 'lexical', weight: 1, items: list('a') },
+      { name: 'semantic', weight: 1, items: [] },
+    ]);
+
+    expect(fused).toEqual([{
+      key: 'a',
+      item: { id: 'a' },
+      score: 1 / (DEFAULT_RRF_K + 1),
+      contributions: { lexical: { rank: 1, contribution: 1 / (DEFAULT_RRF_K + 1) }, semantic: null },
+    }]);
+    expect(reciprocalRankFusion([{ name: 'lexical', weight: 1, items: [] }])).toEqual([]);
+  });
+
+  it('should break ties in favour of the first ranking', () => {
+    const fused = reciprocalRankFusion([
+      { name: 'lexical', weight: 1, items: list('a', 'b') },
+      { name: 'semantic', weight: 1, items: list('c', 'd') },
+    ]);
+
+    expect(fused.map(entry => entry.key)).toEqual(['a', 'c', 'b', 'd']);
+    expect(fused[0].score).toBe(fused[1].score);
+  });
+
+  it('should flatten the differences between ranks as k grows', () => {
+    const rankings = [{ name: 'lexical', weight: 1, items: list('a', 'b') }];
+    const ratio = k => {
+      const [first, second] = reciprocalRankFusion(rankings, { k });
+      return first.score / second.score;
+    };
+
+    expect(ratio(0)).toBe(2);
+    expect(ratio(100)).toBeCloseTo(102 / 101);
+  });
+
+  it('should identify items with a custom key', () => {
+    const fused = reciprocalRankFusion([
+      { name: 'lexical', weight: 1, items: [{ code: 'x', from: 'lexical' }] },
+      { name: 'semantic', weight: 1, items: [{ code: 'x', from: 'semantic' }] },
+    ], { key: item => item.code });
+
+    expect(fused).toHaveLength(1);
+    expect(fused[0].item).toEqual({ code: 'x', from: 'lexical' });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * @fileoverview This module keeps the previous versions of products replaced
+ * by the delta updates, and diffs them for `GET /product/:code/history`.
+ * Only `raw_data` is archived: every other column is derived from it. The
+ * table is created by the `008-product-revisions` migration.
+ */
+
+const { PRODUCT_REVISIONS } = require('./constants');
+const { extractNutriments } = require('./transformer');
+
+// The fields of the source record compared between revisions, besides nutriments.
+const HISTORY_FIELDS = [
+  'product_name',
+  'brands',
+  'quantity',
+  'serving_size',
+  'categories',
+  'countries',
+  'ingredients_text',
+  'nutriscore_grade',
+  'nova_group',
+  'ecoscore_grade',
+  'allergens_tags',
+  'traces_tags',
+  'labels_tags',
+  'additives_tags',
+];
+
+const NUTRIMENT_VALUES = ['value_100g', 'value_serving', 'unit'];
+
+/**
+ * Prepares the statements that archive and remove product revisions.
+ * @param {import('better-sqlite3').Database} db The database connection.
+ * @param {object} [options={}]
+ * @param {number} [options.keep=PRODUCT_REVISIONS] How many revisions to keep per product.
+ * Set to 0 to disable the history.
+ * @returns {{archive: Function, remove: Function}} `archive(before, deltaFile)`
+ * stores the `products` row a write is about to replace and drops the oldest
+ * revisions beyond `keep`. `remove(productId)` drops every revision of a
+ * product. Both should run in the same transaction as the write.
+ * @throws {Error} If `keep` is not a non-negative integer.
+ */
+function prepareRevisionStore(db, options = {}) {
+  const { keep = PRODUCT_REVISIONS } = options;
+  if (!Number.isInteger(keep) || keep < 0) {
+    throw new Error(`Invalid number of product revisions to keep: ${keep}`);
+  }
+
+  const insertStmt = db.prepare(`
+    INSERT INTO product_revisions (product_id, last_modified_t, raw_data, delta_file)
+    VALUES (?, ?, ?, ?)
+  `);
+  const pruneStmt = db.prepare(`
+    DELETE FROM product_revisions WHERE product_id = ? AND id NOT IN (
+      SELECT id FROM product_revisions WHERE product_id = ? ORDER BY id DESC LIMIT ?
+    )
+  `);
+  const removeStmt = db.prepare('DELETE FROM product_revisions WHERE product_id = ?');
+
+  return {
+    archive(before, deltaFile = null) {
+      if (keep === 0) return;
+      insertStmt.run(before.id, before.last_modified_t, before.raw_data, deltaFile);
+      pruneStmt.run(before.id, before.id, keep);
+    },
+    remove(productId) {
+      removeStmt.run(productId);
+    },
+  };
+}
+
+/**
+ * Diffs two versions of a source record: the `HISTORY_FIELDS` and every
+ * value of every nutriment.
+ * @param {object} before The older record.
+ * @param {object} after The newer record.
+ * @returns {{fields: Object<string, {from: *, to: *}>, nutriments: Object<string, Object<string, {from: *, to: *}>>}}
+ * Only what changed, e.g. `{ fields: {}, nutriments: { salt: { value_100g: { from: 0.1, to: 0.2 } } } }`.
+ */
+function diffRecords(before, after) {
+  const fields = {};
+  for (const field of HISTORY_FIELDS) {
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      fields[field] = { from, to };
+    }
+  }
+
+  const byName = record => new Map(extractNutriments(record.nutriments || {}).map(n => [n.nutrient, n]));
+  const older = byName(before);
+  const newer = byName(after);
+  const nutriments = {};
+  for (const name of [...new Set([...older.keys(), ...newer.keys()])].sort()) {
+    const changes = {};
+    for (const key of NUTRIMENT_VALUES) {
+      const from = older.get(name)?.[key] ?? null;
+      const to = newer.get(name)?.[key] ?? null;
+      if (from !== to) {
+        changes[key] = { from, to };
+      }
+    }
+    if (Object.keys(changes).length > 0) {
+      nutriments[name] = changes;
+    }
+  }
+
+  return { fields, nutriments };
+}
+
+/**
+ * Builds the history of a product from its current version and its archived
+ * revisions. Each revision carries the diff to the version that replaced it.
+ * @param {{id: string, last_modified_t: (number|null), raw_data: object}} product The current product.
+ * @param {Array<{last_modified_t: (number|null), raw_data: string, delta_file: (string|null), replaced_at: string}>} revisions
+ * The archived revisions, newest first.
+ * @returns {{id: string, last_modified_t: (number|null), revisions: Array<object>}}
+ */
+function buildHistory(product, revisions) {
+  let newer = product.raw_data;
+  return {
+    id: product.id,
+    last_modified_t: product.last_modified_t,
+    revisions: revisions.map(({ raw_data, ...revision }) => {
+      const record = JSON.parse(raw_data);
+      const changes = diffRecords(record, newer);
+      newer = record;
+      return { ...revision, changes };
+    }),
+  };
+}
+
+module.exports = {
+  HISTORY_FIELDS,
+  prepareRevisionStore,
+  diffRecords,
+  buildHistory,
+};
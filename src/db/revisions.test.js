@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { buildFixtureDb } = require('../test/fixture-db');
+const { buildHistory, diffRecords, prepareRevisionStore } = require('./revisions');
+
+describe('revisions', () => {
+  describe('diffRecords', () => {
+    it('should report changed fields and nutriment values only', () => {
+      const before = {
+        product_name: 'Nutella',
+        brands: 'Ferrero',
+        labels_tags: ['en:green-dot'],
+        nutriments: { salt_100g: 0.107, salt_unit: 'g', fat_100g: 30.9 },
+      };
+      const after = {
+        product_name: 'Nutella',
+        brands: 'Ferrero',
+        labels_tags: ['en:green-dot', 'en:palm-oil-free'],
+        nutriments: { salt_100g: '0.2', salt_unit: 'g', fat_100g: 30.9, fiber_100g: 3 },
+      };
+
+      expect(diffRecords(before, after)).toEqual({
+        fields: { labels_tags: { from: ['en:green-dot'], to: ['en:green-dot', 'en:palm-oil-free'] } },
+        nutriments: {
+          fiber: { value_100g: { from: null, to: 3 } },
+          salt: { value_100g: { from: 0.107, to: 0.2 } },
+        },
+      });
+    });
+  });
+
+  describe('buildHistory', () => {
+    it('should diff each revision against the version that replaced it', () => {
+      const history = buildHistory({ id: '1', last_modified_t: 3, raw_data: { product_name: 'C' } }, [
+        { last_modified_t: 2, raw_data: JSON.stringify({ product_name: 'B' }), delta_file: 'd2', replaced_at: 't2' },
+        { last_modified_t: 1, raw_data: JSON.stringify({ product_name: 'A' }), delta_file: 'd1', replaced_at: 't1' },
+      ]);
+
+      expect(history.revisions.map(r => r.changes.fields.product_name)).toEqual([
+        { from: 'B', to: 'C' },
+        { from: 'A', to: 'B' },
+      ]);
+      expect(history.revisions[1]).toMatchObject({ last_modified_t: 1, delta_file: 'd1', replaced_at: 't1' });
+    });
+  });
+
+  describe('prepareRevisionStore', () => {
+    let dir;
+    let db;
+
+    beforeEach(async () => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'off-revisions-'));
+      db = new Database(await buildFixtureDb(path.join(dir, 'products.db')));
+    });
+
+    afterEach(() => {
+      db.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const revisionTimes = () => db.prepare('SELECT last_modified_t FROM product_revisions ORDER BY id').pluck().all();
+
+    it('should keep only the configured number of revisions per product', () => {
+      const store = prepareRevisionStore(db, { keep: 2 });
+      for (let t = 1; t <= 3; t++) {
+        store.archive({ id: '3017620422003', last_modified_t: t, raw_data: '{}' }, `delta_${t}.json.gz`);
+      }
+      store.archive({ id: '5449000000996', last_modified_t: 9, raw_data: '{}' });
+      expect(revisionTimes()).toEqual([2, 3, 9]);
+
+      store.remove('3017620422003');
+      expect(revisionTimes()).toEqual([9]);
+    });
+
+    it('should keep nothing when disabled and reject invalid settings', () => {
+      prepareRevisionStore(db, { keep: 0 }).archive({ id: '3017620422003', last_modified_t: 1, raw_data: '{}' });
+      expect(revisionTimes()).toEqual([]);
+      expect(() => prepareRevisionStore(db, { keep: NaN })).toThrow('Invalid number of product revisions');
+    });
+  });
+});
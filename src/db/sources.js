@@ -0,0 +1,331 @@
+/**
+ * @fileoverview This module reads the OpenFoodFacts exports the import can
+ * start from, and turns every product into a JSON line, the input contract of
+ * `transformProduct()`:
+ *
+ * - JSONL (the main dump), optionally compressed with gzip (`.gz`) or
+ *   Zstandard (`.zst`), from a file or from stdin (`-`).
+ * - The CSV export, which is tab-separated, optionally compressed.
+ * - The Parquet dump, whose nested columns are mapped back to the JSONL shape.
+ *
+ * Compressed files are decompressed while streaming, so the uncompressed
+ * dump never has to be written to disk.
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const zlib = require('zlib');
+const { Transform } = require('stream');
+
+const FORMATS = ['jsonl', 'csv', 'parquet'];
+
+// Parquet columns that hold nested data as a JSON string.
+const PARQUET_COLUMNS_AS_JSON = ['ingredients'];
+
+/**
+ * Error raised for a source that cannot be read, e.g. an unknown format.
+ */
+class SourceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SourceError';
+  }
+}
+
+/**
+ * Returns the compression of a source from its extension.
+ * @param {string} source A file path, or `-` for stdin.
+ * @returns {'gzip'|'zstd'|null}
+ */
+function detectCompression(source) {
+  if (/\.gz$/i.test(source)) return 'gzip';
+  if (/\.zst$/i.test(source)) return 'zstd';
+  return null;
+}
+
+/**
+ * Returns the format of a source from its extension, ignoring compression.
+ * stdin and unknown extensions are read as JSONL.
+ * @param {string} source A file path, or `-` for stdin.
+ * @returns {'jsonl'|'csv'|'parquet'}
+ */
+function detectFormat(source) {
+  const name = source.replace(/\.(gz|zst)$/i, '');
+  if (/\.(csv|tsv)$/i.test(name)) return 'csv';
+  if (/\.parquet$/i.test(name)) return 'parquet';
+  return 'jsonl';
+}
+
+/**
+ * Creates a streaming Zstandard decompressor. Node.js has one built in from
+ * version 22.15; older versions use the pure JavaScript `fzstd`.
+ * @returns {import('stream').Transform}
+ */
+function createZstdDecompress() {
+  if (typeof zlib.createZstdDecompress === 'function') {
+    return zlib.createZstdDecompress();
+  }
+
+  const { Decompress } = require('fzstd');
+  let stream;
+  const decompressor = new Decompress((chunk) => stream.push(chunk));
+  stream = new Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        decompressor.push(chunk);
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+    flush(callback) {
+      try {
+        decompressor.push(new Uint8Array(0), true);
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+  });
+  return stream;
+}
+
+/**
+ * Opens a source as a stream of decompressed bytes.
+ * @param {string} source A file path, or `-` for stdin.
+ * @param {object} [options={}]
+ * @param {import('stream').Readable} [options.stdin=process.stdin] The stream read for `-`.
+ * @returns {import('stream').Readable}
+ */
+function openSourceStream(source, options = {}) {
+  const { stdin = process.stdin } = options;
+  const input = source === '-' ? stdin : fs.createReadStream(source);
+  const compression = detectCompression(source);
+  if (!compression) return input;
+
+  const decompress = compression === 'gzip' ? zlib.createGunzip() : createZstdDecompress();
+  // Errors of the input are forwarded so that readers of the output see them.
+  input.on('error', error => decompress.destroy(error));
+  return input.pipe(decompress);
+}
+
+/**
+ * Splits a line of the CSV export. OpenFoodFacts exports tab-separated
+ * values without quoting; comma-separated files may quote fields.
+ * @param {string} line
+ * @param {string} delimiter
+ * @returns {string[]}
+ */
+function splitCsvLine(line, delimiter) {
+  if (delimiter === '\t') return line.split('\t');
+
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+/**
+ * Maps a row of the CSV export to the shape of a JSONL record: `*_tags`
+ * columns become arrays, and the `*_100g`, `*_serving` and `*_unit` columns
+ * are grouped into `nutriments`. Empty cells are left out.
+ * @param {Object<string, string>} row The row, keyed by column name.
+ * @returns {object}
+ */
+function csvRowToRecord(row) {
+  const record = {};
+  const nutriments = {};
+  for (const [column, value] of Object.entries(row)) {
+    if (value === undefined || value === '') continue;
+    if (/_(100g|serving)$/.test(column)) {
+      const number = Number(value);
+      if (!isNaN(number)) nutriments[column] = number;
+    } else if (/_unit$/.test(column)) {
+      nutriments[column] = value;
+    } else if (/_tags$/.test(column)) {
+      record[column] = value.split(',').filter(Boolean);
+    } else {
+      record[column] = value;
+    }
+  }
+
+  // The CSV export lists the allergen tags in `allergens`, without the suffix.
+  if (!record.allergens_tags && typeof record.allergens === 'string' && /^\w{2}:/.test(record.allergens)) {
+    record.allergens_tags = record.allergens.split(',').filter(Boolean);
+  }
+  for (const column of ['nova_group', 'completeness', 'last_modified_t', 'serving_quantity']) {
+    if (record[column] !== undefined && !isNaN(Number(record[column]))) {
+      record[column] = Number(record[column]);
+    }
+  }
+  if (Object.keys(nutriments).length > 0) {
+    record.nutriments = nutriments;
+  }
+  return record;
+}
+
+/**
+ * Maps a row of the Parquet dump to the shape of a JSONL record. The Parquet
+ * dump stores localized texts as lists of `{lang, text}`, nutriments as a list
+ * of `{name, 100g, serving, unit}`, and some nested fields as JSON strings.
+ * Rows that already have the JSONL shape are kept as-is.
+ * @param {object} row
+ * @returns {object}
+ */
+function parquetRowToRecord(row) {
+  const record = {};
+  for (const [column, value] of Object.entries(row)) {
+    if (value === null || value === undefined) continue;
+
+    if (column === 'nutriments' && Array.isArray(value)) {
+      record.nutriments = {};
+      for (const { name, '100g': per100g, serving, unit } of value) {
+        if (per100g != null) record.nutriments[`${name}_100g`] = per100g;
+        if (serving != null) record.nutriments[`${name}_serving`] = serving;
+        if (unit != null) record.nutriments[`${name}_unit`] = unit;
+      }
+    } else if (Array.isArray(value) && value.length > 0 && value[0] && typeof value[0] === 'object' && 'lang' in value[0]) {
+      // Localized text: prefer the main language of the product.
+      const main = value.find(t => t.lang === 'main') || value[0];
+      record[column] = main.text;
+    } else if (PARQUET_COLUMNS_AS_JSON.includes(column) && typeof value === 'string') {
+      try {
+        record[column] = JSON.parse(value);
+      } catch (error) {
+        // Keep the raw string, `transformProduct()` ignores what it cannot use.
+        record[column] = value;
+      }
+    } else {
+      record[column] = value;
+    }
+  }
+  return record;
+}
+
+/**
+ * Serializes a Parquet record, whose 64-bit integers are read as BigInt.
+ * @param {object} record
+ * @returns {string}
+ */
+function stringifyParquetRecord(record) {
+  return JSON.stringify(record, (key, value) => (typeof value === 'bigint' ? Number(value) : value));
+}
+
+/**
+ * Reads the lines of a text source.
+ * @param {string} source
+ * @param {object} options See `openSourceStream()`.
+ * @returns {readline.Interface}
+ */
+function readLines(source, options) {
+  return readline.createInterface({ input: openSourceStream(source, options), crlfDelay: Infinity });
+}
+
+/**
+ * Reads the CSV export, yielding a JSON line per product.
+ * @param {string} source
+ * @param {object} options
+ */
+async function* readCsv(source, options) {
+  let header = null;
+  let delimiter = '\t';
+  for await (const line of readLines(source, options)) {
+    if (line === '') continue;
+    if (!header) {
+      delimiter = line.includes('\t') ? '\t' : ',';
+      header = splitCsvLine(line, delimiter);
+      continue;
+    }
+    const values = splitCsvLine(line, delimiter);
+    const row = Object.fromEntries(header.map((column, i) => [column, values[i]]));
+    yield JSON.stringify(csvRowToRecord(row));
+  }
+}
+
+/**
+ * Reads the Parquet dump one row group at a time, yielding a JSON line per product.
+ * @param {string} source
+ */
+async function* readParquet(source) {
+  if (source === '-') {
+    throw new SourceError('Parquet files cannot be read from stdin.');
+  }
+  if (detectCompression(source)) {
+    throw new SourceError('Parquet files are compressed internally and must not be compressed again.');
+  }
+
+  // hyparquet is an ES module.
+  const { asyncBufferFromFile, parquetMetadataAsync, parquetReadObjects } = await import('hyparquet');
+  const { compressors } = await import('hyparquet-compressors');
+  const file = await asyncBufferFromFile(source);
+  const metadata = await parquetMetadataAsync(file);
+
+  let rowStart = 0;
+  for (const rowGroup of metadata.row_groups) {
+    const rowEnd = rowStart + Number(rowGroup.num_rows);
+    const rows = await parquetReadObjects({ file, metadata, compressors, rowStart, rowEnd });
+    for (const row of rows) {
+      yield stringifyParquetRecord(parquetRowToRecord(row));
+    }
+    rowStart = rowEnd;
+  }
+}
+
+/**
+ * Reads a source, yielding one JSON line per product for `transformProduct()`.
+ * @param {string} source A file path, or `-` for stdin.
+ * @param {object} [options={}]
+ * @param {string} [options.format] One of `FORMATS`. Detected from the extension by default.
+ * @param {import('stream').Readable} [options.stdin=process.stdin] The stream read for `-`.
+ * @returns {AsyncGenerator<string>}
+ * @throws {SourceError} If the format is unknown or cannot be read from this source.
+ */
+function readSource(source, options = {}) {
+  const format = options.format || detectFormat(source);
+  if (!FORMATS.includes(format)) {
+    throw new SourceError(`Unknown source format "${format}". Expected one of: ${FORMATS.join(', ')}.`);
+  }
+  if (source !== '-' && !fs.existsSync(source)) {
+    throw new SourceError(`Source file not found: ${source}`);
+  }
+
+  if (format === 'csv') return readCsv(source, options);
+  if (format === 'parquet') return readParquet(source);
+  return (async function* readJsonl() {
+    for await (const line of readLines(source, options)) {
+      if (line !== '') yield line;
+    }
+  })();
+}
+
+module.exports = {
+  FORMATS,
+  SourceError,
+  detectCompression,
+  detectFormat,
+  openSourceStream,
+  csvRowToRecord,
+  parquetRowToRecord,
+  readSource,
+};
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { FIXTURE_SOURCE } = require('../test/fixture-db');
+const { transformProduct } = require('./transformer');
+const {
+  SourceError, csvRowToRecord, detectFormat, parquetRowToRecord, readSource,
+} = require('./sources');
+
+const ZSTD_SAMPLE = path.join(__dirname, '..', 'test', 'fixtures', 'products-sample.jsonl.zst');
+
+async function collect(lines) {
+  const result = [];
+  for await (const line of lines) result.push(line);
+  return result;
+}
+
+describe('sources', () => {
+  let dir;
+  const fixtureLines = fs.readFileSync(FIXTURE_SOURCE, 'utf-8').split('\n').filter(Boolean);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'off-sources-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should detect the format ignoring compression', () => {
+    expect(detectFormat('data/openfoodfacts-products.jsonl.gz')).toBe('jsonl');
+    expect(detectFormat('en.openfoodfacts.org.products.csv.zst')).toBe('csv');
+    expect(detectFormat('food.parquet')).toBe('parquet');
+    expect(detectFormat('-')).toBe('jsonl');
+  });
+
+  it('should stream gzip and zstd compressed JSONL', async () => {
+    const gzPath = path.join(dir, 'products.jsonl.gz');
+    fs.writeFileSync(gzPath, zlib.gzipSync(fs.readFileSync(FIXTURE_SOURCE)));
+
+    expect(await collect(readSource(gzPath))).toEqual(fixtureLines);
+    expect(await collect(readSource(ZSTD_SAMPLE))).toEqual(fixtureLines.slice(0, 3));
+  });
+
+  it('should read JSONL from stdin', async () => {
+    const stdin = Readable.from([`${fixtureLines[0]}\n${fixtureLines[1].slice(0, 20)}`, `${fixtureLines[1].slice(20)}\n`]);
+    expect(await collect(readSource('-', { stdin }))).toEqual(fixtureLines.slice(0, 2));
+  });
+
+  it('should map the tab-separated CSV export to records transformProduct() accepts', async () => {
+    const csvPath = path.join(dir, 'products.csv');
+    fs.writeFileSync(csvPath, [
+      'code\tproduct_name\tbrands\tallergens\tlabels_tags\tnova_group\tenergy-kcal_100g\tfat_100g\tcarbohydrates_100g\tproteins_100g\tsalt_100g',
+      '3017620422003\tNutella\tFerrero\ten:milk,en:nuts\ten:green-dot\t4\t539\t30.9\t57.5\t6.3\t',
+    ].join('\n'));
+
+    const [line] = await collect(readSource(csvPath));
+    const product = transformProduct(line);
+    expect(product).toMatchObject({ id: '3017620422003', brands: 'Ferrero', nova_group: 4, energy_kcal: 539, complete_macros: 1, salt_100g: null });
+    expect(product.details.allergens).toEqual(['en:milk', 'en:nuts']);
+    expect(product.details.labels).toEqual(['en:green-dot']);
+  });
+
+  it('should parse quoted comma-separated values', async () => {
+    const csvPath = path.join(dir, 'products.csv');
+    fs.writeFileSync(csvPath, 'code,product_name,categories_tags\n1,"Biscuits, ""petit"" format","en:a,en:b"\n');
+
+    expect(await collect(readSource(csvPath))).toEqual([
+      JSON.stringify({ code: '1', product_name: 'Biscuits, "petit" format', categories_tags: ['en:a', 'en:b'] }),
+    ]);
+    expect(csvRowToRecord({ code: '2', product_name: '', last_modified_t: '1700000000' })).toEqual({ code: '2', last_modified_t: 1700000000 });
+  });
+
+  it('should map the nested columns of the Parquet dump', () => {
+    const record = parquetRowToRecord({
+      code: '3017620422003',
+      product_name: [{ lang: 'main', text: 'Nutella' }, { lang: 'de', text: 'Nutella DE' }],
+      nutriments: [{ name: 'salt', '100g': 0.107, serving: 0.016, unit: 'g' }, { name: 'fat', '100g': 30.9, serving: null, unit: null }],
+      ingredients: '[{"id":"en:sugar","text":"Sucre"}]',
+      brands: null,
+    });
+
+    expect(record).toEqual({
+      code: '3017620422003',
+      product_name: 'Nutella',
+      nutriments: { salt_100g: 0.107, salt_serving: 0.016, salt_unit: 'g', fat_100g: 30.9 },
+      ingredients: [{ id: 'en:sugar', text: 'Sucre' }],
+    });
+  });
+
+  it('should reject unknown formats, missing files and Parquet from stdin', async () => {
+    expect(() => readSource(FIXTURE_SOURCE, { format: 'xml' })).toThrow(SourceError);
+    expect(() => readSource(path.join(dir, 'missing.jsonl'))).toThrow('Source file not found');
+    await expect(collect(readSource('-', { format: 'parquet' }))).rejects.toThrow('stdin');
+  });
+});
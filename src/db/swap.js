@@ -0,0 +1,131 @@
+/**
+ * @fileoverview This module replaces the served database with a freshly built
+ * one. The full import writes to a staging file next to the database, which
+ * is validated and then renamed over it. The rename is atomic, so a server
+ * opening the database sees either the old file or the new one, and a server
+ * that has it open keeps reading the old file until it reopens its connection
+ * (see `OpenFoodFactsDB#reopen()`).
+ */
+
+const fs = require('fs');
+const Database = require('better-sqlite3');
+const sqliteVec = require('sqlite-vec');
+const { SCHEMA_VERSION, getSchemaVersion } = require('./migrations');
+const { hasVecTable } = require('./embeddings');
+
+/**
+ * Error raised when a new database fails validation or cannot be swapped in.
+ */
+class SwapError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SwapError';
+  }
+}
+
+/**
+ * Returns the staging file a new database is built in. It is in the same
+ * directory as the database, as a rename is only atomic within a file system.
+ * @param {string} dbPath The database file.
+ * @returns {string}
+ */
+function stagingPath(dbPath) {
+  return `${dbPath}.importing`;
+}
+
+/**
+ * Checks that a database is fit to be served: it has the schema version this
+ * code expects, it has products, every product is in the FTS index, and a
+ * full-text query for a word of a product finds it. Unless `requireEmbeddings`
+ * is false, `vec_products` must also have the embedding of that product, so
+ * that semantic search does not silently return nothing after the swap.
+ * @param {string} dbPath The database file.
+ * @param {object} [options={}]
+ * @param {number} [options.minProducts=1] The fewest products accepted.
+ * @param {boolean} [options.requireEmbeddings=true] Reject a database without embeddings.
+ * @returns {{schemaVersion: number, products: number, indexed: number, embeddings: boolean}}
+ * `embeddings` tells whether the database has product embeddings.
+ * @throws {SwapError} Listing every failed check.
+ */
+function validateDatabase(dbPath, options = {}) {
+  const { minProducts = 1, requireEmbeddings = true } = options;
+  // Only reads, but a read-only connection would leave the `-wal` and `-shm`
+  // files behind, which must not be renamed along with the database.
+  const db = new Database(dbPath, { fileMustExist: true });
+  sqliteVec.load(db);
+  try {
+    // The other checks rely on the current schema.
+    const schemaVersion = getSchemaVersion(db);
+    if (schemaVersion !== SCHEMA_VERSION) {
+      throw new SwapError(`Invalid database ${dbPath}: schema version is ${schemaVersion}, expected ${SCHEMA_VERSION}.`);
+    }
+
+    const failures = [];
+    const products = db.prepare('SELECT COUNT(*) FROM products').pluck().get();
+    const indexed = db.prepare('SELECT COUNT(*) FROM products_fts_docsize').pluck().get();
+    if (products < minProducts) {
+      failures.push(`${products} products, expected at least ${minProducts}`);
+    }
+    if (indexed !== products) {
+      failures.push(`${indexed} products in the FTS index, expected ${products}`);
+    }
+
+    const sample = db.prepare("SELECT rowid, search_text FROM products WHERE search_text <> '' LIMIT 1").get();
+    const word = sample && (sample.search_text.match(/[a-z0-9]{3,}/i) || [])[0];
+    if (word) {
+      const found = db.prepare('SELECT 1 FROM products_fts WHERE products_fts MATCH ? AND rowid = ?')
+        .get(`"${word}"*`, sample.rowid);
+      if (!found) {
+        failures.push(`the FTS query "${word}" does not find product rowid ${sample.rowid}`);
+      }
+    }
+
+    // Counting the vectors would read all of them, so only their presence is checked.
+    const embeddings = hasVecTable(db) && Boolean(db.prepare('SELECT 1 FROM vec_products LIMIT 1').get());
+    if (requireEmbeddings && !embeddings) {
+      failures.push('vec_products has no embeddings');
+    } else if (requireEmbeddings && sample && !db.prepare('SELECT 1 FROM vec_products WHERE rowid = ?').get(BigInt(sample.rowid))) {
+      failures.push(`product rowid ${sample.rowid} has no embedding`);
+    }
+
+    if (failures.length > 0) {
+      throw new SwapError(`Invalid database ${dbPath}: ${failures.join('; ')}.`);
+    }
+    return { schemaVersion, products, indexed, embeddings };
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Atomically renames a new database over the served one.
+ *
+ * SQLite opens the `-wal` and `-shm` files of a database by name, so a server
+ * still reading the old file shares them with the new one until it reopens.
+ * The old WAL is checkpointed and truncated first, so that no page of the
+ * old database can be read from it as part of the new one.
+ * @param {string} newPath The new database, closed.
+ * @param {string} dbPath The served database file.
+ * @throws {SwapError} If the old WAL cannot be emptied because of active readers.
+ */
+function installDatabase(newPath, dbPath) {
+  if (fs.existsSync(dbPath)) {
+    const live = new Database(dbPath, { fileMustExist: true, timeout: 10000 });
+    try {
+      const [checkpoint] = live.pragma('wal_checkpoint(TRUNCATE)');
+      if (checkpoint && checkpoint.busy) {
+        throw new SwapError(`Could not checkpoint ${dbPath}, it is busy. Try again.`);
+      }
+    } finally {
+      live.close();
+    }
+  }
+  fs.renameSync(newPath, dbPath);
+}
+
+module.exports = {
+  SwapError,
+  stagingPath,
+  validateDatabase,
+  installDatabase,
+};
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const sqliteVec = require('sqlite-vec');
+const OpenFoodFactsDB = require('./database');
+const { FIXTURE_SOURCE, buildFixtureDb } = require('../test/fixture-db');
+const { createFakeEmbedder } = require('./embeddings');
+const { transformProduct } = require('./transformer');
+const { prepareProductWriter } = require('./writer');
+const { SwapError, installDatabase, stagingPath, validateDatabase } = require('./swap');
+
+const LINES = fs.readFileSync(FIXTURE_SOURCE, 'utf-8').split('\n').filter(Boolean);
+
+describe('swap', () => {
+  let dir;
+  let dbPath;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'off-swap-'));
+    dbPath = await buildFixtureDb(path.join(dir, 'products.db'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Builds the staging database from the fixture products whose name is not
+   * Nutella, renamed with a suffix.
+   */
+  async function buildStaging() {
+    const source = path.join(dir, 'products.jsonl');
+    const lines = LINES.map(line => JSON.parse(line))
+      .filter(record => record.product_name !== 'Nutella')
+      .map(record => JSON.stringify({ ...record, product_name: record.product_name && `${record.product_name} v2` }));
+    fs.writeFileSync(source, lines.join('\n'));
+    return buildFixtureDb(stagingPath(dbPath), { source });
+  }
+
+  it('should validate a complete database', () => {
+    expect(validateDatabase(dbPath)).toEqual({ schemaVersion: expect.any(Number), products: 17, indexed: 17, embeddings: true });
+  });
+
+  it('should reject a database without embeddings, unless they are not required', () => {
+    const db = new Database(dbPath);
+    sqliteVec.load(db);
+    db.prepare('DELETE FROM vec_products WHERE rowid = 1').run();
+    db.close();
+    expect(() => validateDatabase(dbPath)).toThrow('product rowid 1 has no embedding');
+
+    const empty = new Database(dbPath);
+    sqliteVec.load(empty);
+    empty.exec('DELETE FROM vec_products');
+    empty.close();
+    expect(() => validateDatabase(dbPath)).toThrow('vec_products has no embeddings');
+    expect(validateDatabase(dbPath, { requireEmbeddings: false })).toMatchObject({ products: 17, embeddings: false });
+  });
+
+  it('should reject a database with too few products, an incomplete index or another schema version', () => {
+    expect(() => validateDatabase(dbPath, { minProducts: 100 })).toThrow('17 products, expected at least 100');
+
+    const db = new Database(dbPath);
+    db.exec('DROP TRIGGER products_fts_after_insert');
+    const writer = prepareProductWriter(db);
+    writer.write(transformProduct(JSON.stringify({ code: '123', product_name: 'Unindexed' })));
+    db.close();
+    expect(() => validateDatabase(dbPath)).toThrow('17 products in the FTS index, expected 18');
+
+    const older = new Database(dbPath);
+    older.prepare("UPDATE meta SET value = '1' WHERE key = 'schema_version'").run();
+    older.close();
+    expect(() => validateDatabase(dbPath)).toThrow(SwapError);
+    expect(() => validateDatabase(dbPath)).toThrow('schema version is 1');
+  });
+
+  it('should swap in a new database that an open instance serves after reopening', async () => {
+    const instance = await OpenFoodFactsDB.create({ dbPath, embedder: createFakeEmbedder() });
+    try {
+      // A write still in the WAL of the old database must not leak into the new one.
+      const writer = new Database(dbPath);
+      writer.pragma('wal_autocheckpoint = 0');
+      writer.prepare("UPDATE products SET product_name = 'Stale'").run();
+      writer.close();
+
+      const staging = await buildStaging();
+      validateDatabase(staging);
+      installDatabase(staging, dbPath);
+
+      expect(fs.existsSync(staging)).toBe(false);
+      expect(instance.isFileReplaced()).toBe(true);
+      expect(instance.get('3017620422003').product_name).toBe('Stale');
+
+      instance.reopen();
+      expect(instance.isFileReplaced()).toBe(false);
+      expect(instance.get('3017620422003')).toBeNull();
+      expect(instance.get('3274080005003').product_name).toBe('Cristaline Eau de source v2');
+      expect(instance.search('cristaline', { completeOnly: false }).map(p => p.id)).toEqual(['3274080005003']);
+    } finally {
+      instance.close();
+    }
+  });
+});
@@ -0,0 +1,15 @@
+/**
+ * @fileoverview The worker thread of the import pipeline, see
+ * `import-pipeline.js`. It transforms the chunks of lines it receives and
+ * posts the products back with the time the chunk took.
+ */
+
+const { parentPort } = require('worker_threads');
+const { performance } = require('perf_hooks');
+const { transformChunk } = require('./import-pipeline');
+
+parentPort.on('message', ({ id, lines }) => {
+  const start = performance.now();
+  const products = transformChunk(lines);
+  parentPort.postMessage({ id, products, ms: performance.now() - start });
+});
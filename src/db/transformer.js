@@ -5,6 +5,76 @@
  * both the initial import and subsequent delta updates.
  */
 
+const { canonicalCode } = require('./barcode');
+
+/**
+ * Returns the tags of a taxonomy field (e.g. `allergens_tags`), without
+ * duplicates or empty values.
+ * @param {*} tags The field from the source data.
+ * @returns {string[]}
+ */
+function toTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  return [...new Set(tags.filter(tag => typeof tag === 'string' && tag.trim() !== '').map(tag => tag.trim()))];
+}
+
+/**
+ * Converts a source value to a finite number, or null.
+ * @param {*} value The value.
+ * @returns {number | null}
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Extracts the top-level ingredients, in label order.
+ * @param {*} ingredients The `ingredients` field from the source data.
+ * @returns {Array<{position: number, ingredient: (string|null), text: (string|null), percent: (number|null), vegan: (string|null), vegetarian: (string|null)}>}
+ */
+function extractIngredients(ingredients) {
+  if (!Array.isArray(ingredients)) return [];
+  return ingredients
+    .filter(i => i && typeof i === 'object')
+    .map((i, index) => ({
+      position: index + 1,
+      ingredient: i.id || null,
+      text: i.text || null,
+      // `percent` is declared on the label; `percent_estimate` is computed by OpenFoodFacts.
+      percent: toNumber(i.percent) ?? toNumber(i.percent_estimate),
+      vegan: i.vegan || null,
+      vegetarian: i.vegetarian || null,
+    }));
+}
+
+/**
+ * Extracts every nutriment of the `nutriments` object. OpenFoodFacts stores
+ * each one as several keys (`salt_100g`, `salt_serving`, `salt_unit`, ...),
+ * which are grouped into one entry per nutriment.
+ * @param {object} nutriments The `nutriments` field from the source data.
+ * @returns {Array<{nutrient: string, value_100g: (number|null), value_serving: (number|null), unit: (string|null)}>}
+ */
+function extractNutriments(nutriments) {
+  const byName = new Map();
+  for (const [key, value] of Object.entries(nutriments)) {
+    const match = /^(.+)_(100g|serving|unit)$/.exec(key);
+    if (!match) continue;
+    const [, name, suffix] = match;
+    if (!byName.has(name)) {
+      byName.set(name, { nutrient: name, value_100g: null, value_serving: null, unit: null });
+    }
+    const entry = byName.get(name);
+    if (suffix === 'unit') {
+      entry.unit = typeof value === 'string' && value !== '' ? value : null;
+    } else {
+      entry[`value_${suffix}`] = toNumber(value);
+    }
+  }
+  return [...byName.values()].filter(n => n.value_100g !== null || n.value_serving !== null);
+}
+
 /**
  * Transforms a single line of raw JSONL data into a structured product object.
  * It extracts relevant fields, computes derived values like `search_text`,
@@ -13,7 +83,8 @@
  * @param {string} line A raw JSON string representing a single product from the OFF dump.
  * @returns {object | null} A structured product object ready for database insertion,
  * or null if the line is invalid or represents an incomplete product record
- * that should be skipped.
+ * that should be skipped. Its `details` object holds the lists stored in the
+ * side tables (allergens, traces, labels, additives, ingredients, nutriments).
  */
 function transformProduct(line) {
   if (!line) return null;
@@ -21,54 +92,10 @@ function transformProduct(line) {
   try {
     const p = JSON.parse(line);
     // Basic validation: ensure the product has a code and a name.
-    if (!p.code || !p.product_name) {
+    if (!p || !p.code || !p.product_name) {
       return null;
     }
-
-    const searchTextParts = [
-      p.product_name,
-      p.brands,
-      p.code,
-      p.categories_tags?.join(' '),
-      p.labels_tags?.join(' '),
-    ];
-
-    const nutriments = p.nutriments || {};
-    const energy = nutriments['energy-kcal_100g'];
-    const fat = nutriments.fat_100g;
-    const carbs = nutriments.carbohydrates_100g;
-    const proteins = nutriments.proteins_100g;
-    
-    // Determine completeness based on key nutritional data and a completeness score > 0.8
-    const hasMacros = energy != null && fat != null && carbs != null && proteins != null;
-    const isComplete = hasMacros && p.completeness != null && p.completeness > 0.8;
-
-    const productData = {
-      id: p.code,
-      code: p.code,
-      product_name: p.product_name || null,
-      brands: p.brands || null,
-      categories: p.categories || null,
-      countries: p.countries || null,
-      energy_kcal: energy || null,
-      fat_100g: fat || null,
-      saturated_fat_100g: nutriments['saturated-fat_100g'] || null,
-      carbohydrates_100g: carbs || null,
-      sugars_100g: nutriments.sugars_100g || null,
-      proteins_100g: proteins || null,
-      salt_100g: nutriments.salt_100g || null,
-      fiber_100g: nutriments.fiber_100g || null,
-      nutriscore_grade: p.nutriscore_grade || null,
-      nova_group: p.nova_group || null,
-      ecoscore_grade: p.ecoscore_grade || null,
-      completeness: isComplete ? 1.0 : (p.completeness || 0.0),
-      complete_macros: hasMacros ? 1 : 0,
-      last_modified_t: p.last_modified_t || null,
-      raw_data: line,
-      search_text: searchTextParts.filter(Boolean).join(' '),
-    };
-
-    return productData;
+    return buildProduct(p, line);
   } catch (error) {
     // Malformed JSON, skip line by returning null.
     // console.error('Failed to parse line:', line, error);
@@ -76,6 +103,115 @@ function transformProduct(line) {
   }
 }
 
+/**
+ * Whether a flag from the source data is set. OpenFoodFacts writes
+ * booleans as `"on"` in some exports.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isFlagSet(value) {
+  return value === true || value === 1 || value === 'on' || value === 'true' || value === '1';
+}
+
+/**
+ * Parses a line of a delta file. Unlike the full dump, a delta also carries
+ * the products that were deleted (including those merged into another
+ * product) and those whose name was emptied; both are returned as tombstones
+ * so that the update can remove them instead of silently skipping them.
+ *
+ * @param {string} line A raw JSON string representing a single product from a delta file.
+ * @returns {{type: 'upsert', product: object} | {type: 'delete', id: string, reason: 'deleted'|'emptied'} | null}
+ * The product to write, the id of the product to remove, or null if the line
+ * is invalid or has no code.
+ */
+function parseDeltaRecord(line) {
+  if (!line) return null;
+
+  try {
+    const p = JSON.parse(line);
+    if (!p || !p.code) return null;
+
+    if (isFlagSet(p.deleted)) {
+      return { type: 'delete', id: canonicalCode(p.code), reason: 'deleted' };
+    }
+    if (!p.product_name) {
+      return { type: 'delete', id: canonicalCode(p.code), reason: 'emptied' };
+    }
+    return { type: 'upsert', product: buildProduct(p, line) };
+  } catch (error) {
+    // Malformed JSON, skip line by returning null.
+    return null;
+  }
+}
+
+/**
+ * Builds the structured product of a parsed source record.
+ * @param {object} p The parsed record, with a code and a name.
+ * @param {string} line The raw JSON string, stored as `raw_data`.
+ * @returns {object}
+ */
+function buildProduct(p, line) {
+  const code = canonicalCode(p.code);
+  const searchTextParts = [
+    p.product_name,
+    p.brands,
+    code,
+    // Keep the original form searchable too, e.g. a 12-digit UPC-A code.
+    code !== String(p.code) ? p.code : null,
+    p.categories_tags?.join(' '),
+    p.labels_tags?.join(' '),
+  ];
+
+  const nutriments = p.nutriments || {};
+  const energy = nutriments['energy-kcal_100g'];
+  const fat = nutriments.fat_100g;
+  const carbs = nutriments.carbohydrates_100g;
+  const proteins = nutriments.proteins_100g;
+  
+  // Determine completeness based on key nutritional data and a completeness score > 0.8
+  const hasMacros = energy != null && fat != null && carbs != null && proteins != null;
+  const isComplete = hasMacros && p.completeness != null && p.completeness > 0.8;
+
+  const productData = {
+    id: code,
+    code,
+    product_name: p.product_name || null,
+    brands: p.brands || null,
+    categories: p.categories || null,
+    countries: p.countries || null,
+    energy_kcal: energy || null,
+    fat_100g: fat || null,
+    saturated_fat_100g: nutriments['saturated-fat_100g'] || null,
+    carbohydrates_100g: carbs || null,
+    sugars_100g: nutriments.sugars_100g || null,
+    proteins_100g: proteins || null,
+    salt_100g: nutriments.salt_100g || null,
+    fiber_100g: nutriments.fiber_100g || null,
+    nutriscore_grade: p.nutriscore_grade || null,
+    nova_group: p.nova_group || null,
+    ecoscore_grade: p.ecoscore_grade || null,
+    completeness: isComplete ? 1.0 : (p.completeness || 0.0),
+    complete_macros: hasMacros ? 1 : 0,
+    serving_size: p.serving_size || null,
+    serving_quantity: toNumber(p.serving_quantity),
+    last_modified_t: p.last_modified_t || null,
+    raw_data: line,
+    search_text: searchTextParts.filter(Boolean).join(' '),
+    details: {
+      allergens: toTags(p.allergens_tags),
+      traces: toTags(p.traces_tags),
+      labels: toTags(p.labels_tags),
+      additives: toTags(p.additives_tags),
+      ingredients: extractIngredients(p.ingredients),
+      nutriments: extractNutriments(nutriments),
+    },
+  };
+
+  return productData;
+}
+
 module.exports = {
   transformProduct,
+  parseDeltaRecord,
+  extractNutriments,
 }; 
\ No newline at end of file
@@ -0,0 +1,74 @@
+const { parseDeltaRecord, transformProduct } = require('./transformer');
+
+describe('transformer', () => {
+  describe('transformProduct', () => {
+    it('should skip invalid lines and products without a code or name', () => {
+      expect(transformProduct('')).toBeNull();
+      expect(transformProduct('{not json')).toBeNull();
+      expect(transformProduct(JSON.stringify({ code: '3017620422003' }))).toBeNull();
+    });
+
+    it('should extract the structured details', () => {
+      const product = transformProduct(JSON.stringify({
+        code: '3017620422003',
+        product_name: 'Nutella',
+        serving_size: '15 g',
+        serving_quantity: '15',
+        allergens_tags: ['en:milk', 'en:nuts', 'en:milk'],
+        traces_tags: ['en:gluten'],
+        labels_tags: ['en:green-dot'],
+        additives_tags: ['en:e322'],
+        ingredients: [
+          { id: 'en:sugar', text: 'Sucre', percent_estimate: 56.3 },
+          { id: 'en:palm-oil', text: 'huile de palme', percent: '20', vegan: 'yes' },
+        ],
+        nutriments: { 'energy-kcal_100g': 539, 'energy-kcal_serving': 80.8, 'energy-kcal_unit': 'kcal', salt_100g: '0.107', 'nova-group': 4 },
+      }));
+
+      expect(product.serving_size).toBe('15 g');
+      expect(product.serving_quantity).toBe(15);
+      expect(product.details).toEqual({
+        allergens: ['en:milk', 'en:nuts'],
+        traces: ['en:gluten'],
+        labels: ['en:green-dot'],
+        additives: ['en:e322'],
+        ingredients: [
+          { position: 1, ingredient: 'en:sugar', text: 'Sucre', percent: 56.3, vegan: null, vegetarian: null },
+          { position: 2, ingredient: 'en:palm-oil', text: 'huile de palme', percent: 20, vegan: 'yes', vegetarian: null },
+        ],
+        nutriments: [
+          { nutrient: 'energy-kcal', value_100g: 539, value_serving: 80.8, unit: 'kcal' },
+          { nutrient: 'salt', value_100g: 0.107, value_serving: null, unit: null },
+        ],
+      });
+    });
+
+    it('should return empty details when the source has none', () => {
+      const product = transformProduct(JSON.stringify({ code: '3017620422003', product_name: 'Nutella' }));
+      expect(product.details).toEqual({
+        allergens: [], traces: [], labels: [], additives: [], ingredients: [], nutriments: [],
+      });
+    });
+  });
+
+  describe('parseDeltaRecord', () => {
+    it('should return products to upsert', () => {
+      const record = parseDeltaRecord(JSON.stringify({ code: '3017620422003', product_name: 'Nutella' }));
+      expect(record.type).toBe('upsert');
+      expect(record.product).toEqual(transformProduct(JSON.stringify({ code: '3017620422003', product_name: 'Nutella' })));
+    });
+
+    it('should return tombstones for deleted and emptied products', () => {
+      expect(parseDeltaRecord(JSON.stringify({ code: '3017620422003', product_name: 'Nutella', deleted: 'on' })))
+        .toEqual({ type: 'delete', id: '3017620422003', reason: 'deleted' });
+      expect(parseDeltaRecord(JSON.stringify({ code: '036000291452', product_name: '' })))
+        .toEqual({ type: 'delete', id: '0036000291452', reason: 'emptied' });
+    });
+
+    it('should skip invalid lines and records without a code', () => {
+      expect(parseDeltaRecord('')).toBeNull();
+      expect(parseDeltaRecord('{not json')).toBeNull();
+      expect(parseDeltaRecord(JSON.stringify({ product_name: 'Nutella' }))).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview This module writes transformed products to the database.
+ * It is shared by the full import and the delta updates, so both store
+ * the same columns and keep the detail side tables in sync with `products`.
+ */
+
+const { prepareDetailStatements } = require('./details');
+
+/**
+ * Prepares the statements that write a product and its details.
+ *
+ * An upsert handles both new products and updates to existing ones. Unlike
+ * `INSERT OR REPLACE`, it keeps the rowid of an existing product (and so its
+ * embedding and FTS entry) and fires the update trigger that reindexes it.
+ * Callers are expected to run `write()` inside a transaction.
+ * @param {import('better-sqlite3').Database} db The database connection.
+ * @param {object} [options={}]
+ * @param {boolean} [options.keepNewest=false] Only replace an existing product
+ * with a record whose `last_modified_t` is at least as high, so that the dump
+ * can list a code several times. Records without `last_modified_t` are older
+ * than any other.
+ * @returns {{write: Function, remove: Function}} `write(product)` stores a
+ * product returned by `transformProduct()` and returns the rowid of the
+ * product row, or null if `keepNewest` kept the existing one.
+ * `remove(id)` deletes a product and its details, and returns the rowid it
+ * had, or null if there was no such product. The FTS triggers unindex it,
+ * but its embedding must be removed by the caller, as this module does not
+ * depend on the sqlite-vec extension.
+ */
+function prepareProductWriter(db, options = {}) {
+  const { keepNewest = false } = options;
+  const upsertStmt = db.prepare(`
+    INSERT INTO products (
+      id, code, product_name, brands, categories, countries, energy_kcal, fat_100g,
+      saturated_fat_100g, carbohydrates_100g, sugars_100g, proteins_100g, salt_100g,
+      fiber_100g, nutriscore_grade, nova_group, ecoscore_grade, completeness, complete_macros,
+      serving_size, serving_quantity, last_modified_t, raw_data, search_text, updated_at
+    ) VALUES (
+      @id, @code, @product_name, @brands, @categories, @countries, @energy_kcal, @fat_100g,
+      @saturated_fat_100g, @carbohydrates_100g, @sugars_100g, @proteins_100g, @salt_100g,
+      @fiber_100g, @nutriscore_grade, @nova_group, @ecoscore_grade, @completeness, @complete_macros,
+      @serving_size, @serving_quantity, @last_modified_t, @raw_data, @search_text, CURRENT_TIMESTAMP
+    )
+    ON CONFLICT(id) DO UPDATE SET
+      code = excluded.code, product_name = excluded.product_name, brands = excluded.brands,
+      categories = excluded.categories, countries = excluded.countries,
+      energy_kcal = excluded.energy_kcal, fat_100g = excluded.fat_100g,
+      saturated_fat_100g = excluded.saturated_fat_100g,
+      carbohydrates_100g = excluded.carbohydrates_100g, sugars_100g = excluded.sugars_100g,
+      proteins_100g = excluded.proteins_100g, salt_100g = excluded.salt_100g,
+      fiber_100g = excluded.fiber_100g, nutriscore_grade = excluded.nutriscore_grade,
+      nova_group = excluded.nova_group, ecoscore_grade = excluded.ecoscore_grade,
+      completeness = excluded.completeness, complete_macros = excluded.complete_macros,
+      serving_size = excluded.serving_size, serving_quantity = excluded.serving_quantity,
+      last_modified_t = excluded.last_modified_t, raw_data = excluded.raw_data,
+      search_text = excluded.search_text, updated_at = excluded.updated_at
+    ${keepNewest ? 'WHERE COALESCE(excluded.last_modified_t, -1) >= COALESCE(products.last_modified_t, -1)' : ''}
+    RETURNING rowid
+  `);
+  const deleteStmt = db.prepare('DELETE FROM products WHERE id = ? RETURNING rowid');
+  const details = prepareDetailStatements(db);
+
+  return {
+    write(product) {
+      const { details: productDetails, ...row } = product;
+      const written = upsertStmt.get(row);
+      if (!written) return null;
+      details.replace(product.id, productDetails);
+      return written.rowid;
+    },
+    remove(id) {
+      const row = deleteStmt.get(id);
+      details.remove(id);
+      return row ? row.rowid : null;
+    },
+  };
+}
+
+module.exports = {
+  prepareProductWriter,
+};
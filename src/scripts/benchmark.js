@@ -1,23 +1,22 @@
 const Benchmark = require('benchmark');
 const OpenFoodFactsDB = require('../db/database');
+const { logger } = require('../db/logger');
 
 function runBenchmarks() {
-  console.log('🚀 Initializing benchmark suite...');
+  logger.info('Initializing benchmark suite');
   
   let db;
   try {
     db = new OpenFoodFactsDB();
   } catch (error) {
-    console.error('❌ Benchmark setup failed: Could not connect to the database.');
-    console.error(error.message);
+    logger.error('Benchmark setup failed: could not connect to the database', { err: error });
     process.exit(1);
   }
 
   const suite = new Benchmark.Suite;
   const knownId = '3017620422003'; // Nutella barcode
 
-  console.log(`\n🔬 Benchmarking functions with database: ${db.db.name}`);
-  console.log('--------------------------------------------------');
+  logger.info('Benchmarking functions', { path: db.db.name });
 
   suite
     .add('get(id)', () => {
@@ -39,15 +38,20 @@ function runBenchmarks() {
       db.search('asdfghjklqwertyuiopzxcvbnm');
     })
     .on('cycle', (event) => {
-      console.log(String(event.target));
+      const { name, hz, stats } = event.target;
+      logger.info(String(event.target), {
+        benchmark: name,
+        ops_per_sec: Math.round(hz),
+        rme_percent: Number(stats.rme.toFixed(2)),
+        samples: stats.sample.length,
+      });
     })
     .on('complete', function () {
-      console.log('--------------------------------------------------');
       db.close();
-      console.log('\nBenchmarks complete. Database connection closed.');
+      logger.info('Benchmarks complete. Database connection closed.');
     })
     .on('error', (err) => {
-      console.error('An error occurred during benchmarking:', err);
+      logger.error('An error occurred during benchmarking', { err });
       db.close();
     })
     .run({ 'async': false });
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview This script reports any drift between the `products` table
+ * and its FTS index: products missing from the index, index entries left
+ * behind by deleted products, and indexed text that no longer matches the
+ * product. It exits with a non-zero status when drift is found, so it can run
+ * from cron or CI.
+ *
+ * With `--fix`, the index is rebuilt and checked again.
+ *
+ * @usage `node src/scripts/check-fts.js [--fix]`
+ */
+const fs = require('fs');
+const Database = require('better-sqlite3');
+const { DB_PATH } = require('../db/constants');
+const { assertSchemaVersion } = require('../db/migrations');
+const { checkFtsConsistency, rebuildFts } = require('../db/fts');
+const { logger } = require('../db/logger');
+
+/**
+ * Logs a consistency report.
+ * @param {ReturnType<checkFtsConsistency>} report
+ */
+function logReport(report) {
+  logger.info('FTS index checked', { products: report.products, indexed: report.indexed });
+  if (report.missing.count > 0) {
+    logger.error('Products are missing from the index', { count: report.missing.count, sample: report.missing.sample });
+  }
+  if (report.orphaned.count > 0) {
+    logger.error('Index entries have no product', { count: report.orphaned.count, sample_rowids: report.orphaned.sample });
+  }
+  if (report.integrityError) {
+    logger.error('The index does not match the products table', { integrity_error: report.integrityError });
+  }
+  if (report.ok) {
+    logger.info('FTS index is consistent with the products table');
+  }
+}
+
+/**
+ * Main function to execute the check.
+ * @returns {boolean} Whether the index is consistent at the end of the run.
+ */
+function runCheck() {
+  if (!fs.existsSync(DB_PATH)) {
+    logger.error('Database file not found. Please run the main import script first.', { path: DB_PATH });
+    process.exit(1);
+  }
+
+  const fix = process.argv.includes('--fix');
+  logger.info('Checking FTS index', { path: DB_PATH });
+  // FTS5 runs its integrity check as a write, even though it changes nothing.
+  const db = new Database(DB_PATH, { fileMustExist: true });
+
+  try {
+    assertSchemaVersion(db);
+    let report = checkFtsConsistency(db);
+    logReport(report);
+
+    if (!report.ok && fix) {
+      logger.info('Rebuilding FTS index');
+      rebuildFts(db);
+      report = checkFtsConsistency(db);
+      logReport(report);
+    }
+    return report.ok;
+  } finally {
+    db.close();
+  }
+}
+
+try {
+  if (!runCheck()) process.exit(1);
+} catch (err) {
+  logger.error('FTS check failed', { err });
+  process.exit(1);
+}
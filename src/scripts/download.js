@@ -3,95 +3,406 @@
  * main OpenFoodFacts dataset. It fetches the full JSONL data dump,
  * decompresses it, and places it in the `data` directory, ready for import.
  *
- * @usage `node src/scripts/download.js`
+ * Downloads are written to a `.part` file and resumed with an HTTP Range
+ * request after a failure, both within a run (with retries) and across runs.
+ * The finished file is checked against the size announced by the server and
+ * the SHA-256 checksum published by OpenFoodFacts before it is used.
+ *
+ * The download helpers are exported for the other scripts; the CLI only runs
+ * when this file is executed directly.
+ *
+ * @usage `node src/scripts/download.js [--mirror <baseUrl>] [--url <url>]
+ * [--checksum-url <url>] [--skip-checksum] [--keep-compressed]`
  */
 const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
 const zlib = require('zlib');
+const { parseArgs } = require('util');
+const { setTimeout: sleep } = require('timers/promises');
 const { pipeline } = require('stream/promises');
 const { Readable, Transform } = require('stream');
 const { SOURCE_PATH, DATA_DIR } = require('../db/constants');
-const path = require('path');
-const { DownloaderHelper } = require('node-downloader-helper');
+const { logger } = require('../db/logger');
 
-const SOURCE_URL = 'https://static.openfoodfacts.org/data/openfoodfacts-products.jsonl.gz';
+const DATA_URL = 'https://static.openfoodfacts.org/data/';
+const SOURCE_ARCHIVE = 'openfoodfacts-products.jsonl.gz';
+const SOURCE_URL = `${DATA_URL}${SOURCE_ARCHIVE}`;
+// OpenFoodFacts publishes the checksums of its exports in `sha256sum` format.
+const CHECKSUM_URL = `${DATA_URL}sha256sum`;
 
-async function runDownload() {
-  // Ensure the data directory exists
-  fs.mkdirSync(DATA_DIR, { recursive: true });
+/**
+ * Error raised when a download fails. `retryable` tells whether trying again
+ * (and resuming from the partial file) can succeed.
+ */
+class DownloadError extends Error {
+  constructor(message, retryable = false) {
+    super(message);
+    this.name = 'DownloadError';
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Returns the URL of the dataset, on a mirror if one is given.
+ * @param {object} [options={}]
+ * @param {string} [options.url] An explicit URL, which takes precedence.
+ * @param {string} [options.mirror] The base URL of a mirror of the OpenFoodFacts `data/` directory.
+ * @returns {string}
+ */
+function resolveSourceUrl(options = {}) {
+  const { url, mirror } = options;
+  if (url) return url;
+  if (mirror) return new URL(SOURCE_ARCHIVE, mirror.endsWith('/') ? mirror : `${mirror}/`).toString();
+  return SOURCE_URL;
+}
 
-  const stats = fs.statSync(DATA_DIR, { throwIfNoEntry: false });
-  const lastModifiedTime = stats ? stats.mtime.toISOString() : null;
+/**
+ * Runs an operation, retrying it with an exponential backoff while it fails
+ * with a retryable `DownloadError`.
+ * @param {function(): Promise<*>} operation The attempt to run.
+ * @param {object} options
+ * @param {number} options.retries How many times a failed attempt is retried.
+ * @param {number} options.retryDelayMs The delay before the first retry, doubled for each next one.
+ * @param {string} message The message logged before each retry.
+ * @returns {Promise<*>} The result of the first successful attempt.
+ */
+async function withRetries(operation, { retries, retryDelayMs }, message) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (!(error instanceof DownloadError) || !error.retryable || attempt >= retries) throw error;
+      const delay = retryDelayMs * 2 ** attempt;
+      logger.warn(message, { attempt: attempt + 1, retry_in_ms: delay, err: error });
+      await sleep(delay);
+    }
+  }
+}
 
-  console.log(`🚀 Starting download of full dataset from ${SOURCE_URL}...`);
-  console.log('This is a large file and may take some time.');
+/**
+ * Fetches the published SHA-256 checksum of a file, retrying network and
+ * server errors like `downloadFile()`.
+ * @param {string} checksumUrl A file in `sha256sum` format (`<hex>  <filename>` lines),
+ * or holding a single checksum.
+ * @param {string} filename The file to find the checksum of.
+ * @param {object} [options={}]
+ * @param {number} [options.retries=3] How many times a failed attempt is retried.
+ * @param {number} [options.retryDelayMs=1000] The delay before the first retry, doubled for each next one.
+ * @returns {Promise<string|null>} The lowercase hex checksum, or null if none is published.
+ * @throws {DownloadError} If the checksum file cannot be fetched.
+ */
+async function fetchPublishedChecksum(checksumUrl, filename, options = {}) {
+  const { retries = 3, retryDelayMs = 1000 } = options;
+  const text = await withRetries(() => fetchChecksumFile(checksumUrl), { retries, retryDelayMs }, 'Checksum download failed, retrying');
+  if (text === null) return null;
 
-  const compressedPath = `${SOURCE_PATH}.gz`;
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+  for (const line of lines) {
+    const match = /^([0-9a-f]{64})(?:\s+\*?(.+))?$/i.exec(line);
+    if (!match) continue;
+    const [, hash, name] = match;
+    if (name ? path.basename(name) === filename : lines.length === 1) {
+      return hash.toLowerCase();
+    }
+  }
+  return null;
+}
 
+/**
+ * Makes one attempt at fetching a checksum file.
+ * @param {string} checksumUrl
+ * @returns {Promise<string|null>} The content of the file, or null if it does not exist.
+ * @throws {DownloadError} If the request fails.
+ */
+async function fetchChecksumFile(checksumUrl) {
+  let res;
   try {
-    // 1. Download the compressed file
-    console.log(`\n[1/3] Downloading to ${compressedPath}...`);
-    const res = await fetch(SOURCE_URL);
-    if (!res.ok) {
-      throw new Error(`Failed to download: ${res.status} ${res.statusText}`);
+    res = await fetch(checksumUrl);
+  } catch (error) {
+    throw new DownloadError(`Failed to download ${checksumUrl}: ${error.message}`, true);
+  }
+  if (res.status === 404) return null;
+  if (!res.ok) {
+    throw new DownloadError(`Failed to download ${checksumUrl}: ${res.status} ${res.statusText}`, res.status >= 500 || res.status === 429);
+  }
+  try {
+    return await res.text();
+  } catch (error) {
+    throw new DownloadError(`Download of ${checksumUrl} was interrupted: ${error.message}`, true);
+  }
+}
+
+/**
+ * Computes the SHA-256 checksum of a file.
+ * @param {string} filePath
+ * @returns {Promise<string>} The lowercase hex checksum.
+ */
+async function sha256File(filePath) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+/**
+ * Reads the state saved next to a partial download, if it belongs to `url`.
+ * @param {string} statePath
+ * @param {string} url
+ * @returns {{url: string, etag: (string|null), lastModified: (string|null)} | null}
+ */
+function readPartialState(statePath, url) {
+  try {
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf-8'));
+    return state.url === url ? state : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Removes a partial download and its saved state.
+ * @param {string} partPath
+ */
+function discardPartial(partPath) {
+  fs.rmSync(partPath, { force: true });
+  fs.rmSync(`${partPath}.json`, { force: true });
+}
+
+/**
+ * Makes one attempt at downloading `url` into `partPath`, resuming from the
+ * bytes already there when the server supports Range requests. The `If-Range`
+ * validator makes the server send the whole file again if it changed since.
+ * @param {string} url
+ * @param {string} partPath
+ * @param {function(number, number): void} [onProgress] Called with the bytes written and the total size.
+ * @returns {Promise<number>} The size of the complete file.
+ * @throws {DownloadError}
+ */
+async function downloadAttempt(url, partPath, onProgress) {
+  const statePath = `${partPath}.json`;
+  const state = readPartialState(statePath, url);
+  let offset = state && fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+
+  const headers = {};
+  if (offset > 0) {
+    headers.Range = `bytes=${offset}-`;
+    // Weak ETags cannot be used with If-Range.
+    const validator = state.etag && !state.etag.startsWith('W/') ? state.etag : state.lastModified;
+    if (validator) headers['If-Range'] = validator;
+  }
+
+  let res;
+  try {
+    res = await fetch(url, { headers });
+  } catch (error) {
+    throw new DownloadError(`Failed to download ${url}: ${error.message}`, true);
+  }
+
+  if (res.status === 416) {
+    // The partial file is at least as long as the remote one.
+    const total = parseInt((res.headers.get('content-range') || '').split('/')[1], 10);
+    if (total === offset) return total;
+    discardPartial(partPath);
+    throw new DownloadError(`Partial download of ${url} does not match the remote file.`, true);
+  }
+  if (!res.ok) {
+    throw new DownloadError(`Failed to download ${url}: ${res.status} ${res.statusText}`, res.status >= 500 || res.status === 429);
+  }
+
+  let total;
+  if (res.status === 206) {
+    const match = /^bytes (\d+)-\d+\/(\d+|\*)$/.exec(res.headers.get('content-range') || '');
+    if (!match || parseInt(match[1], 10) !== offset) {
+      discardPartial(partPath);
+      throw new DownloadError(`Unexpected Content-Range from ${url}.`, true);
     }
+    total = match[2] === '*' ? null : parseInt(match[2], 10);
+  } else {
+    // A full response: the server ignored the range or the file changed.
+    offset = 0;
+    const length = parseInt(res.headers.get('content-length'), 10);
+    total = isNaN(length) ? null : length;
+  }
 
-    const totalSize = parseInt(res.headers.get('content-length'), 10);
-    let downloadedSize = 0;
-    const progressStream = new Transform({
-      transform(chunk, encoding, callback) {
-        downloadedSize += chunk.length;
-        if (totalSize) {
-          const percentage = Math.floor((downloadedSize / totalSize) * 100);
-          process.stdout.write(`Downloading... ${percentage}% (${(downloadedSize / 1024 / 1024).toFixed(2)}MB / ${(totalSize / 1024 / 1024).toFixed(2)}MB)\r`);
-        } else {
-          process.stdout.write(`Downloading... ${(downloadedSize / 1024 / 1024).toFixed(2)}MB\r`);
-        }
-        this.push(chunk);
-        callback();
-      }
-    });
+  fs.writeFileSync(statePath, JSON.stringify({
+    url,
+    etag: res.headers.get('etag'),
+    lastModified: res.headers.get('last-modified'),
+  }));
 
-    await pipeline(Readable.fromWeb(res.body), progressStream, fs.createWriteStream(compressedPath));
-    process.stdout.write('\n');
-    console.log('✅ Download complete.');
+  let written = offset;
+  const progressStream = new Transform({
+    transform(chunk, encoding, callback) {
+      written += chunk.length;
+      if (onProgress) onProgress(written, total);
+      callback(null, chunk);
+    },
+  });
 
-    // 2. Decompress the file
-    console.log(`\n[2/3] Decompressing ${compressedPath} to ${SOURCE_PATH}...`);
-    const gunzip = zlib.createGunzip();
-    const source = fs.createReadStream(compressedPath);
-    const destination = fs.createWriteStream(SOURCE_PATH);
+  try {
+    await pipeline(
+      Readable.fromWeb(res.body),
+      progressStream,
+      fs.createWriteStream(partPath, { flags: offset > 0 ? 'a' : 'w' }),
+    );
+  } catch (error) {
+    throw new DownloadError(`Download of ${url} was interrupted: ${error.message}`, true);
+  }
 
-    const compressedFileSize = fs.statSync(compressedPath).size;
-    let readSize = 0;
-    source.on('data', (chunk) => {
+  const size = fs.statSync(partPath).size;
+  if (total !== null && size !== total) {
+    if (size > total) discardPartial(partPath);
+    throw new DownloadError(`Size mismatch for ${url}: expected ${total} bytes, got ${size}.`, true);
+  }
+  return size;
+}
+
+/**
+ * Downloads a file, resuming after failures and verifying it before it is
+ * moved to `dest`. The partial file (`<dest>.part`) is kept when the download
+ * fails, so the next call resumes it.
+ * @param {string} url The URL to download.
+ * @param {string} dest The local path of the finished file.
+ * @param {object} [options={}]
+ * @param {string} [options.sha256] The expected SHA-256 checksum, if known.
+ * @param {number} [options.retries=3] How many times a failed attempt is retried.
+ * @param {number} [options.retryDelayMs=1000] The delay before the first retry, doubled for each next one.
+ * @param {function(number, number): void} [options.onProgress] Called with the bytes written and the total size.
+ * @returns {Promise<{path: string, size: number}>}
+ * @throws {DownloadError} If all attempts fail or the checksum does not match.
+ */
+async function downloadFile(url, dest, options = {}) {
+  const { sha256, retries = 3, retryDelayMs = 1000, onProgress } = options;
+  const partPath = `${dest}.part`;
+
+  const size = await withRetries(() => downloadAttempt(url, partPath, onProgress), { retries, retryDelayMs }, 'Download failed, retrying');
+
+  if (sha256) {
+    const actual = await sha256File(partPath);
+    if (actual !== sha256.toLowerCase()) {
+      discardPartial(partPath);
+      throw new DownloadError(`Checksum mismatch for ${url}: expected ${sha256}, got ${actual}.`);
+    }
+  }
+
+  fs.renameSync(partPath, dest);
+  fs.rmSync(`${partPath}.json`, { force: true });
+  return { path: dest, size };
+}
+
+/**
+ * Decompresses a gzip file. The output is written to a temporary file and
+ * renamed once complete, so an interrupted run never leaves a truncated file.
+ * @param {string} source The `.gz` file.
+ * @param {string} dest The decompressed file.
+ * @param {function(number, number): void} [onProgress] Called with the compressed bytes read and the total.
+ */
+async function gunzipFile(source, dest, onProgress) {
+  const tmpPath = `${dest}.tmp`;
+  const total = fs.statSync(source).size;
+  const input = fs.createReadStream(source);
+  let readSize = 0;
+  if (onProgress) {
+    input.on('data', (chunk) => {
       readSize += chunk.length;
-      const percentage = Math.floor((readSize / compressedFileSize) * 100);
-      process.stdout.write(`Decompressing... ${percentage}%\r`);
+      onProgress(readSize, total);
     });
+  }
 
-    await pipeline(source, gunzip, destination);
-    process.stdout.write('\n');
-    console.log('✅ Decompression complete.');
+  try {
+    await pipeline(input, zlib.createGunzip(), fs.createWriteStream(tmpPath));
+  } catch (error) {
+    fs.rmSync(tmpPath, { force: true });
+    throw error;
+  }
+  fs.renameSync(tmpPath, dest);
+}
 
-    // 3. Clean up the compressed file
-    console.log(`\n[3/3] Cleaning up ${compressedPath}...`);
-    fs.unlinkSync(compressedPath);
-    console.log('✅ Cleanup complete.');
+/**
+ * Logs the progress every 10%, or every 100 MB when the total size is unknown.
+ * @param {string} label
+ * @returns {function(number, number): void}
+ */
+function progressLogger(label) {
+  const stepBytes = 100 * 1024 * 1024;
+  let nextStep = 0;
+  return (done, total) => {
+    const step = total ? Math.floor((done / total) * 10) : Math.floor(done / stepBytes);
+    if (step < nextStep) return;
+    nextStep = step + 1;
+    logger.info(label, total ? { percent: step * 10, bytes: done, total_bytes: total } : { bytes: done });
+  };
+}
 
-    console.log(`\n🎉 Successfully downloaded and decompressed the dataset.`);
-    console.log(`You can now run 'npm run import' to build the database.`);
+async function runDownload() {
+  const { values: args } = parseArgs({
+    options: {
+      url: { type: 'string' },
+      mirror: { type: 'string', default: process.env.OFF_MIRROR_URL },
+      'checksum-url': { type: 'string', default: CHECKSUM_URL },
+      'skip-checksum': { type: 'boolean', default: false },
+      'keep-compressed': { type: 'boolean', default: false },
+    },
+  });
 
-  } catch (error) {
-    console.error('\n❌ An error occurred during the download process:', error);
-    // Clean up partial files on error
-    if (fs.existsSync(compressedPath)) {
-      fs.unlinkSync(compressedPath);
+  // Ensure the data directory exists
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+
+  const sourceUrl = resolveSourceUrl(args);
+  const compressedPath = `${SOURCE_PATH}.gz`;
+
+  // This is a large file; an interrupted download is resumed by running this script again.
+  logger.info('Starting download of the full dataset', { url: sourceUrl });
+
+  try {
+    // 1. Look up the published checksum
+    let sha256 = null;
+    if (args['skip-checksum']) {
+      logger.info('Skipping checksum verification');
+    } else {
+      logger.info('Fetching the published checksum', { url: args['checksum-url'] });
+      sha256 = await fetchPublishedChecksum(args['checksum-url'], path.basename(new URL(sourceUrl).pathname));
+      if (sha256) {
+        logger.info('Expected SHA-256', { sha256 });
+      } else {
+        logger.warn('No checksum is published for this file; only its size will be verified');
+      }
     }
-    if (fs.existsSync(SOURCE_PATH)) {
-      fs.unlinkSync(SOURCE_PATH);
+
+    // 2. Download the compressed file
+    logger.info('Downloading', { path: compressedPath });
+    const { size } = await downloadFile(sourceUrl, compressedPath, { sha256, onProgress: progressLogger('Downloading') });
+    logger.info('Download complete and verified', { bytes: size });
+
+    // 3. Decompress the file
+    if (args['keep-compressed']) {
+      logger.info('Keeping the compressed file', { path: compressedPath });
+    } else {
+      logger.info('Decompressing', { from: compressedPath, to: SOURCE_PATH });
+      await gunzipFile(compressedPath, SOURCE_PATH, progressLogger('Decompressing'));
+      fs.unlinkSync(compressedPath);
+      logger.info('Decompression complete');
     }
+
+    logger.info("Successfully downloaded the dataset. Run 'npm run import' to build the database.");
+  } catch (error) {
+    // The partial download is kept so that the next run resumes it.
+    logger.error('The download failed', { err: error });
     process.exit(1);
   }
 }
 
-runDownload(); 
\ No newline at end of file
+if (require.main === module) {
+  runDownload();
+}
+
+module.exports = {
+  SOURCE_URL,
+  CHECKSUM_URL,
+  DownloadError,
+  resolveSourceUrl,
+  fetchPublishedChecksum,
+  sha256File,
+  downloadFile,
+  gunzipFile,
+};
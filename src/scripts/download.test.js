@@ -0,0 +1,172 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const {
+  SOURCE_URL, DownloadError, downloadFile, fetchPublishedChecksum, gunzipFile, resolveSourceUrl,
+} = require('./download');
+
+// Random names keep the archive large enough to be cut mid-download.
+const LINES = Array.from({ length: 2000 }, (_, i) => JSON.stringify({ code: String(i), product_name: crypto.randomBytes(16).toString('hex') }));
+const PAYLOAD = zlib.gzipSync(Buffer.from(`${LINES.join('\n')}\n`));
+const SHA256 = crypto.createHash('sha256').update(PAYLOAD).digest('hex');
+const ETAG = '"v1"';
+
+/**
+ * Starts a server for a mirror of the OpenFoodFacts `data/` directory that
+ * supports Range and If-Range requests. The first `dropAfter` option cuts the
+ * connection of the next response after that many bytes. `flaky-sha256sum`
+ * answers 503 while the `failures` counter is positive.
+ */
+async function startServer() {
+  const server = http.createServer((req, res) => {
+    server.requests.push({ url: req.url, range: req.headers.range, ifRange: req.headers['if-range'] });
+    if (req.url === '/data/flaky-sha256sum' && server.failures > 0) {
+      server.failures--;
+      res.statusCode = 503;
+      return res.end();
+    }
+    if (req.url === '/data/sha256sum' || req.url === '/data/flaky-sha256sum') {
+      return res.end(`${'0'.repeat(64)}  other.csv.gz\n${SHA256}  openfoodfacts-products.jsonl.gz\n`);
+    }
+    if (req.url !== '/data/openfoodfacts-products.jsonl.gz') {
+      res.statusCode = 404;
+      return res.end();
+    }
+
+    const match = /^bytes=(\d+)-$/.exec(req.headers.range || '');
+    const start = match && req.headers['if-range'] === ETAG ? parseInt(match[1], 10) : 0;
+    res.setHeader('ETag', ETAG);
+    if (start >= PAYLOAD.length) {
+      res.statusCode = 416;
+      res.setHeader('Content-Range', `bytes */${PAYLOAD.length}`);
+      return res.end();
+    }
+    if (start > 0) {
+      res.statusCode = 206;
+      res.setHeader('Content-Range', `bytes ${start}-${PAYLOAD.length - 1}/${PAYLOAD.length}`);
+    }
+    res.setHeader('Content-Length', PAYLOAD.length - start);
+
+    const body = PAYLOAD.subarray(start);
+    if (server.dropAfter) {
+      const cut = server.dropAfter;
+      server.dropAfter = null;
+      // Give the client time to receive the bytes before the connection is cut.
+      res.write(body.subarray(0, cut), () => setTimeout(() => res.destroy(), 50));
+      return;
+    }
+    res.end(body);
+  });
+  server.requests = [];
+  server.failures = 0;
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  server.baseUrl = `http://127.0.0.1:${server.address().port}/data/`;
+  return server;
+}
+
+describe('download', () => {
+  let server;
+  let dir;
+  let dest;
+  let url;
+
+  beforeAll(async () => {
+    server = await startServer();
+    url = resolveSourceUrl({ mirror: server.baseUrl });
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'off-download-'));
+    dest = path.join(dir, 'openfoodfacts-products.jsonl.gz');
+    server.requests = [];
+    server.dropAfter = null;
+    server.failures = 0;
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should resolve the dataset URL on a mirror', () => {
+    expect(resolveSourceUrl()).toBe(SOURCE_URL);
+    expect(resolveSourceUrl({ mirror: 'https://mirror.example.org/off' })).toBe('https://mirror.example.org/off/openfoodfacts-products.jsonl.gz');
+    expect(resolveSourceUrl({ mirror: 'https://mirror.example.org/off/', url: 'http://x/y.gz' })).toBe('http://x/y.gz');
+  });
+
+  it('should find the published checksum of the file', async () => {
+    await expect(fetchPublishedChecksum(`${server.baseUrl}sha256sum`, 'openfoodfacts-products.jsonl.gz')).resolves.toBe(SHA256);
+    await expect(fetchPublishedChecksum(`${server.baseUrl}sha256sum`, 'missing.gz')).resolves.toBeNull();
+    await expect(fetchPublishedChecksum(`${server.baseUrl}nope`, 'missing.gz')).resolves.toBeNull();
+  });
+
+  it('should retry the checksum download after a server or network error', async () => {
+    server.failures = 2;
+    await expect(fetchPublishedChecksum(`${server.baseUrl}flaky-sha256sum`, 'openfoodfacts-products.jsonl.gz', { retryDelayMs: 1 }))
+      .resolves.toBe(SHA256);
+    expect(server.requests).toHaveLength(3);
+
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const closedUrl = `http://127.0.0.1:${closed.address().port}/sha256sum`;
+    await new Promise(resolve => closed.close(resolve));
+    const error = await fetchPublishedChecksum(closedUrl, 'x.gz', { retries: 1, retryDelayMs: 1 }).catch(e => e);
+    expect(error).toBeInstanceOf(DownloadError);
+    expect(error.retryable).toBe(true);
+  });
+
+  it('should download and verify a file', async () => {
+    const result = await downloadFile(url, dest, { sha256: SHA256 });
+    expect(result.size).toBe(PAYLOAD.length);
+    expect(fs.readFileSync(dest).equals(PAYLOAD)).toBe(true);
+    expect(fs.readdirSync(dir)).toEqual(['openfoodfacts-products.jsonl.gz']);
+  });
+
+  it('should resume with a Range request after the connection drops', async () => {
+    server.dropAfter = 1000;
+    await downloadFile(url, dest, { sha256: SHA256, retryDelayMs: 1 });
+
+    expect(server.requests.map(r => r.range)).toEqual([undefined, 'bytes=1000-']);
+    expect(server.requests[1].ifRange).toBe(ETAG);
+    expect(fs.readFileSync(dest).equals(PAYLOAD)).toBe(true);
+  });
+
+  it('should keep the partial file when retries are exhausted, and resume it on the next run', async () => {
+    server.dropAfter = 1000;
+    await expect(downloadFile(url, dest, { retries: 0 })).rejects.toThrow(DownloadError);
+    expect(fs.statSync(`${dest}.part`).size).toBe(1000);
+
+    await downloadFile(url, dest, { sha256: SHA256 });
+    expect(server.requests[1].range).toBe('bytes=1000-');
+    expect(fs.readFileSync(dest).equals(PAYLOAD)).toBe(true);
+  });
+
+  it('should start over when the remote file changed since the partial download', async () => {
+    fs.writeFileSync(`${dest}.part`, 'stale');
+    fs.writeFileSync(`${dest}.part.json`, JSON.stringify({ url, etag: '"v0"', lastModified: null }));
+
+    await downloadFile(url, dest, { sha256: SHA256 });
+    expect(fs.readFileSync(dest).equals(PAYLOAD)).toBe(true);
+  });
+
+  it('should reject and discard a file with a wrong checksum', async () => {
+    await expect(downloadFile(url, dest, { sha256: 'f'.repeat(64) })).rejects.toThrow('Checksum mismatch');
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  it('should not retry a missing file', async () => {
+    await expect(downloadFile(`${server.baseUrl}missing.gz`, dest, { retryDelayMs: 1 })).rejects.toThrow('404');
+    expect(server.requests).toHaveLength(1);
+  });
+
+  it('should decompress a downloaded file', async () => {
+    await downloadFile(url, dest);
+    const jsonl = path.join(dir, 'openfoodfacts-products.jsonl');
+    await gunzipFile(dest, jsonl);
+    expect(fs.readFileSync(jsonl, 'utf-8').split('\n')).toHaveLength(2001);
+  });
+});
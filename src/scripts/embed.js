@@ -0,0 +1,113 @@
+/**
+ * @fileoverview This script generates sentence embeddings for every product
+ * and stores them in the `vec_products` sqlite-vec table used by semantic search.
+ * Products are processed in rowid order and the last embedded rowid is stored
+ * in the `meta` table after each batch, so an interrupted run resumes where it
+ * stopped. Pass `--reset` to drop all existing embeddings and start over.
+ *
+ * It is a setup-time script and should not be run when the API is live.
+ *
+ * @usage `node src/scripts/embed.js [--reset]`
+ */
+const fs = require('fs');
+const Database = require('better-sqlite3');
+const sqliteVec = require('sqlite-vec');
+const { DB_PATH } = require('../db/constants');
+const {
+  PipelineSingleton,
+  LAST_EMBEDDED_ROWID_KEY,
+  createVecTable,
+  embedProducts,
+} = require('../db/embeddings');
+const { logger } = require('../db/logger');
+
+const BATCH_SIZE = 256;
+// How often the progress is logged.
+const PROGRESS_INTERVAL_MS = 10000;
+
+/**
+ * Main function to execute the embedding process.
+ */
+async function runEmbed() {
+  if (!fs.existsSync(DB_PATH)) {
+    logger.error('Database file not found. Please run the main import script first.', { path: DB_PATH });
+    process.exit(1);
+  }
+
+  const reset = process.argv.includes('--reset');
+
+  logger.info('Opening database for embedding generation', { path: DB_PATH });
+  const db = new Database(DB_PATH, { fileMustExist: true });
+  db.pragma('journal_mode = WAL');
+  sqliteVec.load(db);
+
+  try {
+    if (reset) {
+      logger.info('Dropping existing embeddings');
+      db.exec('DROP TABLE IF EXISTS vec_products;');
+      db.prepare('DELETE FROM meta WHERE key = ?').run(LAST_EMBEDDED_ROWID_KEY);
+    }
+    createVecTable(db);
+
+    const getMeta = db.prepare('SELECT value FROM meta WHERE key = ?');
+    const setMeta = db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)');
+    const fetchBatch = db.prepare(`
+      SELECT rowid, search_text FROM products
+      WHERE rowid > ?
+      ORDER BY rowid
+      LIMIT ?
+    `);
+
+    const row = getMeta.get(LAST_EMBEDDED_ROWID_KEY);
+    let lastRowid = row ? parseInt(row.value, 10) : 0;
+    const { remaining } = db.prepare('SELECT COUNT(*) AS remaining FROM products WHERE rowid > ?').get(lastRowid);
+
+    if (remaining === 0) {
+      logger.info('All products already have embeddings');
+      return;
+    }
+    logger.info('Products to process', { remaining, resume_after_rowid: lastRowid || null });
+
+    const embedder = await PipelineSingleton.getInstance();
+    logger.info('Sentence-transformer model loaded');
+
+    let processed = 0;
+    let embedded = 0;
+    const startTime = Date.now();
+    let lastProgress = startTime;
+
+    while (true) {
+      const batch = fetchBatch.all(lastRowid, BATCH_SIZE);
+      if (batch.length === 0) break;
+
+      const batchLastRowid = batch[batch.length - 1].rowid;
+      embedded += await embedProducts(db, embedder, batch, {
+        // Progress is committed in the same transaction as the vectors.
+        onWritten: () => setMeta.run(LAST_EMBEDDED_ROWID_KEY, String(batchLastRowid)),
+      });
+      lastRowid = batchLastRowid;
+      processed += batch.length;
+
+      if (Date.now() - lastProgress >= PROGRESS_INTERVAL_MS) {
+        lastProgress = Date.now();
+        const elapsed = (lastProgress - startTime) / 1000;
+        logger.info('Embedding progress', {
+          percent: Math.floor((processed / remaining) * 100),
+          processed,
+          remaining,
+          products_per_sec: Math.round(processed / elapsed),
+        });
+      }
+    }
+
+    const duration = (Date.now() - startTime) / 1000;
+    logger.info('Embedding complete', { processed, embedded, duration_sec: Number(duration.toFixed(2)) });
+  } finally {
+    db.close();
+  }
+}
+
+runEmbed().catch((err) => {
+  logger.error('Embedding generation failed', { err });
+  process.exit(1);
+});
@@ -1,133 +1,202 @@
 /**
  * @fileoverview This script handles the one-time, full import of the
- * OpenFoodFacts dataset from a JSONL file into the SQLite database.
+ * OpenFoodFacts dataset into the SQLite database.
  * It initializes the database schema, reads the source file line by line,
- * transforms the data, and inserts it in batches for efficiency.
+ * transforms the data in worker threads, and inserts it in batches for
+ * efficiency (see `import-pipeline.js`). When the dump lists a code several
+ * times, the record with the highest `last_modified_t` is kept.
  *
- * It is a setup-time script and should not be run when the API is live.
+ * The database is built in a staging file next to `products.db`, validated,
+ * and then renamed over it, so the API can keep serving the previous database
+ * during the import and reload the new one afterwards (see `swap.js`).
+ * Semantic search must keep working after the swap, so the staging file gets
+ * its embeddings first: those of the products unchanged since the served
+ * database are copied from it, and the other products are embedded.
  *
- * @usage `node src/scripts/import.js`
+ * The source is the JSONL dump by default, read from `data/` either
+ * uncompressed or as downloaded (`.jsonl.gz`). See `sources.js` for the
+ * other supported inputs.
+ *
+ * @usage `node src/scripts/import.js [--source <path|->] [--format jsonl|csv|parquet] [--workers <n>] [--skip-embed]`
  */
 const fs = require('fs');
-const readline = require('readline');
-const { SOURCE_PATH } = require('../db/constants');
+const { parseArgs } = require('util');
+const Database = require('better-sqlite3');
+const sqliteVec = require('sqlite-vec');
+const { SOURCE_PATH, DB_PATH, IMPORT_WORKERS, LAST_IMPORT_KEY } = require('../db/constants');
 const OpenFoodFactsDB = require('../db/database');
-const { transformProduct } = require('../db/transformer');
-
-const BATCH_SIZE = 5000;
+const { prepareProductWriter } = require('../db/writer');
+const { FORMATS, readSource } = require('../db/sources');
+const { runImportPipeline, stageRates } = require('../db/import-pipeline');
+const { stagingPath, validateDatabase, installDatabase } = require('../db/swap');
+const {
+  LAST_EMBEDDED_ROWID_KEY,
+  PipelineSingleton,
+  createFakeEmbedder,
+  copyEmbeddings,
+  embedMissingProducts,
+} = require('../db/embeddings');
+const { logger } = require('../db/logger');
+
+const PROGRESS_INTERVAL = 100000;
 
 /**
  * Prepares the database statements for batch insertion.
  * Using a transaction for batch inserts is significantly faster.
- * @param {OpenFoodFactsDB} db - The database instance.
- * @returns {{insert: Function}} An object with an `insert` function.
+ * @param {import('better-sqlite3').Database} db - The database connection.
+ * @returns {{insert: Function, setMeta: Function}} An object with an `insert` function
+ * that writes a batch of products with their details, and a `setMeta` function.
+ * Products already written are only replaced by a record at least as recent.
  */
 function prepareStatements(db) {
-  const insertStmt = db.db.prepare(`
-    INSERT OR REPLACE INTO products (
-      id, code, product_name, brands, categories, countries, energy_kcal, fat_100g,
-      saturated_fat_100g, carbohydrates_100g, sugars_100g, proteins_100g, salt_100g,
-      fiber_100g, nutriscore_grade, nova_group, ecoscore_grade, completeness, complete_macros,
-      last_modified_t, raw_data, search_text
-    ) VALUES (
-      @id, @code, @product_name, @brands, @categories, @countries, @energy_kcal, @fat_100g,
-      @saturated_fat_100g, @carbohydrates_100g, @sugars_100g, @proteins_100g, @salt_100g,
-      @fiber_100g, @nutriscore_grade, @nova_group, @ecoscore_grade, @completeness, @complete_macros,
-      @last_modified_t, @raw_data, @search_text
-    )
-  `);
+  const writer = prepareProductWriter(db, { keepNewest: true });
+  const setMetaStmt = db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)');
 
   return {
-    insert: db.db.transaction((batch) => {
+    insert: db.transaction((batch) => {
       for (const product of batch) {
-        insertStmt.run(product);
+        writer.write(product);
       }
     }),
+    setMeta: (key, value) => setMetaStmt.run(key, String(value)),
   };
 }
 
+/**
+ * Returns the default source: the JSONL dump in `data/`, or its compressed
+ * download if it was not decompressed.
+ * @returns {string|null}
+ */
+function defaultSource() {
+  return [SOURCE_PATH, `${SOURCE_PATH}.gz`, `${SOURCE_PATH}.zst`].find(candidate => fs.existsSync(candidate)) || null;
+}
+
 /**
  * Main function to execute the import process.
  * It orchestrates database initialization, file reading, data transformation,
  * and batch insertion.
  */
 async function runImport() {
-  if (!fs.existsSync(SOURCE_PATH)) {
-    console.error(`❌ Source file not found: ${SOURCE_PATH}`);
-    console.log('Please download it from https://static.openfoodfacts.org/data/en.openfoodfacts.org.products.jsonl.gz and place it in the data/ directory.');
+  const { values: args } = parseArgs({
+    options: {
+      source: { type: 'string' },
+      format: { type: 'string' },
+      workers: { type: 'string' },
+      'skip-embed': { type: 'boolean', default: false },
+    },
+  });
+  const workers = args.workers !== undefined ? parseInt(args.workers, 10) : IMPORT_WORKERS;
+
+  const source = args.source || defaultSource();
+  if (!source) {
+    logger.error("Source file not found. Run 'npm run download', or pass another file with --source.", { path: SOURCE_PATH });
+    process.exit(1);
+  }
+  if (args.format && !FORMATS.includes(args.format)) {
+    logger.error(`Unknown format "${args.format}". Expected one of: ${FORMATS.join(', ')}.`);
+    process.exit(1);
+  }
+  if (source !== '-' && !fs.existsSync(source)) {
+    logger.error('Source file not found', { path: source });
+    process.exit(1);
+  }
+  if (!Number.isInteger(workers) || workers < 0) {
+    logger.error('Invalid number of workers', { workers: args.workers ?? process.env.IMPORT_WORKERS });
     process.exit(1);
   }
 
-  // Initialize a new, clean database. This will delete any existing DB file.
-  OpenFoodFactsDB.initialize();
-  
-  const db = new OpenFoodFactsDB({ readonly: false, fileMustExist: true });
-
-  const { insert } = prepareStatements(db);
-
-  const fileStream = fs.createReadStream(SOURCE_PATH);
-  const rl = readline.createInterface({
-    input: fileStream,
-    crlfDelay: Infinity,
-  });
-
-  let batch = [];
-  let totalLines = 0;
-  let importedCount = 0;
-  const startTime = Date.now();
+  // Initialize a new, clean database in the staging file. The served database is left as-is.
+  const buildPath = stagingPath(DB_PATH);
+  OpenFoodFactsDB.initialize(buildPath);
 
-  console.log(`\n🚚 Starting import of ${SOURCE_PATH}...`);
+  // Writing needs neither the query statements nor the embedder, so a plain connection is used.
+  const db = new Database(buildPath, { fileMustExist: true });
+  sqliteVec.load(db);
 
-  for await (const line of rl) {
-    totalLines++;
-    const product = transformProduct(line);
+  const { insert, setMeta } = prepareStatements(db);
 
-    if (product) {
-      batch.push(product);
-    }
+  logger.info('Starting import', { source: source === '-' ? 'stdin' : source, workers });
 
-    if (batch.length >= BATCH_SIZE) {
-      insert(batch);
-      importedCount += batch.length;
-      batch = [];
-    }
+  const startTime = Date.now();
+  let nextProgress = PROGRESS_INTERVAL;
+  const stats = await runImportPipeline(readSource(source, { format: args.format }), {
+    workers,
+    write: insert,
+    onProgress: (progress) => {
+      if (progress.transform.lines < nextProgress) return;
+      nextProgress += PROGRESS_INTERVAL;
+      const rate = progress.transform.lines / ((Date.now() - startTime) / 1000);
+      logger.info('Import progress', { lines: progress.transform.lines, lines_per_sec: Math.round(rate) });
+    },
+  });
+  const rates = stageRates(stats);
+  const importedCount = db.prepare('SELECT COUNT(*) FROM products').pluck().get();
+
+  setMeta(LAST_IMPORT_KEY, new Date().toISOString());
+
+  const duration = (Date.now() - startTime) / 1000;
+
+  // With 0 workers, the products were transformed on the main thread.
+  logger.info('Import complete', {
+    lines: stats.read.lines,
+    products: importedCount,
+    duplicates: stats.write.products - importedCount,
+    duration_sec: Number(duration.toFixed(2)),
+    workers,
+    read_lines_per_sec: Math.round(rates.read),
+    read_sec: Number((stats.read.ms / 1000).toFixed(2)),
+    transform_lines_per_sec: Math.round(rates.transform),
+    transform_sec: Number((stats.transform.ms / 1000).toFixed(2)),
+    write_products_per_sec: Math.round(rates.write),
+    write_sec: Number((stats.write.ms / 1000).toFixed(2)),
+  });
 
-    if (totalLines % 100000 === 0) {
-      const elapsed = (Date.now() - startTime) / 1000;
-      const rate = totalLines / elapsed;
-      console.log(`- Processed ${totalLines.toLocaleString()} lines... (${rate.toFixed(0)} lines/sec)`);
-    }
+  if (fs.existsSync(DB_PATH)) {
+    logger.info('Copying the embeddings of unchanged products', { from: DB_PATH });
+    const copied = copyEmbeddings(db, DB_PATH);
+    logger.info('Embeddings copied', { products: copied });
   }
-
-  if (batch.length > 0) {
-    insert(batch);
-    importedCount += batch.length;
+  if (args['skip-embed']) {
+    logger.warn("Not embedding the new or changed products. Semantic search will not find them until 'npm run embed' has run.");
+  } else {
+    // EMBEDDER=fake builds a database for offline development, without downloading the model.
+    const embedder = process.env.EMBEDDER === 'fake' ? createFakeEmbedder() : await PipelineSingleton.getInstance();
+    logger.info('Embedding the new and changed products');
+    let nextEmbedProgress = PROGRESS_INTERVAL;
+    const { processed, embedded } = await embedMissingProducts(db, embedder, {
+      onProgress: (progress) => {
+        if (progress.processed < nextEmbedProgress) return;
+        nextEmbedProgress += PROGRESS_INTERVAL;
+        logger.info('Embedding progress', progress);
+      },
+    });
+    // Every product now has its embedding, so `npm run embed` has nothing left to do.
+    const lastRowid = db.prepare('SELECT MAX(rowid) FROM products').pluck().get() || 0;
+    setMeta(LAST_EMBEDDED_ROWID_KEY, lastRowid);
+    logger.info('Embedding complete', { processed, embedded });
   }
-  
-  db.setMeta('last_full_import_date', new Date().toISOString());
-
-  const endTime = Date.now();
-  const duration = (endTime - startTime) / 1000;
-
-  console.log('\n✨ Import complete!');
-  console.log('--------------------');
-  console.log(`Total lines read: ${totalLines.toLocaleString()}`);
-  console.log(`Products imported: ${importedCount.toLocaleString()}`);
-  console.log(`Duration: ${duration.toFixed(2)} seconds`);
 
-  console.log('\n🔧 Optimizing FTS index...');
-  db.db.exec("INSERT INTO products_fts(products_fts) VALUES('rebuild');");
-  console.log('✅ FTS index optimized.');
+  // The FTS index is filled by triggers as products are written.
+  logger.info('Optimizing FTS index');
+  db.exec("INSERT INTO products_fts(products_fts) VALUES('optimize');");
   
-  console.log('\n🔍 Vacuuming database...');
-  db.db.exec('VACUUM;');
-  console.log('✅ Database vacuumed.');
+  logger.info('Vacuuming database');
+  db.exec('VACUUM;');
 
   db.close();
-  console.log(`\n🎉 Successfully created database at ${db.db.name}`);
+
+  logger.info('Validating the new database');
+  const { products, indexed, embeddings } = validateDatabase(buildPath, { requireEmbeddings: !args['skip-embed'] });
+  logger.info('The new database is valid and search works', { products, indexed, embeddings });
+  if (!embeddings) {
+    logger.warn("THE NEW DATABASE HAS NO EMBEDDINGS: semantic and hybrid search return nothing until 'npm run embed' has run.");
+  }
+
+  installDatabase(buildPath, DB_PATH);
+  logger.info('Successfully created the database. A running API reloads it automatically.', { path: DB_PATH });
 }
 
 runImport().catch((err) => {
-  console.error('An unexpected error occurred:', err);
+  logger.error('The import failed', { err });
   process.exit(1);
 }); 
\ No newline at end of file
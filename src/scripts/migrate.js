@@ -0,0 +1,56 @@
+/**
+ * @fileoverview This script upgrades an existing database to the schema
+ * version expected by the code, by applying the pending migrations from
+ * `src/db/migrations`. The API refuses to start until this has been run.
+ *
+ * Some migrations rewrite every product (e.g. reindexing the FTS table), so
+ * this should not be run when the API is live.
+ *
+ * @usage `node src/scripts/migrate.js`
+ */
+const fs = require('fs');
+const Database = require('better-sqlite3');
+const sqliteVec = require('sqlite-vec');
+const { DB_PATH } = require('../db/constants');
+const { SCHEMA_VERSION, getSchemaVersion, migrate } = require('../db/migrations');
+const { logger } = require('../db/logger');
+
+/**
+ * Main function to execute the migration process.
+ */
+function runMigrate() {
+  if (!fs.existsSync(DB_PATH)) {
+    logger.error('Database file not found. Please run the main import script first.', { path: DB_PATH });
+    process.exit(1);
+  }
+
+  logger.info('Opening database for migration', { path: DB_PATH });
+  const db = new Database(DB_PATH, { fileMustExist: true });
+  db.pragma('journal_mode = WAL');
+  sqliteVec.load(db);
+
+  try {
+    const current = getSchemaVersion(db);
+    logger.info('Schema version', { current, expected: SCHEMA_VERSION });
+    if (current === SCHEMA_VERSION) {
+      logger.info('Database schema is already up to date');
+      return;
+    }
+
+    const startTime = Date.now();
+    const { to } = migrate(db, {
+      onMigrate: ({ version, name }) => logger.info('Applying migration', { version, name }),
+    });
+    const duration = (Date.now() - startTime) / 1000;
+    logger.info('Database migrated', { version: to, duration_sec: Number(duration.toFixed(2)) });
+  } finally {
+    db.close();
+  }
+}
+
+try {
+  runMigrate();
+} catch (err) {
+  logger.error('Migration failed', { err });
+  process.exit(1);
+}
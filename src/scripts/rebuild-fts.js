@@ -1,62 +1,45 @@
 const Database = require('better-sqlite3');
 const { DB_PATH } = require('../db/constants');
+const { assertSchemaVersion } = require('../db/migrations');
+const { logger } = require('../db/logger');
 
 /**
- * Drops the existing FTS table and rebuilds it from the products table.
- * This is useful after changing the FTS configuration (e.g., tokenizer).
+ * Rebuilds the FTS index from the products table.
+ * This is useful if the index got out of sync with the products table.
+ * The FTS table itself (including its tokenizer) is defined by the migrations.
  */
 function rebuildFTS() {
   if (!require('fs').existsSync(DB_PATH)) {
-    console.error(`❌ Database file not found at ${DB_PATH}. Please run the main import script first.`);
+    logger.error('Database file not found. Please run the main import script first.', { path: DB_PATH });
     process.exit(1);
   }
 
-  console.log(`🚀 Opening database ${DB_PATH} for FTS rebuild...`);
+  logger.info('Opening database for FTS rebuild', { path: DB_PATH });
   const db = new Database(DB_PATH); // Must be read-write
 
   try {
-    console.log('--- Step 1: Dropping old FTS table...');
-    db.exec('DROP TABLE IF EXISTS products_fts;');
-    console.log('✅ Old FTS table dropped.');
+    assertSchemaVersion(db);
 
-    console.log('\n--- Step 2: Creating new FTS table with porter tokenizer...');
-    const createFtsTable = `
-      CREATE VIRTUAL TABLE products_fts USING fts5(
-        id,
-        search_text,
-        content='products',
-        content_rowid='rowid',
-        tokenize='porter ascii'
-      );
-    `;
-    db.exec(createFtsTable);
-    console.log('✅ New FTS table created.');
-
-    console.log('\n--- Step 3: Repopulating FTS index from products table...');
+    logger.info('Repopulating FTS index from products table');
     const startTime = Date.now();
-    db.exec(`
-      INSERT INTO products_fts(rowid, id, search_text) 
-      SELECT rowid, id, search_text FROM products;
-    `);
+    db.exec("INSERT INTO products_fts(products_fts) VALUES('rebuild');");
     const duration = (Date.now() - startTime) / 1000;
-    console.log(`✅ FTS index repopulated in ${duration.toFixed(2)} seconds.`);
+    logger.info('FTS index repopulated', { duration_sec: Number(duration.toFixed(2)) });
     
-    console.log('\n--- Step 4: Optimizing FTS index...');
-    db.exec("INSERT INTO products_fts(products_fts) VALUES('rebuild');");
-    console.log('✅ FTS index optimized.');
+    logger.info('Optimizing FTS index');
+    db.exec("INSERT INTO products_fts(products_fts) VALUES('optimize');");
     
-    console.log('\n--- Step 5: Vacuuming database...');
+    logger.info('Vacuuming database');
     db.exec('VACUUM;');
-    console.log('✅ Database vacuumed.');
     
   } catch (err) {
-    console.error('❌ An error occurred during the FTS rebuild process:', err);
+    logger.error('The FTS rebuild failed', { err });
   } finally {
     if (db) {
       db.close();
-      console.log('\n🎉 FTS rebuild complete. Database connection closed.');
+      logger.info('FTS rebuild complete. Database connection closed.');
     }
   }
 }
 
-rebuildFTS(); 
\ No newline at end of file
+rebuildFTS();
@@ -2,185 +2,436 @@
  * @fileoverview This script handles the delta update process for the
  * OpenFoodFacts database. It fetches the latest delta files from the
  * OpenFoodFacts server, processes them, and upserts the product data
- * into the local SQLite database.
+ * into the local SQLite database. Products that were deleted or emptied
+ * upstream are removed. Every change is logged to `product_changes`, which
+ * backs the `GET /changes` feed.
  *
  * It tracks the last applied delta file using a timestamp in the `meta`
  * table to ensure it only processes new updates.
  *
- * @usage `node src/scripts/update.js`
+ * `runUpdate()` is also used by the scheduled updater of the API server
+ * (see `src/api/updater.js`). The delta files are read from `DELTA_URL`,
+ * which the `OFF_DELTA_URL` environment variable overrides, e.g. to point at
+ * a mirror or at a local server in tests.
+ *
+ * Each delta file is streamed and decompressed as it is downloaded, embedded,
+ * and then applied in one transaction together with its timestamp, so an
+ * interrupted update leaves the database as it was before that file. Failed downloads are
+ * retried with an exponential backoff. The update refuses to run when the
+ * delta files leave a gap since the last update, which only a full reimport
+ * can fill; `--allow-gaps` applies them anyway.
+ *
+ * @usage `node src/scripts/update.js [--allow-gaps]`
  */
-const fs = require('fs');
 const readline = require('readline');
 const zlib = require('zlib');
-const path = require('path');
-const { DELTA_URL, DELTA_INDEX_URL, DATA_DIR } = require('../db/constants');
-const OpenFoodFactsDB = require('../db/database');
-const { transformProduct } = require('../db/transformer');
+const { parseArgs } = require('util');
+const { setTimeout: sleep } = require('timers/promises');
 const { Readable } = require('stream');
-const { pipeline } = require('stream/promises');
+const Database = require('better-sqlite3');
+const sqliteVec = require('sqlite-vec');
+const { DB_PATH, DELTA_URL, LAST_DELTA_KEY, LAST_IMPORT_KEY } = require('../db/constants');
+const OpenFoodFactsDB = require('../db/database');
+const { parseDeltaRecord } = require('../db/transformer');
+const { prepareProductWriter } = require('../db/writer');
+const { prepareChangeLog } = require('../db/changes');
+const { prepareRevisionStore } = require('../db/revisions');
+const { PipelineSingleton, embedTexts, prepareVecStatements } = require('../db/embeddings');
+const { assertSchemaVersion } = require('../db/migrations');
+const { DownloadError } = require('./download');
+const { logger: defaultLogger } = require('../db/logger');
 
 const BATCH_SIZE = 1000;
-const LAST_DELTA_KEY = 'last_applied_delta_timestamp';
 
 /**
- * Downloads a file from a given URL to a local destination.
- * @param {string} url - The URL of the file to download.
- * @param {string} dest - The local path to save the file.
+ * Error raised when the delta files do not form a continuous chain from the
+ * last applied one: the changes in between are lost, so only a full import
+ * can bring the database up to date.
+ */
+class DeltaGapError extends Error {
+  constructor(message, gaps) {
+    super(message);
+    this.name = 'DeltaGapError';
+    this.gaps = gaps;
+  }
+}
+
+/**
+ * Runs `task` again after a retryable `DownloadError`, waiting `retryDelayMs`
+ * before the first retry and twice as long before each next one.
+ * @param {Function} task Returns a promise.
+ * @param {object} options
+ * @param {number} options.retries How many times a failed attempt is retried.
+ * @param {number} options.retryDelayMs The delay before the first retry.
+ * @param {object} options.logger Warned about each retry.
+ * @returns {Promise<*>} The result of the first successful attempt.
  */
-async function downloadFile(url, dest) {
-  const res = await fetch(url);
+async function withRetries(task, { retries, retryDelayMs, logger }) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task();
+    } catch (error) {
+      if (!(error instanceof DownloadError) || !error.retryable || attempt >= retries) throw error;
+      const delay = retryDelayMs * 2 ** attempt;
+      logger.warn('Download failed, retrying', { attempt: attempt + 1, retry_in_ms: delay, err: error });
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Requests a file from the delta host.
+ * @param {string} url
+ * @returns {Promise<Response>} The response, whose body is not read yet.
+ * @throws {DownloadError} Retryable on network errors, 5xx and 429 responses.
+ */
+async function fetchDeltaFile(url) {
+  let res;
+  try {
+    res = await fetch(url);
+  } catch (error) {
+    throw new DownloadError(`Failed to download ${url}: ${error.message}`, true);
+  }
   if (!res.ok) {
-    throw new Error(`Failed to download ${url}: ${res.statusText}`);
+    throw new DownloadError(`Failed to download ${url}: ${res.status} ${res.statusText}`, res.status >= 500 || res.status === 429);
   }
-  const fileStream = fs.createWriteStream(dest);
-  await pipeline(Readable.fromWeb(res.body), fileStream);
+  return res;
 }
 
 /**
- * Prepares the database statements for batch upserting.
- * Using `INSERT OR REPLACE` handles both new products and updates to existing ones.
+ * Streams the lines of a gzipped delta file as it is downloaded; nothing is
+ * written to disk. A connection that breaks or a truncated or corrupt file
+ * fails the iteration with a retryable `DownloadError`.
+ * @param {string} url
+ * @returns {AsyncGenerator<string>}
+ */
+async function* readDeltaLines(url) {
+  const res = await fetchDeltaFile(url);
+  const source = Readable.fromWeb(res.body);
+  const gunzip = zlib.createGunzip();
+  source.on('error', error => gunzip.destroy(error));
+  const lines = readline.createInterface({ input: source.pipe(gunzip), crlfDelay: Infinity });
+  try {
+    for await (const line of lines) {
+      yield line;
+    }
+  } catch (error) {
+    throw new DownloadError(`Failed to read ${url}: ${error.message}`, true);
+  } finally {
+    // Stops the download when the caller gave up on the file.
+    lines.close();
+    source.destroy();
+  }
+}
+
+/**
+ * Prepares the database statements for applying delta records.
+ * Products and their details are written by the shared product writer.
  * A transaction is used for performance.
+ *
+ * Updated products keep their rowid, so writing their new vector replaces the
+ * previous one, and the FTS triggers reindex them. A product whose search
+ * text is now empty loses its vector instead. Removed products lose their
+ * row, details, index entry, embedding and revisions. Every insert, update
+ * and removal is logged to `product_changes`, and the previous version of an
+ * updated product is kept in `product_revisions`.
  * @param {OpenFoodFactsDB} db - The database instance.
- * @returns {{upsert: Function}} An object with an `upsert` function.
+ * @returns {{apply: Function}} An object with an `apply(records, deltaFile)`
+ * function taking records from `parseDeltaRecord()`, the upserts carrying the
+ * `vector` of their search text (see `embedRecords()`). It returns the number
+ * of upserted, embedded and removed products.
  */
 function prepareStatements(db) {
-  const upsertStmt = db.db.prepare(`
-    INSERT OR REPLACE INTO products (
-      id, code, product_name, brands, categories, countries, energy_kcal, fat_100g,
-      saturated_fat_100g, carbohydrates_100g, sugars_100g, proteins_100g, salt_100g,
-      fiber_100g, nutriscore_grade, nova_group, ecoscore_grade, completeness,
-      last_modified_t, raw_data, search_text, updated_at
-    ) VALUES (
-      @id, @code, @product_name, @brands, @categories, @countries, @energy_kcal, @fat_100g,
-      @saturated_fat_100g, @carbohydrates_100g, @sugars_100g, @proteins_100g, @salt_100g,
-      @fiber_100g, @nutriscore_grade, @nova_group, @ecoscore_grade, @completeness,
-      @last_modified_t, @raw_data, @search_text, CURRENT_TIMESTAMP
-    )
-  `);
+  const writer = prepareProductWriter(db.db);
+  const vecStmts = prepareVecStatements(db.db);
+  const changeLog = prepareChangeLog(db.db);
+  const revisions = prepareRevisionStore(db.db);
 
   return {
-    upsert: db.db.transaction((batch) => {
-      for (const product of batch) {
-        upsertStmt.run(product);
+    apply: db.db.transaction((records, deltaFile) => {
+      const counts = { upserted: 0, embedded: 0, removed: 0 };
+      for (const record of records) {
+        if (record.type === 'upsert') {
+          const before = changeLog.snapshot(record.product.id);
+          const rowid = writer.write(record.product);
+          const changed = changeLog.recordWrite(before, record.product, deltaFile) !== null;
+          if (before && changed) {
+            revisions.archive(before, deltaFile);
+          }
+          if (record.vector) {
+            vecStmts.write([{ rowid, vector: record.vector }]);
+            counts.embedded++;
+          } else {
+            // Nothing was embedded: the previous vector would keep matching the old text.
+            vecStmts.remove(rowid);
+          }
+          counts.upserted++;
+          continue;
+        }
+        const rowid = writer.remove(record.id);
+        // Tombstones for products we never imported are ignored.
+        if (rowid === null) continue;
+        vecStmts.remove(rowid);
+        revisions.remove(record.id);
+        changeLog.record({ productId: record.id, operation: 'delete', reason: record.reason, deltaFile });
+        counts.removed++;
       }
+      return counts;
     }),
   };
 }
 
 /**
- * Processes a single compressed delta file.
- * It downloads, decompresses, and reads the file line by line,
- * transforming and upserting each product in batches.
+ * Downloads a compressed delta file and parses its records. The file is
+ * decompressed and read line by line as it is downloaded.
+ * @param {string} fileUrl - The URL of the delta file.
+ * @returns {Promise<Array<object>>} The records, see `parseDeltaRecord()`.
+ * @throws {DownloadError} If the file cannot be downloaded or read.
+ */
+async function readDeltaRecords(fileUrl) {
+  const records = [];
+  for await (const line of readDeltaLines(fileUrl)) {
+    const record = parseDeltaRecord(line);
+    if (record) {
+      records.push(record);
+    }
+  }
+  return records;
+}
+
+/**
+ * Embeds the search text of the upserted products, setting the `vector` of
+ * each upsert record. Products with an empty search text get no vector.
+ * @param {Function} embedder - The feature-extraction pipeline.
+ * @param {Array<object>} records - The records of a delta file, modified in place.
+ * @param {number} batchSize - How many texts are embedded at once.
+ */
+async function embedRecords(embedder, records, batchSize) {
+  const toEmbed = records.filter(r => r.type === 'upsert' && r.product.search_text.trim() !== '');
+  for (let i = 0; i < toEmbed.length; i += batchSize) {
+    const batch = toEmbed.slice(i, i + batchSize);
+    const vectors = await embedTexts(embedder, batch.map(r => r.product.search_text));
+    batch.forEach((record, j) => {
+      record.vector = vectors[j];
+    });
+  }
+}
+
+/**
+ * Applies a single compressed delta file in one transaction, which also
+ * records its end timestamp as the last applied delta: either the whole file
+ * is applied or nothing is, so an interrupted update is simply run again.
+ * Other connections keep reading the previous data until it commits.
+ *
+ * The file is downloaded, parsed and embedded before the transaction starts,
+ * so the write lock is only held while the records are written, without
+ * waiting on the network or the model. The records and vectors of one file
+ * are held in memory meanwhile, and the WAL grows by the whole file until the
+ * next checkpoint.
  * @param {OpenFoodFactsDB} db - The database instance.
  * @param {object} stmts - The prepared statements object.
- * @param {string} deltaFilename - The filename of the delta to process.
+ * @param {{filename: string, end: number}} delta - The delta file to apply, see `listNewDeltas()`.
+ * @param {object} options
+ * @param {string} options.deltaUrl - The URL of the directory holding the delta files.
+ * @param {number} options.batchSize - How many products are embedded at once.
+ * @param {object} options.logger - The logger of the update.
+ * @returns {Promise<{upserted: number, removed: number, embedded: number}>}
+ * @throws {DownloadError} If the file cannot be downloaded or read; nothing is written.
  */
-async function processDeltaFile(db, stmts, deltaFilename) {
-  console.log(`  - Processing ${deltaFilename}...`);
-  const deltaUrl = `${DELTA_URL}${deltaFilename}`;
-  const localPath = path.join(DATA_DIR, deltaFilename);
-  const localJsonlPath = localPath.replace('.gz', '');
+async function processDeltaFile(db, stmts, delta, { deltaUrl, batchSize, logger }) {
+  const fileUrl = new URL(delta.filename, deltaUrl).href;
+  const records = await readDeltaRecords(fileUrl);
+  await embedRecords(db.embedder, records, batchSize);
 
-  try {
-    await downloadFile(deltaUrl, localPath);
-
-    // Decompress
-    await new Promise((resolve, reject) => {
-      const gunzip = zlib.createGunzip();
-      const source = fs.createReadStream(localPath);
-      const destination = fs.createWriteStream(localJsonlPath);
-      source.pipe(gunzip).pipe(destination).on('finish', resolve).on('error', reject);
-    });
-    
-    const fileStream = fs.createReadStream(localJsonlPath);
-    const rl = readline.createInterface({
-      input: fileStream,
-      crlfDelay: Infinity,
-    });
+  const counts = db.db.transaction(() => {
+    const applied = stmts.apply(records, delta.filename);
+    db.setMeta(LAST_DELTA_KEY, delta.end);
+    return applied;
+  })();
 
-    let batch = [];
-    let processedCount = 0;
-    for await (const line of rl) {
-      const product = transformProduct(line);
-      if (product) {
-        batch.push(product);
-      }
-      if (batch.length >= BATCH_SIZE) {
-        stmts.upsert(batch);
-        processedCount += batch.length;
-        batch = [];
-      }
-    }
+  logger.info('Delta file applied', {
+    file: delta.filename,
+    last_delta: delta.end,
+    upserted: counts.upserted,
+    embedded: counts.embedded,
+    removed: counts.removed,
+  });
+  return counts;
+}
+
+/**
+ * Lists the delta files of the index that end after a timestamp, oldest first.
+ * @param {string} indexContent - The content of `index.txt`.
+ * @param {number} lastTimestamp - The end timestamp of the last applied delta.
+ * @returns {Array<{filename: string, start: number, end: number}>}
+ */
+function listNewDeltas(indexContent, lastTimestamp) {
+  return indexContent.split('\n')
+    .map(line => line.trim())
+    .filter(f => f.endsWith('.json.gz'))
+    .map(filename => {
+      const match = filename.match(/_(\d+)_(\d+)\.json\.gz$/);
+      return match ? { filename, start: parseInt(match[1]), end: parseInt(match[2]) } : null;
+    })
+    .filter(d => d && d.end > lastTimestamp)
+    .sort((a, b) => a.end - b.end);
+}
 
-    if (batch.length > 0) {
-      stmts.upsert(batch);
-      processedCount += batch.length;
+/**
+ * Finds the periods that the delta files do not cover. Each file holds the
+ * changes between its `start` and `end` timestamps, so each file must start
+ * at or before the end of the previous one, and the first at or before the
+ * point the database is up to date with.
+ * @param {Array<{filename: string, start: number, end: number}>} deltas - The new delta files, oldest first.
+ * @param {number} since - The end timestamp of the last applied delta, or the
+ * time of the full import when no delta was applied yet. 0 skips the check of the first file.
+ * @returns {Array<{from: number, to: number}>} The uncovered periods.
+ */
+function findDeltaGaps(deltas, since) {
+  const gaps = [];
+  let covered = since;
+  for (const delta of deltas) {
+    if (covered > 0 && delta.start > covered) {
+      gaps.push({ from: covered, to: delta.start });
     }
-    
-    console.log(`    ...upserted ${processedCount} products.`);
-  } finally {
-    // Cleanup local files
-    if (fs.existsSync(localPath)) fs.unlinkSync(localPath);
-    if (fs.existsSync(localJsonlPath)) fs.unlinkSync(localJsonlPath);
+    covered = Math.max(covered, delta.end);
   }
+  return gaps;
 }
 
 /**
- * Main function to execute the delta update process.
- * It determines which delta files are new, processes them in order,
- * and updates the last-applied timestamp in the database.
+ * Runs the delta update process.
+ * It determines which delta files are new, checks that they leave no gap
+ * since the last update, and applies them in order, each in a transaction
+ * that also updates the last-applied timestamp in the database.
+ * @param {object} [options={}]
+ * @param {string} [options.dbPath=DB_PATH] The database to update. It is opened
+ * on a connection of its own, so a server can keep serving it meanwhile.
+ * @param {string} [options.deltaUrl=DELTA_URL] The URL of the directory holding
+ * `index.txt` and the delta files.
+ * @param {Function} [options.embedder] The embedding pipeline. Defaults to the
+ * sentence-transformer model.
+ * @param {boolean} [options.allowGaps=false] Applies the delta files despite
+ * gaps in their chain, with a warning, instead of failing.
+ * @param {number} [options.retries=3] How many times a failed download is retried.
+ * @param {number} [options.retryDelayMs=1000] The delay before the first retry, doubled for each next one.
+ * @param {number} [options.batchSize=1000] How many products are embedded at once.
+ * @param {object} [options.logger] The logger, see `createLogger()`. Defaults to the logger of the process.
+ * @returns {Promise<{deltas: string[], lastDelta: (number|null), upserted: number, removed: number, embedded: number}>}
+ * The applied delta files, the end timestamp of the last applied delta (also
+ * when none was new), and the number of upserted, removed and re-embedded products.
+ * @throws {DeltaGapError} If the delta files leave a gap and `allowGaps` is not set.
+ * @throws {DownloadError} If a file still cannot be downloaded after the retries.
  */
-async function runUpdate() {
-  const db = new OpenFoodFactsDB({ readonly: false, fileMustExist: true });
+async function runUpdate(options = {}) {
+  const {
+    dbPath = DB_PATH,
+    embedder: providedEmbedder,
+    allowGaps = false,
+    retries = 3,
+    retryDelayMs = 1000,
+    batchSize = BATCH_SIZE,
+    logger = defaultLogger,
+  } = options;
+  const retry = { retries, retryDelayMs, logger };
+  // Delta files are resolved against the directory URL, which needs the trailing slash.
+  const deltaUrl = (options.deltaUrl || DELTA_URL).replace(/\/?$/, '/');
+  const connection = new Database(dbPath, { fileMustExist: true });
+  sqliteVec.load(connection);
+  // The writer expects the current schema; older databases must run `npm run migrate` first.
+  try {
+    assertSchemaVersion(connection);
+  } catch (error) {
+    connection.close();
+    throw error;
+  }
+  let db;
+  try {
+    const embedder = providedEmbedder || await PipelineSingleton.getInstance();
+    db = new OpenFoodFactsDB(connection, embedder);
+  } catch (error) {
+    connection.close();
+    throw error;
+  }
   
   try {
-    console.log('🚀 Starting delta update process...');
+    logger.info('Starting delta update', { delta_url: deltaUrl });
     
     const lastTimestamp = parseInt(db.getMeta(LAST_DELTA_KEY) || '0', 10);
-    console.log(`Last update timestamp: ${lastTimestamp || 'Never (full import needed)'}`);
-    
-    console.log('Downloading delta index file...');
-    const indexFilePath = path.join(DATA_DIR, 'index.txt');
-    await downloadFile(DELTA_INDEX_URL, indexFilePath);
-    
-    const indexContent = fs.readFileSync(indexFilePath, 'utf-8');
-    fs.unlinkSync(indexFilePath); // Clean up index file right away
-    const allDeltas = indexContent.split('\n').filter(f => f.endsWith('.json.gz'));
+    logger.info('Last update', { last_delta: lastTimestamp || null });
+    const summary = { deltas: [], lastDelta: lastTimestamp || null, upserted: 0, removed: 0, embedded: 0 };
     
-    const newDeltas = allDeltas
-      .map(filename => {
-        const match = filename.match(/_(\d+)_(\d+)\.json\.gz$/);
-        return match ? { filename, start: parseInt(match[1]), end: parseInt(match[2]) } : null;
-      })
-      .filter(d => d && d.end > lastTimestamp)
-      .sort((a, b) => a.end - b.end);
+    const indexUrl = new URL('index.txt', deltaUrl).href;
+    const indexContent = await withRetries(async () => {
+      const res = await fetchDeltaFile(indexUrl);
+      try {
+        return await res.text();
+      } catch (error) {
+        throw new DownloadError(`Failed to read ${indexUrl}: ${error.message}`, true);
+      }
+    }, retry);
+    const newDeltas = listNewDeltas(indexContent, lastTimestamp);
 
     if (newDeltas.length === 0) {
-      console.log('✅ Database is already up-to-date.');
-      return;
+      logger.info('Database is already up to date', { last_delta: summary.lastDelta });
+      return summary;
     }
     
-    console.log(`Found ${newDeltas.length} new delta file(s) to apply.`);
+    logger.info('New delta files found', { count: newDeltas.length });
+
+    // Without an applied delta, the chain must reach back to the full import.
+    const imported = Math.floor((Date.parse(db.getMeta(LAST_IMPORT_KEY)) || 0) / 1000);
+    const gaps = findDeltaGaps(newDeltas, lastTimestamp || imported);
+    if (gaps.length > 0) {
+      const periods = gaps.map(gap => `${gap.from}-${gap.to}`).join(', ');
+      const message = `The delta files do not cover the changes between ${periods}; a full reimport is needed (npm run download && npm run import).`;
+      if (!allowGaps) {
+        throw new DeltaGapError(message, gaps);
+      }
+      logger.warn(`${message} Applying the available delta files anyway.`, { gaps });
+    }
     
     const stmts = prepareStatements(db);
-    let latestProcessedTimestamp = lastTimestamp;
 
     for (const delta of newDeltas) {
-      await processDeltaFile(db, stmts, delta.filename);
-      latestProcessedTimestamp = delta.end;
-      db.setMeta(LAST_DELTA_KEY, latestProcessedTimestamp.toString());
-      console.log(`  ...updated last delta timestamp to ${latestProcessedTimestamp}`);
+      logger.debug('Applying delta file', { file: delta.filename });
+      const counts = await withRetries(() => processDeltaFile(db, stmts, delta, { deltaUrl, batchSize, logger }), retry);
+      summary.deltas.push(delta.filename);
+      summary.lastDelta = delta.end;
+      summary.upserted += counts.upserted;
+      summary.removed += counts.removed;
+      summary.embedded += counts.embedded;
     }
     
-    console.log('\n✨ Delta update complete!');
-    console.log(`Database is now up-to-date as of timestamp: ${latestProcessedTimestamp}`);
-    
+    logger.info('Delta update complete', {
+      last_delta: summary.lastDelta,
+      deltas: summary.deltas.length,
+      upserted: summary.upserted,
+      removed: summary.removed,
+      embedded: summary.embedded,
+    });
+    return summary;
   } finally {
     db.close();
   }
 }
 
-runUpdate().catch((err) => {
-  console.error('\n❌ An unexpected error occurred during the update process:', err);
-  process.exit(1);
-}); 
\ No newline at end of file
+if (require.main === module) {
+  const { values: args } = parseArgs({
+    options: {
+      'allow-gaps': { type: 'boolean', default: false },
+    },
+  });
+  runUpdate({ allowGaps: args['allow-gaps'] }).catch((err) => {
+    defaultLogger.error('The update failed', { err });
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  DeltaGapError,
+  findDeltaGaps,
+  listNewDeltas,
+  prepareStatements,
+  runUpdate,
+};
@@ -0,0 +1,188 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { buildFixtureDb } = require('../test/fixture-db');
+const { startDeltaServer } = require('../test/delta-server');
+const { createFakeEmbedder } = require('../db/embeddings');
+const { logger } = require('../db/logger');
+const sqliteVec = require('sqlite-vec');
+const { parseDeltaRecord } = require('../db/transformer');
+const { DeltaGapError, findDeltaGaps, listNewDeltas, prepareStatements, runUpdate } = require('./update');
+
+const DELTAS = {
+  'openfoodfacts_products_1000_2000.json.gz': [
+    { code: '3017620422003', product_name: 'Nutella B-ready', brands: 'Ferrero', last_modified_t: 1500 },
+    { code: '4000000000001', product_name: 'Muesli croustillant', brands: 'Test', last_modified_t: 1600 },
+  ],
+  'openfoodfacts_products_2000_3000.json.gz': [
+    { code: '3274080005003', deleted: 'on' },
+  ],
+};
+
+describe('update', () => {
+  let server;
+  let dir;
+  let dbPath;
+  const embedder = createFakeEmbedder();
+
+  beforeAll(async () => {
+    server = await startDeltaServer(DELTAS);
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'off-update-'));
+    dbPath = await buildFixtureDb(path.join(dir, 'products.db'), { embedder });
+    server.requests = [];
+    server.faults = {};
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should list the delta files ending after the last applied one, oldest first', () => {
+    const index = 'openfoodfacts_products_3000_4000.json.gz\nopenfoodfacts_products_1000_2000.json.gz\r\nnotes.txt\n\nopenfoodfacts_products_2000_3000.json.gz';
+    expect(listNewDeltas(index, 2000)).toEqual([
+      { filename: 'openfoodfacts_products_2000_3000.json.gz', start: 2000, end: 3000 },
+      { filename: 'openfoodfacts_products_3000_4000.json.gz', start: 3000, end: 4000 },
+    ]);
+  });
+
+  it('should find the gaps in the chain of delta files', () => {
+    const deltas = [
+      { filename: 'a', start: 1000, end: 2000 },
+      { filename: 'b', start: 2000, end: 3000 },
+      { filename: 'c', start: 2500, end: 3500 },
+      { filename: 'd', start: 4000, end: 5000 },
+    ];
+    expect(findDeltaGaps(deltas, 1500)).toEqual([{ from: 3500, to: 4000 }]);
+    expect(findDeltaGaps(deltas, 500)).toEqual([{ from: 500, to: 1000 }, { from: 3500, to: 4000 }]);
+    // Without a reference point, the first file is not checked.
+    expect(findDeltaGaps(deltas.slice(0, 3), 0)).toEqual([]);
+  });
+
+  it('should apply the new delta files from the configured host', async () => {
+    const summary = await runUpdate({ dbPath, deltaUrl: server.deltaUrl.replace(/\/$/, ''), embedder });
+
+    expect(summary).toEqual({ deltas: Object.keys(DELTAS), lastDelta: 3000, upserted: 2, removed: 1, embedded: 2 });
+    expect(server.requests).toEqual(['/delta/index.txt', ...Object.keys(DELTAS).map(name => `/delta/${name}`)]);
+    // Nothing is left behind next to the database.
+    expect(fs.readdirSync(dir).filter(name => !name.startsWith('products.db'))).toEqual([]);
+
+    const db = new Database(dbPath, { readonly: true });
+    expect(db.prepare("SELECT value FROM meta WHERE key = 'last_applied_delta_timestamp'").pluck().get()).toBe('3000');
+    expect(db.prepare('SELECT product_name FROM products WHERE id = ?').pluck().get('3017620422003')).toBe('Nutella B-ready');
+    expect(db.prepare('SELECT COUNT(*) FROM products WHERE id IN (?, ?)').pluck().get('4000000000001', '3274080005003')).toBe(1);
+    expect(db.prepare('SELECT operation FROM product_changes ORDER BY id').pluck().all()).toEqual(['update', 'insert', 'delete']);
+    db.close();
+  });
+
+  it('should only apply the delta files newer than the last applied one', async () => {
+    const db = new Database(dbPath);
+    db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES ('last_applied_delta_timestamp', '2000')").run();
+    db.close();
+
+    const summary = await runUpdate({ dbPath, deltaUrl: server.deltaUrl, embedder });
+    expect(summary).toMatchObject({ deltas: ['openfoodfacts_products_2000_3000.json.gz'], lastDelta: 3000, upserted: 0, removed: 1 });
+
+    await expect(runUpdate({ dbPath, deltaUrl: server.deltaUrl, embedder })).resolves.toEqual({
+      deltas: [], lastDelta: 3000, upserted: 0, removed: 0, embedded: 0,
+    });
+  });
+
+  it('should retry failed downloads', async () => {
+    jest.spyOn(logger, 'warn');
+    const [first] = Object.keys(DELTAS);
+    server.faults = { 'index.txt': ['unavailable'], [first]: ['truncated', 'unavailable'] };
+
+    const summary = await runUpdate({ dbPath, deltaUrl: server.deltaUrl, embedder, retryDelayMs: 1 });
+    expect(summary).toMatchObject({ lastDelta: 3000, upserted: 2, removed: 1, embedded: 2 });
+    expect(server.requests.filter(url => url.endsWith(first))).toHaveLength(3);
+    expect(logger.warn).toHaveBeenCalledTimes(3);
+
+    const db = new Database(dbPath, { readonly: true });
+    expect(db.prepare('SELECT operation FROM product_changes ORDER BY id').pluck().all()).toEqual(['update', 'insert', 'delete']);
+    db.close();
+  });
+
+  it('should not hold the write lock while downloading and embedding', async () => {
+    // Fails at once with SQLITE_BUSY if the update holds the lock.
+    const other = new Database(dbPath, { timeout: 0 });
+    const lockCheckingEmbedder = (texts, options) => {
+      other.exec('BEGIN IMMEDIATE');
+      other.exec('ROLLBACK');
+      return embedder(texts, options);
+    };
+
+    try {
+      const summary = await runUpdate({ dbPath, deltaUrl: server.deltaUrl, embedder: lockCheckingEmbedder });
+      expect(summary).toMatchObject({ upserted: 2, removed: 1, embedded: 2 });
+    } finally {
+      other.close();
+    }
+  });
+
+  it('should leave the database as it was before a delta file that cannot be downloaded', async () => {
+    jest.spyOn(logger, 'warn');
+    // Large enough for the connection to drop midway through the file.
+    const large = 'openfoodfacts_products_2000_3000.json.gz';
+    const records = Array.from({ length: 500 }, (_, i) => ({
+      code: String(5000000000000 + i), product_name: `Produit ${i}`, brands: 'Test', last_modified_t: 2500,
+    }));
+    const failing = await startDeltaServer({ ...DELTAS, [large]: [...records, ...DELTAS[large]] });
+    failing.faults = { [large]: ['truncated', 'truncated'] };
+
+    try {
+      await expect(runUpdate({ dbPath, deltaUrl: failing.deltaUrl, embedder, retries: 1, retryDelayMs: 1, batchSize: 10 }))
+        .rejects.toThrow(`Failed to read ${failing.deltaUrl}${large}`);
+    } finally {
+      await new Promise(resolve => failing.close(resolve));
+    }
+
+    const db = new Database(dbPath, { readonly: true });
+    expect(db.prepare("SELECT value FROM meta WHERE key = 'last_applied_delta_timestamp'").pluck().get()).toBe('2000');
+    expect(db.prepare("SELECT COUNT(*) FROM products WHERE product_name LIKE 'Produit %'").pluck().get()).toBe(0);
+    expect(db.prepare('SELECT COUNT(*) FROM products WHERE id = ?').pluck().get('3274080005003')).toBe(1);
+    expect(db.prepare('SELECT operation FROM product_changes ORDER BY id').pluck().all()).toEqual(['update', 'insert']);
+    db.close();
+  });
+
+  it('should refuse to apply delta files that leave a gap since the last update', async () => {
+    const db = new Database(dbPath);
+    db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES ('last_applied_delta_timestamp', '500')").run();
+    db.close();
+
+    const update = runUpdate({ dbPath, deltaUrl: server.deltaUrl, embedder });
+    await expect(update).rejects.toThrow(DeltaGapError);
+    await expect(update).rejects.toThrow('between 500-1000; a full reimport is needed');
+    expect(server.requests).toEqual(['/delta/index.txt']);
+
+    jest.spyOn(logger, 'warn');
+    const summary = await runUpdate({ dbPath, deltaUrl: server.deltaUrl, embedder, allowGaps: true });
+    expect(summary).toMatchObject({ deltas: Object.keys(DELTAS), lastDelta: 3000 });
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('a full reimport is needed'), { gaps: [{ from: 500, to: 1000 }] });
+  });
+
+  it('should fail without retrying when the delta host does not have the files', async () => {
+    await expect(runUpdate({ dbPath, deltaUrl: `${server.deltaUrl}missing/`, embedder })).rejects.toThrow('Failed to download');
+    expect(server.requests).toEqual(['/delta/missing/index.txt']);
+  });
+
+  it('should remove the vector of a product whose search text was emptied', () => {
+    const db = new Database(dbPath);
+    sqliteVec.load(db);
+    const rowid = BigInt(db.prepare("SELECT rowid FROM products WHERE id = '3017620422003'").pluck().get());
+    const hasVector = () => db.prepare('SELECT COUNT(*) FROM vec_products WHERE rowid = ?').pluck().get(rowid) === 1;
+    expect(hasVector()).toBe(true);
+
+    const { product } = parseDeltaRecord(JSON.stringify({ code: '3017620422003', product_name: 'Nutella' }));
+    const counts = prepareStatements({ db }).apply([{ type: 'upsert', product: { ...product, search_text: ' ' } }], 'delta_1_2.json.gz');
+    expect(counts).toEqual({ upserted: 1, embedded: 0, removed: 0 });
+    expect(hasVector()).toBe(false);
+    db.close();
+  });
+});
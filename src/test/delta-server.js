@@ -0,0 +1,58 @@
+/**
+ * @fileoverview This module serves a stub of the OpenFoodFacts `data/delta/`
+ * directory for the tests: an `index.txt` listing gzipped JSONL delta files.
+ */
+const http = require('http');
+const zlib = require('zlib');
+
+/**
+ * Starts a delta server on a random local port.
+ * @param {Object<string, Array<object>>} deltas The records of each delta file,
+ * keyed by filename (e.g. `openfoodfacts_products_100_200.json.gz`). The index
+ * lists the files in this order.
+ * @returns {Promise<http.Server>} The server, with the `deltaUrl` to update from
+ * and the `requests` it received. Failures are injected through `faults`,
+ * which maps a filename to the failures of its next requests, in order:
+ * `unavailable` answers 503 and `truncated` drops the connection just before
+ * the end of the file.
+ */
+async function startDeltaServer(deltas) {
+  const files = new Map(Object.entries(deltas).map(([filename, records]) => [
+    filename,
+    zlib.gzipSync(records.map(record => JSON.stringify(record)).join('\n')),
+  ]));
+
+  const server = http.createServer((req, res) => {
+    server.requests.push(req.url);
+    const name = req.url.replace(/^\/delta\//, '');
+    const fault = server.faults[name] && server.faults[name].shift();
+    if (fault === 'unavailable') {
+      res.statusCode = 503;
+      return res.end();
+    }
+    if (name === 'index.txt') {
+      return res.end(`${[...files.keys()].join('\n')}\n`);
+    }
+    if (!files.has(name)) {
+      res.statusCode = 404;
+      return res.end();
+    }
+    const body = files.get(name);
+    if (fault === 'truncated') {
+      res.setHeader('Content-Length', body.length);
+      // Lets the client read what it got before the connection drops.
+      res.write(body.subarray(0, body.length - 8));
+      return setTimeout(() => res.destroy(), 50);
+    }
+    res.end(body);
+  });
+  server.requests = [];
+  server.faults = {};
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  server.deltaUrl = `http://127.0.0.1:${server.address().port}/delta/`;
+  return server;
+}
+
+module.exports = {
+  startDeltaServer,
+};
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview This module builds a small, self-contained database from the
+ * checked-in JSONL sample in `fixtures/`. Products go through the real
+ * `transformProduct()`, product writer and schema, and are embedded with the
+ * deterministic fake embedder, so the whole API can be tested offline.
+ *
+ * @usage `node src/test/fixture-db.js [dbPath]` builds `data/fixture.db` by default.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const sqliteVec = require('sqlite-vec');
+const { DATA_DIR } = require('../db/constants');
+const OpenFoodFactsDB = require('../db/database');
+const { transformProduct } = require('../db/transformer');
+const { prepareProductWriter } = require('../db/writer');
+const { LAST_EMBEDDED_ROWID_KEY, createFakeEmbedder, embedProducts } = require('../db/embeddings');
+const { logger } = require('../db/logger');
+
+const FIXTURE_SOURCE = path.join(__dirname, 'fixtures', 'products.jsonl');
+
+/**
+ * Builds a fixture database, replacing any existing file at `dbPath`.
+ * @param {string} dbPath The database file to create.
+ * @param {object} [options={}]
+ * @param {string} [options.source=FIXTURE_SOURCE] The JSONL sample to import.
+ * @param {Function} [options.embedder] The embedder used for product vectors.
+ * Defaults to `createFakeEmbedder()`, which must then also be used for queries.
+ * @returns {Promise<string>} The database path.
+ */
+async function buildFixtureDb(dbPath, options = {}) {
+  const { source = FIXTURE_SOURCE, embedder = createFakeEmbedder() } = options;
+
+  OpenFoodFactsDB.initialize(dbPath);
+  const db = new Database(dbPath, { fileMustExist: true });
+  sqliteVec.load(db);
+
+  try {
+    const writer = prepareProductWriter(db);
+    const products = fs.readFileSync(source, 'utf-8').split('\n').map(transformProduct).filter(Boolean);
+    db.transaction(() => products.forEach(product => writer.write(product)))();
+
+    const rows = db.prepare('SELECT rowid, search_text FROM products ORDER BY rowid').all();
+    await embedProducts(db, embedder, rows);
+    const lastRowid = rows.length > 0 ? rows[rows.length - 1].rowid : 0;
+    db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)').run(LAST_EMBEDDED_ROWID_KEY, String(lastRowid));
+  } finally {
+    db.close();
+  }
+  return dbPath;
+}
+
+/**
+ * Builds a fixture database in a temporary directory and creates an app
+ * serving it with the fake embedder.
+ * @returns {Promise<{app: import('express').Express, dbPath: string, close: Function}>}
+ * `close()` closes the database and removes the temporary directory.
+ */
+async function createFixtureApp() {
+  // Required lazily so that building a fixture does not depend on the API.
+  const { createApp } = require('../api/app');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'off-fixture-'));
+  const embedder = createFakeEmbedder();
+  const dbPath = await buildFixtureDb(path.join(dir, 'products.db'), { embedder });
+  const app = await createApp({ dbPath, embedder });
+
+  return {
+    app,
+    dbPath,
+    close() {
+      app.locals.db.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+if (require.main === module) {
+  const dbPath = process.argv[2] || path.join(DATA_DIR, 'fixture.db');
+  buildFixtureDb(dbPath)
+    .then(() => logger.info('Fixture database created', { path: dbPath }))
+    .catch((err) => {
+      logger.error('Failed to create the fixture database', { err });
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  FIXTURE_SOURCE,
+  buildFixtureDb,
+  createFixtureApp,
+};